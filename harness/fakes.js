@@ -0,0 +1,244 @@
+// In-memory stand-ins for the Appwrite services `main` uses. They implement only the calls
+// the function makes, with the same argument order and error codes as node-appwrite.
+
+const notFound = (what) => Object.assign(new Error(`${what} could not be found.`), { code: 404 });
+
+const isMissing = (value) => value === undefined || value === null;
+
+// Missing values sort first, like Appwrite's nulls
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (isMissing(a)) return -1;
+  if (isMissing(b)) return 1;
+  return a < b ? -1 : 1;
+};
+
+const FILTERS = {
+  equal: (value, values) => values.includes(value),
+  notEqual: (value, values) => !values.includes(value),
+  lessThan: (value, [limit]) => !isMissing(value) && compare(value, limit) < 0,
+  lessThanEqual: (value, [limit]) => !isMissing(value) && compare(value, limit) <= 0,
+  greaterThan: (value, [limit]) => !isMissing(value) && compare(value, limit) > 0,
+  greaterThanEqual: (value, [limit]) => !isMissing(value) && compare(value, limit) >= 0,
+  startsWith: (value, [prefix]) => typeof value === 'string' && value.startsWith(prefix),
+  isNull: (value) => isMissing(value),
+  isNotNull: (value) => !isMissing(value)
+};
+
+// Query helpers serialize to JSON: { method, attribute, values }
+const applyQueries = (documents, queries = []) => {
+  let list = [...documents];
+  let limit = 25;
+  let cursor = null;
+  const orders = [];
+  for (const raw of queries) {
+    const { method, attribute, values = [] } = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (FILTERS[method]) {
+      list = list.filter((document) => FILTERS[method](document[attribute], values));
+    } else if (method === 'orderAsc' || method === 'orderDesc') {
+      orders.push({ attribute, direction: method === 'orderAsc' ? 1 : -1 });
+    } else if (method === 'limit') {
+      limit = values[0];
+    } else if (method === 'cursorAfter') {
+      cursor = values[0];
+    } else if (method !== 'select') {
+      throw new Error(`Fake databases do not support the ${method} query.`);
+    }
+  }
+  if (orders.length) {
+    list.sort((a, b) => {
+      for (const { attribute, direction } of orders) {
+        const result = compare(a[attribute], b[attribute]) * direction;
+        if (result) return result;
+      }
+      return 0;
+    });
+  }
+  if (cursor) list = list.slice(list.findIndex((document) => document.$id === cursor) + 1);
+  return { total: list.length, documents: list.slice(0, limit) };
+};
+
+// `seed` maps "collectionId/documentId" to document data
+export const createFakeDatabases = (seed = {}) => {
+  const store = new Map();
+  const now = () => new Date().toISOString();
+  const put = (databaseId, collectionId, documentId, data) => {
+    const document = { $id: documentId, $collectionId: collectionId, $databaseId: databaseId, ...data };
+    store.set(`${collectionId}/${documentId}`, document);
+    return { ...document };
+  };
+  for (const [key, data] of Object.entries(seed)) {
+    const [collectionId, documentId] = key.split('/');
+    put(data.$databaseId || 'main', collectionId, documentId, { $createdAt: now(), $updatedAt: now(), ...data });
+  }
+
+  return {
+    store,
+    list: (collectionId) => [...store.values()].filter((document) => document.$collectionId === collectionId),
+    getDocument: async (databaseId, collectionId, documentId) => {
+      const document = store.get(`${collectionId}/${documentId}`);
+      if (!document) throw notFound('Document with the requested ID');
+      return { ...document };
+    },
+    createDocument: async (databaseId, collectionId, documentId, data) => {
+      if (store.has(`${collectionId}/${documentId}`)) {
+        throw Object.assign(new Error('Document with the requested ID already exists.'), { code: 409 });
+      }
+      return put(databaseId, collectionId, documentId, { ...data, $createdAt: now(), $updatedAt: now() });
+    },
+    updateDocument: async (databaseId, collectionId, documentId, data) => {
+      const document = store.get(`${collectionId}/${documentId}`);
+      if (!document) throw notFound('Document with the requested ID');
+      return put(databaseId, collectionId, documentId, { ...document, ...data, $updatedAt: now() });
+    },
+    deleteDocument: async (databaseId, collectionId, documentId) => {
+      if (!store.delete(`${collectionId}/${documentId}`)) throw notFound('Document with the requested ID');
+      return {};
+    },
+    listDocuments: async (databaseId, collectionId, queries) =>
+      applyQueries(
+        [...store.values()].filter((document) => document.$collectionId === collectionId),
+        queries
+      )
+  };
+};
+
+// `seed` maps user IDs to { name, email, phone, prefs, targets }
+export const createFakeUsers = (seed = {}) => {
+  const store = new Map(Object.entries(seed).map(([id, user]) => [id, { $id: id, prefs: {}, ...user }]));
+  return {
+    store,
+    get: async (userId) => {
+      const user = store.get(userId);
+      if (!user) throw notFound('User with the requested ID');
+      return { ...user };
+    },
+    list: async (queries) => {
+      const { total, documents } = applyQueries([...store.values()], queries);
+      return { total, users: documents };
+    }
+  };
+};
+
+const FAKE_PROVIDERS = ['email', 'sms', 'push'].map((type) => ({ $id: `${type}-provider`, type, enabled: true }));
+
+// Records every message instead of sending it. `fail` maps a channel to the error its sends
+// throw, e.g. { email: { code: 503, message: 'Service unavailable' } }. Deleted (cancelled)
+// messages stay in `sent` and their ids are listed in `cancelled`. `providers` defaults to one
+// enabled provider per channel.
+export const createFakeMessaging = ({ fail = {}, providers = FAKE_PROVIDERS } = {}) => {
+  const sent = [];
+  const cancelled = [];
+  const failures = { ...fail };
+  const record = (channel) => async (params) => {
+    if (failures[channel]) {
+      const { message = 'Fake send failure', code = 500 } = failures[channel];
+      throw Object.assign(new Error(message), { code });
+    }
+    if (sent.some((message) => message.messageId === params.messageId)) {
+      throw Object.assign(new Error('Message with the requested ID already exists.'), { code: 409 });
+    }
+    sent.push({ channel, ...params });
+    return { $id: params.messageId, status: 'processing' };
+  };
+  return {
+    sent,
+    cancelled,
+    failures,
+    createEmail: record('email'),
+    createSms: record('sms'),
+    createPush: record('push'),
+    delete: async ({ messageId }) => {
+      if (!sent.some((message) => message.messageId === messageId) || cancelled.includes(messageId)) {
+        throw notFound('Message with the requested ID');
+      }
+      cancelled.push(messageId);
+      return {};
+    },
+    listProviders: async ({ queries } = {}) => {
+      const { total, documents } = applyQueries(providers, queries);
+      return { total, providers: documents };
+    }
+  };
+};
+
+// `seed` maps team IDs to lists of { userId, confirm }
+export const createFakeTeams = (seed = {}) => ({
+  listMemberships: async (teamId, queries) => {
+    const memberships = (seed[teamId] || []).map((membership, index) => ({
+      $id: `${teamId}-${index}`,
+      confirm: true,
+      ...membership
+    }));
+    const { total, documents } = applyQueries(memberships, queries);
+    return { total, memberships: documents };
+  }
+});
+
+// `seed` maps "bucketId/fileId" to { name, sizeOriginal, $createdAt }; uploads keep their bytes in `files`
+export const createFakeStorage = (seed = {}) => {
+  const files = new Map(
+    Object.entries(seed).map(([key, file]) => [key, { $id: key.split('/')[1], $createdAt: new Date().toISOString(), ...file }])
+  );
+  return {
+    files,
+    getFile: async (bucketId, fileId) => {
+      const file = files.get(`${bucketId}/${fileId}`);
+      if (!file) throw notFound('File with the requested ID');
+      return { ...file };
+    },
+    createFile: async (bucketId, fileId, file) => {
+      if (files.has(`${bucketId}/${fileId}`)) {
+        throw Object.assign(new Error('File with the requested ID already exists.'), { code: 409 });
+      }
+      const bytes = Buffer.from(await file.arrayBuffer());
+      const $createdAt = new Date().toISOString();
+      files.set(`${bucketId}/${fileId}`, { $id: fileId, $createdAt, name: file.name, sizeOriginal: bytes.length, bytes });
+      return { $id: fileId, $createdAt, bucketId, name: file.name, sizeOriginal: bytes.length };
+    },
+    listFiles: async (bucketId, queries) => {
+      const inBucket = [...files.entries()].filter(([key]) => key.startsWith(`${bucketId}/`)).map(([, file]) => file);
+      const { total, documents } = applyQueries(inBucket, queries);
+      return { total, files: documents };
+    },
+    deleteFile: async (bucketId, fileId) => {
+      if (!files.delete(`${bucketId}/${fileId}`)) throw notFound('File with the requested ID');
+      return {};
+    }
+  };
+};
+
+// The variables Appwrite would set; with injected services they are only checked, never used
+export const FAKE_APPWRITE_ENV = {
+  APPWRITE_FUNCTION_API_ENDPOINT: 'http://localhost/v1',
+  APPWRITE_FUNCTION_PROJECT_ID: 'harness',
+  APPWRITE_API_KEY: 'harness-key'
+};
+
+export const createFakeServices = ({ documents, users, teams, messaging, files } = {}) => ({
+  databases: createFakeDatabases(documents),
+  users: createFakeUsers(users),
+  teams: createFakeTeams(teams),
+  messaging: createFakeMessaging(messaging),
+  storage: createFakeStorage(files)
+});
+
+// The context object Appwrite hands to a function, capturing the response and logs
+export const createContext = ({ services, headers = {}, body = '', path = '/', method = 'POST', query = {} }) => {
+  const bodyRaw = typeof body === 'string' ? body : JSON.stringify(body);
+  const response = { status: null, body: null, headers: {}, logs: [], errors: [] };
+  const reply = (payload, status = 200, responseHeaders = {}) => {
+    Object.assign(response, { status, body: payload, headers: responseHeaders });
+    return response;
+  };
+  return {
+    response,
+    context: {
+      services,
+      req: { headers, body: bodyRaw, bodyRaw, path, method, query },
+      res: { json: reply, send: reply, text: reply, empty: () => reply('', 204) },
+      log: (message) => response.logs.push(message),
+      error: (message) => response.errors.push(message)
+    }
+  };
+};
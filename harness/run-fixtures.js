@@ -0,0 +1,134 @@
+// Replays recorded executions against `main` with in-memory services and checks the responses.
+//
+//   node harness/run-fixtures.js <fixture.json | directory>...
+//
+// `npm test` replays every fixture in test/fixtures, then runs the unit tests in test/.
+//
+// A fixture seeds the fakes and lists the executions to replay in order; state carries over
+// from one execution to the next, so a fixture can send and then expect `throttled`:
+//
+// {
+//   "name": "second update inside the throttle window",
+//   "env": { "NOTIFY_THROTTLE_MINUTES": "10" },
+//   "documents": { "application_forms/app1": { "status": "approved", "userId": "u1" } },
+//   "users": { "u1": { "name": "Jane Doe", "email": "jane@example.com" } },
+//   "teams": { "reviewers": [{ "userId": "staff1" }] },
+//   "messaging": { "fail": { "sms": { "code": 503 } } },
+//   "files": { "pay_stubs/stub1.pdf": { "name": "stub1.pdf", "sizeOriginal": 48213 } },
+//   "executions": [
+//     {
+//       "headers": { "x-appwrite-event": "databases.main.collections.application_forms.documents.app1.update" },
+//       "body": { "$id": "app1", "$collectionId": "application_forms", "$databaseId": "main", "status": "approved" },
+//       "expect": { "status": 200, "body": { "ok": true, "sent": true }, "messages": 1 }
+//     }
+//   ]
+// }
+//
+// `expect.body` matches when every field it lists is equal in the response; `messages` counts
+// the messages sent by that execution. `env` is applied over FAKE_APPWRITE_ENV before `main` is
+// loaded for the fixture.
+import fs from 'fs';
+import path from 'path';
+import { FAKE_APPWRITE_ENV, createFakeServices, createContext } from './fakes.js';
+
+const MAIN_URL = new URL('../src/main.js', import.meta.url).href;
+
+const collectFixtureFiles = (target) => {
+  if (fs.statSync(target).isDirectory()) {
+    return fs
+      .readdirSync(target)
+      .filter((file) => file.endsWith('.json'))
+      .sort()
+      .map((file) => path.join(target, file));
+  }
+  return [target];
+};
+
+const matches = (expected, actual) => {
+  if (Array.isArray(expected)) {
+    return (
+      Array.isArray(actual) &&
+      expected.length === actual.length &&
+      expected.every((item, index) => matches(item, actual[index]))
+    );
+  }
+  if (expected && typeof expected === 'object') {
+    return (
+      Boolean(actual) &&
+      typeof actual === 'object' &&
+      Object.keys(expected).every((key) => matches(expected[key], actual[key]))
+    );
+  }
+  return expected === actual;
+};
+
+// Module-level config (application types, webhooks, templates) is read when main.js loads,
+// so each fixture with its own env gets a fresh copy of the module
+const withEnv = async (env, fixtureIndex, run) => {
+  const saved = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, env);
+  try {
+    const { default: main } = await import(`${MAIN_URL}?fixture=${fixtureIndex}`);
+    return await run(main);
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+};
+
+const runFixture = async (fixture, fixtureIndex) => {
+  const services = createFakeServices(fixture);
+  const failures = [];
+
+  await withEnv({ ...FAKE_APPWRITE_ENV, ...fixture.env }, fixtureIndex, async (main) => {
+    for (const [index, execution] of (fixture.executions || []).entries()) {
+      const label = execution.name || `execution ${index + 1}`;
+      const sentBefore = services.messaging.sent.length;
+      const failuresBefore = failures.length;
+      const { context, response } = createContext({ services, ...execution });
+      await main(context);
+
+      const expect = execution.expect || {};
+      const messages = services.messaging.sent.length - sentBefore;
+      if (expect.status !== undefined && expect.status !== response.status) {
+        failures.push(`${label}: expected status ${expect.status}, got ${response.status}`);
+      }
+      if (expect.body !== undefined && !matches(expect.body, response.body)) {
+        failures.push(`${label}: expected body to include ${JSON.stringify(expect.body)}, got ${JSON.stringify(response.body)}`);
+      }
+      if (expect.messages !== undefined && expect.messages !== messages) {
+        failures.push(`${label}: expected ${expect.messages} messages, got ${messages}`);
+      }
+      if (failures.length > failuresBefore && process.env.FIXTURE_VERBOSE) {
+        [...response.logs, ...response.errors].forEach((line) => console.log(`    ${line}`));
+      }
+    }
+  });
+  return failures;
+};
+
+const targets = process.argv.slice(2);
+if (!targets.length) {
+  console.error('Usage: node harness/run-fixtures.js <fixture.json | directory>...');
+  process.exit(2);
+}
+
+let failed = 0;
+const files = targets.flatMap(collectFixtureFiles);
+for (const [index, file] of files.entries()) {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const name = fixture.name || path.basename(file, '.json');
+  const failures = await runFixture(fixture, index);
+  if (failures.length) {
+    failed += 1;
+    console.log(`✗ ${name}`);
+    failures.forEach((failure) => console.log(`    ${failure}`));
+  } else {
+    console.log(`✓ ${name}`);
+  }
+}
+
+console.log(`\n${files.length - failed}/${files.length} fixtures passed.`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import { Query } from 'node-appwrite';
+import { parseJson, normalizeText } from './utils.js';
+
+export const ADMIN_PATH_PREFIX = '/admin/';
+export const ADMIN_KEY_HEADER = 'x-notify-admin-key';
+
+// Set by Appwrite when a signed-in user executes the function
+const USER_ID_HEADER = 'x-appwrite-user-id';
+
+const MAX_REASON_LENGTH = 500;
+
+export const PREVIEW_FORMATS = ['html', 'text', 'json'];
+export const TEST_SUBJECT_PREFIX = '[TEST] ';
+
+const ADMIN_ROUTES = {
+  '/admin/preview': { method: 'GET', handler: 'preview', required: ['collectionId', 'documentId'] },
+  '/admin/resend': { method: 'POST', handler: 'resend', required: ['collectionId', 'documentId', 'reason'] },
+  '/admin/test-send': { method: 'POST', handler: 'testSend', required: ['email'] },
+  '/admin/bulk': { method: 'POST', handler: 'bulk', required: ['collectionId'] },
+  '/admin/health': { method: 'GET', handler: 'health', required: [] }
+};
+
+const header = (req, name) => {
+  const headers = req.headers || {};
+  const match = Object.keys(headers).find((key) => key.toLowerCase() === name);
+  return match ? String(headers[match]) : '';
+};
+
+const requestPath = (req) => String(req.path || '/').split('?')[0].replace(/\/+$/, '');
+
+export const isAdminRequest = (req) => `${requestPath(req)}/`.startsWith(ADMIN_PATH_PREFIX);
+
+export const adminError = (status, error, message) => {
+  const err = new Error(message || error);
+  err.status = status;
+  err.error = error;
+  return err;
+};
+
+// Hashing first gives both sides the same length, which timingSafeEqual requires
+const keysMatch = (provided, expected) =>
+  crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(provided).digest(),
+    crypto.createHash('sha256').update(expected).digest()
+  );
+
+// A caller is an admin with the NOTIFY_ADMIN_API_KEY in the admin key header, or as a signed-in
+// user with a confirmed membership of NOTIFY_ADMIN_TEAM_ID. Resolves to the actor recorded in audits.
+export const authorizeAdmin = async (req, { teams, apiKey, teamId }) => {
+  if (!apiKey && !teamId) throw adminError(403, 'admin_api_disabled');
+
+  const providedKey = header(req, ADMIN_KEY_HEADER);
+  if (providedKey) {
+    if (apiKey && keysMatch(providedKey, apiKey)) return 'api_key';
+    throw adminError(401, 'unauthorized');
+  }
+
+  const userId = header(req, USER_ID_HEADER);
+  if (!userId || !teamId) throw adminError(401, 'unauthorized');
+  const result = await teams.listMemberships(teamId, [Query.equal('userId', userId), Query.limit(1)]);
+  const membership = (result.memberships || []).find((item) => item.userId === userId);
+  if (!membership || membership.confirm === false) throw adminError(403, 'forbidden');
+  return `user:${userId}`;
+};
+
+const readParams = (req, route) => {
+  if (route.method === 'GET') return { ...(req.query || {}) };
+  const body = parseJson(req.body || req.bodyRaw);
+  if (body === null && (req.body || req.bodyRaw)) throw adminError(400, 'invalid_body', 'Expected a JSON object.');
+  if (body !== null && (typeof body !== 'object' || Array.isArray(body))) {
+    throw adminError(400, 'invalid_body', 'Expected a JSON object.');
+  }
+  return { ...(body || {}) };
+};
+
+const validateParams = (route, params) => {
+  const missing = route.required.filter((field) => !normalizeText(params[field]));
+  if (missing.length) throw adminError(400, 'missing_parameters', `Missing ${missing.join(', ')}.`);
+  if (params.format && !PREVIEW_FORMATS.includes(params.format)) {
+    throw adminError(400, 'invalid_format', `Format must be one of ${PREVIEW_FORMATS.join(', ')}.`);
+  }
+  if (params.reason && String(params.reason).length > MAX_REASON_LENGTH) {
+    throw adminError(400, 'invalid_reason', `Reason is limited to ${MAX_REASON_LENGTH} characters.`);
+  }
+};
+
+// `handlers` implement the routes: `handler(params, actor)` resolves to `{ body }` for a JSON
+// response or `{ content, contentType }` for a raw one, and report client errors by throwing
+// `adminError(status, error)`.
+export const handleAdminRequest = async ({ req, res, teams, apiKey, teamId, handlers, logger, errLogger }) => {
+  const path = requestPath(req);
+  const method = String(req.method || 'GET').toUpperCase();
+  try {
+    const route = ADMIN_ROUTES[path];
+    if (!route) throw adminError(404, 'unknown_route', `No admin route ${path}.`);
+    if (route.method !== method) throw adminError(405, 'method_not_allowed', `${path} expects ${route.method}.`);
+
+    const actor = await authorizeAdmin(req, { teams, apiKey, teamId });
+    const params = readParams(req, route);
+    validateParams(route, params);
+    logger(`Admin ${route.handler} by ${actor}.`);
+
+    const result = await handlers[route.handler](params, actor);
+    if (result.content !== undefined) {
+      return res.send(result.content, 200, { 'content-type': result.contentType });
+    }
+    return res.json({ ok: true, ...result.body });
+  } catch (err) {
+    if (err.status) {
+      logger(`Admin request ${method} ${path} rejected: ${err.message}`);
+      return res.json({ ok: false, error: err.error, message: err.message }, err.status);
+    }
+    errLogger(`Admin request ${method} ${path} failed: ${err.message}`);
+    return res.json({ ok: false, error: err.message }, 500);
+  }
+};
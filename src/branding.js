@@ -0,0 +1,164 @@
+import fs from 'fs';
+import { normalizeText } from './utils.js';
+import { format } from './i18n.js';
+
+export const DEFAULT_PROFILE_ID = 'default';
+export const DEFAULT_BRANDING_FIELD = 'agencyId';
+
+// The stock look: applicant emails are blue, pay stub emails green. A profile's `colors`
+// replace these for every email it brands.
+export const DEFAULT_PALETTES = {
+  citizen: { primary: '#1e40af', accent: '#3b82f6', link: '#2563eb' },
+  employee: { primary: '#059669', accent: '#10b981', link: '#059669' }
+};
+
+const COLOR_KEYS = ['primary', 'accent', 'link'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isUrl = (value) => isNonEmptyString(value) && /^https?:\/\//.test(value);
+const isColor = (value) => typeof value === 'string' && /^#(?:[0-9a-fA-F]{3}){1,2}$/.test(value);
+
+// Colors end up in style attributes, so only hex values are accepted
+const validateColors = (value, at) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${at}: expected an object`];
+  return Object.entries(value).flatMap(([key, color]) => {
+    if (!COLOR_KEYS.includes(key)) return [`${at}.${key}: unknown color (allowed: ${COLOR_KEYS.join(', ')})`];
+    return isColor(color) ? [] : [`${at}.${key}: expected a hex color like #1e40af`];
+  });
+};
+
+const PROFILE_SCHEMA = {
+  id: { check: isNonEmptyString, expected: 'a non-empty string' },
+  agencyName: { check: isNonEmptyString, expected: 'a non-empty string' },
+  logoUrl: { check: isUrl, expected: 'an http(s) URL' },
+  colors: { validate: validateColors },
+  portalName: { check: isNonEmptyString, expected: 'a non-empty string' },
+  portalBaseUrl: { check: isUrl, expected: 'an http(s) URL' },
+  adminPortalBaseUrl: { check: isUrl, expected: 'an http(s) URL' },
+  supportEmail: { check: (value) => typeof value === 'string' && /^[^@\s]+@[^@\s]+$/.test(value), expected: 'an email address' },
+  supportPhone: { check: isNonEmptyString, expected: 'a non-empty string' },
+  supportUrl: { check: isUrl, expected: 'an http(s) URL' },
+  legalText: { check: isNonEmptyString, expected: 'a non-empty string' }
+};
+
+// NOTIFY_BRANDING_PROFILES holds the JSON inline; NOTIFY_BRANDING_PROFILES_FILE points at a
+// JSON file. Either one is a list of profiles, or an object with a "profiles" list.
+export const readBrandingConfig = (env = process.env) => {
+  if (env.NOTIFY_BRANDING_PROFILES) {
+    return { origin: 'NOTIFY_BRANDING_PROFILES', raw: env.NOTIFY_BRANDING_PROFILES };
+  }
+  if (env.NOTIFY_BRANDING_PROFILES_FILE) {
+    return {
+      origin: env.NOTIFY_BRANDING_PROFILES_FILE,
+      raw: fs.readFileSync(env.NOTIFY_BRANDING_PROFILES_FILE, 'utf8')
+    };
+  }
+  return null;
+};
+
+const validateProfile = (entry, index, errors) => {
+  const at = `profiles[${index}]`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    errors.push(`${at}: expected an object`);
+    return false;
+  }
+  let valid = true;
+  for (const [field, value] of Object.entries(entry)) {
+    const rule = PROFILE_SCHEMA[field];
+    if (!rule) {
+      errors.push(`${at}.${field}: unknown field (allowed: ${Object.keys(PROFILE_SCHEMA).join(', ')})`);
+      valid = false;
+    } else if (rule.validate) {
+      const problems = rule.validate(value, `${at}.${field}`);
+      errors.push(...problems);
+      valid = valid && !problems.length;
+    } else if (!rule.check(value)) {
+      errors.push(`${at}.${field}: expected ${rule.expected}`);
+      valid = false;
+    }
+  }
+  if (!isNonEmptyString(entry.id)) {
+    errors.push(`${at}.id: required`);
+    valid = false;
+  }
+  return valid;
+};
+
+// The built-in "default" profile is empty, which renders the stock look; a configured
+// "default" entry rebrands everything that does not pick another profile.
+// `types` are the application types, whose `branding` must name a known profile.
+// Returns `{ profiles, errors }` where `profiles` is keyed by id.
+export const createBrandingRegistry = (config, { types = {} } = {}) => {
+  const errors = [];
+  const profiles = { [DEFAULT_PROFILE_ID]: { id: DEFAULT_PROFILE_ID } };
+  const configured = new Set();
+
+  if (config) {
+    let parsed;
+    try {
+      parsed = JSON.parse(config.raw);
+    } catch (err) {
+      errors.push(`${config.origin}: invalid JSON (${err.message})`);
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.profiles;
+    if (parsed !== undefined && !Array.isArray(list)) {
+      errors.push(`${config.origin}: expected a list of branding profiles or { "profiles": [...] }`);
+    } else if (list) {
+      list.forEach((entry, index) => {
+        if (!validateProfile(entry, index, errors)) return;
+        if (configured.has(entry.id)) {
+          errors.push(`branding profile "${entry.id}" is defined twice`);
+          return;
+        }
+        configured.add(entry.id);
+        profiles[entry.id] = { ...profiles[entry.id], ...entry };
+      });
+    }
+  }
+
+  for (const type of Object.values(types)) {
+    if (type.branding && !profiles[type.branding]) {
+      errors.push(`application type "${type.source}": unknown branding profile "${type.branding}"`);
+    }
+  }
+
+  return { profiles, errors };
+};
+
+export const loadBrandingRegistry = (env = process.env, options = {}) => {
+  let config;
+  try {
+    config = readBrandingConfig(env);
+  } catch (err) {
+    return { profiles: {}, errors: [`Cannot read ${env.NOTIFY_BRANDING_PROFILES_FILE}: ${err.message}`] };
+  }
+  return createBrandingRegistry(config, options);
+};
+
+// The first id naming a configured profile wins; `missing` lists the ids that named none
+export const resolveProfile = (registry, ids) => {
+  const candidates = ids.map((id) => normalizeText(id)).filter(Boolean);
+  const id = candidates.find((candidate) => registry.profiles[candidate]);
+  return {
+    profile: registry.profiles[id] || registry.profiles[DEFAULT_PROFILE_ID],
+    missing: candidates.filter((candidate) => !registry.profiles[candidate])
+  };
+};
+
+// What templates see as `brand`. `footer` is the email's own footer line, replaced when the
+// profile names its portal; `palette` picks the stock colors the profile's colors override.
+export const buildBrandView = (profile, strings, { palette, footer = null }) => {
+  const colors = { ...DEFAULT_PALETTES[palette], ...profile.colors };
+  const contact = [profile.supportEmail, profile.supportPhone, profile.supportUrl].filter(Boolean).join(' · ');
+  return {
+    name: profile.agencyName || null,
+    logoUrl: profile.logoUrl || null,
+    header: `linear-gradient(135deg,${colors.primary} 0%,${colors.accent} 100%)`,
+    primary: colors.primary,
+    accent: colors.accent,
+    link: colors.link,
+    footer: profile.portalName ? format(strings.branding.footer, { portal: profile.portalName }) : footer,
+    support: contact ? format(strings.branding.support, { contact }) : null,
+    legal: profile.legalText || null
+  };
+};
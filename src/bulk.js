@@ -0,0 +1,274 @@
+import { ID, Query } from 'node-appwrite';
+import { parseJson, hashPayload } from './utils.js';
+import { normalizeStatus, rawStatusValues } from './workflow.js';
+
+export const DEFAULT_BULK_PAGE_SIZE = 50;
+export const DEFAULT_BULK_CONCURRENCY = 4;
+export const DEFAULT_BULK_RATE_PER_SECOND = 10;
+export const DEFAULT_BULK_JOBS_PER_RUN = 1;
+
+// Appwrite accepts at most 100 values in one equal query, which bounds a page
+const MAX_PAGE_SIZE = 100;
+const MAX_CONCURRENCY = 10;
+const MAX_DOCUMENT_IDS = 5000;
+
+export const BULK_JOB_STATES = {
+  pending: 'pending',
+  done: 'done'
+};
+
+export const BULK_RESULTS = ['sent', 'ignored', 'dry_run', 'failed', 'not_found'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isIntegerIn = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+
+const isQueryValue = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+const isQuery = (value) =>
+  Boolean(value) &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.values(value).every(
+    (item) => isQueryValue(item) || (Array.isArray(item) && item.length > 0 && item.length <= MAX_PAGE_SIZE && item.every(isQueryValue))
+  );
+
+const BULK_SCHEMA = {
+  collectionId: { check: isNonEmptyString, expected: 'a collection id' },
+  documentIds: {
+    check: (value) => Array.isArray(value) && value.length > 0 && value.length <= MAX_DOCUMENT_IDS && value.every(isNonEmptyString),
+    expected: `a list of 1 to ${MAX_DOCUMENT_IDS} document ids`
+  },
+  query: { check: isQuery, expected: 'an object mapping fields to a value or a list of values' },
+  cursor: { check: isNonEmptyString, expected: 'the cursor returned by an earlier page' },
+  limit: { check: isIntegerIn(1, MAX_PAGE_SIZE), expected: `a whole number from 1 to ${MAX_PAGE_SIZE}` },
+  concurrency: { check: isIntegerIn(1, MAX_CONCURRENCY), expected: `a whole number from 1 to ${MAX_CONCURRENCY}` },
+  ratePerSecond: { check: (value) => typeof value === 'number' && value > 0, expected: 'a positive number' },
+  schedule: { check: (value) => typeof value === 'boolean', expected: 'true or false' }
+};
+
+// Returns the problems found in a bulk request body
+export const validateBulkRequest = (params) => {
+  const errors = [];
+  for (const [field, value] of Object.entries(params)) {
+    const rule = BULK_SCHEMA[field];
+    if (!rule) {
+      errors.push(`${field}: unknown field (allowed: ${Object.keys(BULK_SCHEMA).join(', ')})`);
+    } else if (!rule.check(value)) {
+      errors.push(`${field}: expected ${rule.expected}`);
+    }
+  }
+  if (Boolean(params.documentIds) === Boolean(params.query)) errors.push('expected either documentIds or query');
+  if (params.schedule && params.cursor) errors.push('cursor: scheduled jobs keep their own cursor');
+  return errors;
+};
+
+export const normalizeBulkRequest = (params) => ({
+  collectionId: params.collectionId,
+  documentIds: params.documentIds ? [...new Set(params.documentIds)] : null,
+  query: params.query || null,
+  limit: params.limit || DEFAULT_BULK_PAGE_SIZE,
+  concurrency: params.concurrency || DEFAULT_BULK_CONCURRENCY,
+  ratePerSecond: params.ratePerSecond || DEFAULT_BULK_RATE_PER_SECOND
+});
+
+// Cursors are opaque to callers and tied to the selection they were issued for, so one cannot
+// resume a different collection, query or id list
+const selectionKey = ({ collectionId, documentIds, query }) =>
+  hashPayload({ collectionId, documentIds, query }).slice(0, 16);
+
+const encodeCursor = (request, position) =>
+  Buffer.from(JSON.stringify({ key: selectionKey(request), ...position })).toString('base64url');
+
+// Resolves to the page position, or null when the cursor does not belong to `request`
+export const decodeCursor = (request, cursor) => {
+  if (!cursor) return {};
+  const position = parseJson(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  return position?.key === selectionKey(request) ? position : null;
+};
+
+// Statuses in a query match every raw value that normalizes to them for the type
+const buildFilters = (query, type) =>
+  Object.entries(query).map(([field, value]) => {
+    const values = Array.isArray(value) ? value : [value];
+    if (field !== 'status' || !type) return Query.equal(field, values);
+    return Query.equal(
+      field,
+      [...new Set(values.flatMap((status) => rawStatusValues(type.statusAliases, normalizeStatus(status, type.statusAliases))))]
+    );
+  });
+
+// One page of the selection: `documents` in selection order, the requested ids that do not
+// exist (`missing`) and the cursor for the next page, or null after the last one
+export const loadBulkPage = async (databases, databaseId, request, { type = null, position = {} } = {}) => {
+  if (request.documentIds) {
+    const offset = position.offset || 0;
+    const ids = request.documentIds.slice(offset, offset + request.limit);
+    const result = ids.length
+      ? await databases.listDocuments(databaseId, request.collectionId, [Query.equal('$id', ids), Query.limit(ids.length)])
+      : { documents: [] };
+    const byId = new Map((result.documents || []).map((document) => [document.$id, document]));
+    const nextOffset = offset + ids.length;
+    return {
+      documents: ids.filter((id) => byId.has(id)).map((id) => byId.get(id)),
+      missing: ids.filter((id) => !byId.has(id)),
+      next: nextOffset < request.documentIds.length ? encodeCursor(request, { offset: nextOffset }) : null
+    };
+  }
+
+  const queries = [...buildFilters(request.query, type), Query.limit(request.limit)];
+  if (position.after) queries.push(Query.cursorAfter(position.after));
+  const result = await databases.listDocuments(databaseId, request.collectionId, queries);
+  const documents = result.documents || [];
+  return {
+    documents,
+    missing: [],
+    next: documents.length === request.limit ? encodeCursor(request, { after: documents[documents.length - 1].$id }) : null
+  };
+};
+
+// Fetches documents by id in batches of 100, keyed by id
+export const prefetchDocuments = async (databases, databaseId, collectionId, ids) => {
+  const found = new Map();
+  const unique = [...new Set(ids.filter(Boolean))];
+  for (let index = 0; index < unique.length; index += MAX_PAGE_SIZE) {
+    const chunk = unique.slice(index, index + MAX_PAGE_SIZE);
+    const result = await databases.listDocuments(databaseId, collectionId, [Query.equal('$id', chunk), Query.limit(chunk.length)]);
+    (result.documents || []).forEach((document) => found.set(document.$id, document));
+  }
+  return found;
+};
+
+// Same for users: one list call per 100 recipients instead of one get per document
+export const prefetchUsers = async (users, userIds) => {
+  const found = new Map();
+  const unique = [...new Set(userIds.filter(Boolean))];
+  for (let index = 0; index < unique.length; index += MAX_PAGE_SIZE) {
+    const chunk = unique.slice(index, index + MAX_PAGE_SIZE);
+    const result = await users.list([Query.equal('$id', chunk), Query.limit(chunk.length)]);
+    (result.users || []).forEach((user) => found.set(user.$id, user));
+  }
+  return found;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs `worker(item, index)` over `items` with at most `concurrency` in flight, starting no
+// more than `ratePerSecond` per second. Results keep the order of `items`.
+export const runWithLimits = async (items, worker, { concurrency, ratePerSecond, wait = sleep }) => {
+  const results = new Array(items.length);
+  const interval = 1000 / ratePerSecond;
+  let next = 0;
+  let nextStartAt = Date.now();
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      const startAt = Math.max(nextStartAt, Date.now());
+      nextStartAt = startAt + interval;
+      const delay = startAt - Date.now();
+      if (delay > 0) await wait(delay);
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+  return results;
+};
+
+// Event name recorded in the notification log for documents notified by a bulk run
+export const bulkEventName = (collectionId, documentId) =>
+  `bulk.collections.${collectionId}.documents.${documentId}.notify`;
+
+// Maps the response body of one document's event flow to its report entry
+export const reportEntry = (documentId, body) => {
+  if (!body?.ok) return { documentId, result: 'failed', reason: body?.error || 'unknown_error' };
+  if (body.sent) {
+    return {
+      documentId,
+      result: 'sent',
+      channels: Object.keys(body.channels || {}).filter((channel) => body.channels[channel].status === 'sent'),
+      ...(body.scheduledAt && { scheduledAt: body.scheduledAt })
+    };
+  }
+  if (body.dryRun) {
+    return { documentId, result: 'dry_run', ...(body.report?.warnings?.length && { warnings: body.report.warnings }) };
+  }
+  if (body.queued) return { documentId, result: 'ignored', reason: `queued:${body.digest}` };
+  return { documentId, result: 'ignored', reason: body.ignored || 'unknown' };
+};
+
+export const summarizeReport = (report) => {
+  const summary = Object.fromEntries(BULK_RESULTS.map((result) => [result, 0]));
+  report.forEach((entry) => {
+    summary[entry.result] = (summary[entry.result] || 0) + 1;
+  });
+  return { processed: report.length, ...summary };
+};
+
+export const enqueueBulkJob = async (databases, databaseId, collectionId, { request, actor }) =>
+  databases.createDocument(databaseId, collectionId, ID.unique(), {
+    request: JSON.stringify(request),
+    actor: actor || null,
+    state: BULK_JOB_STATES.pending,
+    cursor: null,
+    pages: 0,
+    ...Object.fromEntries(BULK_RESULTS.map((result) => [result, 0])),
+    createdAt: new Date().toISOString()
+  });
+
+// `runPage(request, cursor)` processes one page and resolves to `{ report, cursor }`. Each
+// scheduled run advances the oldest pending jobs by one page and stores where they stopped;
+// a failed page keeps its cursor and is retried on the next run. With `dryRun` the page is
+// replayed as a dry run and the job is left untouched, so a later real run starts from the same place.
+export const runBulkJobs = async ({
+  databases,
+  databaseId,
+  collectionId,
+  jobsPerRun = DEFAULT_BULK_JOBS_PER_RUN,
+  runPage,
+  dryRun = false,
+  logger,
+  errLogger
+}) => {
+  const summary = { jobs: 0, done: 0, failed: 0, processed: 0 };
+  let jobs = [];
+  try {
+    const result = await databases.listDocuments(databaseId, collectionId, [
+      Query.equal('state', BULK_JOB_STATES.pending),
+      Query.orderAsc('createdAt'),
+      Query.limit(jobsPerRun)
+    ]);
+    jobs = result.documents || [];
+  } catch (err) {
+    errLogger(`Failed to read bulk jobs ${collectionId}: ${err.message}`);
+    return summary;
+  }
+
+  for (const job of jobs) {
+    summary.jobs += 1;
+    try {
+      const { report, cursor } = await runPage(parseJson(job.request), job.cursor || null);
+      const counts = summarizeReport(report);
+      summary.processed += counts.processed;
+      if (dryRun) {
+        logger(`Dry run: bulk job ${job.$id} page ${(job.pages || 0) + 1} processed, job left unchanged.`);
+        continue;
+      }
+      await databases.updateDocument(databaseId, collectionId, job.$id, {
+        cursor,
+        state: cursor ? BULK_JOB_STATES.pending : BULK_JOB_STATES.done,
+        pages: (job.pages || 0) + 1,
+        ...Object.fromEntries(BULK_RESULTS.map((result) => [result, (job[result] || 0) + counts[result]]))
+      });
+      if (!cursor) {
+        summary.done += 1;
+        logger(`Bulk job ${job.$id} finished after ${(job.pages || 0) + 1} pages.`);
+      }
+    } catch (err) {
+      summary.failed += 1;
+      errLogger(`Bulk job ${job.$id} failed: ${err.message}`);
+    }
+  }
+  return summary;
+};
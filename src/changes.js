@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import { normalizeText } from './utils.js';
+
+// Notes are shown in full when they change, so snapshots only need to tell whether they did
+export const NOTE_FIELDS = ['adminNotes', 'needsActionNote', 'rejectionReason'];
+
+// The baseline for a document that was never notified: every watched value counts as new
+export const EMPTY_SNAPSHOT = { status: null, notes: {}, fields: {} };
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const WATCHED_SCHEMA = {
+  field: { check: isNonEmptyString, expected: 'a field name' },
+  label: { check: isNonEmptyString, expected: 'a non-empty string' },
+  sensitive: { check: (value) => typeof value === 'boolean', expected: 'true or false' }
+};
+
+// Each entry is a field name, or { field, label?, sensitive? }
+export const validateWatchedFields = (value, at) => {
+  if (!Array.isArray(value)) return [`${at}: expected a list of field names or { "field": ... } objects`];
+  const errors = [];
+  value.forEach((entry, index) => {
+    const entryAt = `${at}[${index}]`;
+    if (isNonEmptyString(entry)) return;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${entryAt}: expected a field name or an object`);
+      return;
+    }
+    for (const [field, fieldValue] of Object.entries(entry)) {
+      const rule = WATCHED_SCHEMA[field];
+      if (!rule) {
+        errors.push(`${entryAt}.${field}: unknown field (allowed: ${Object.keys(WATCHED_SCHEMA).join(', ')})`);
+      } else if (!rule.check(fieldValue)) {
+        errors.push(`${entryAt}.${field}: expected ${rule.expected}`);
+      }
+    }
+    if (!entry.field) errors.push(`${entryAt}.field: required`);
+  });
+  return errors;
+};
+
+export const normalizeWatchedFields = (entries = []) =>
+  entries.map((entry) =>
+    typeof entry === 'string'
+      ? { field: entry, label: null, sensitive: false }
+      : { field: entry.field, label: entry.label || null, sensitive: entry.sensitive === true }
+  );
+
+const digestOf = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+
+// Sensitive values (ID numbers, dates of birth) come from small sets, so a bare hash could be
+// reversed by trying every candidate; keyed with NOTIFY_SNAPSHOT_SECRET it cannot without the key
+const SENSITIVE_PREFIX = 'hmac:';
+const LEGACY_SENSITIVE_PREFIX = 'sha256:';
+
+const keyedDigestOf = (secret, value) =>
+  `${SENSITIVE_PREFIX}${crypto.createHmac('sha256', secret).update(value).digest('hex')}`;
+
+export const hasSensitiveFields = (type) => (type.watchedFields || []).some(({ sensitive }) => sensitive);
+
+const snapshotValue = (value) =>
+  value !== null && typeof value === 'object' ? JSON.stringify(value) : normalizeText(value);
+
+// What the recipient was last told about. Sensitive values are stored as HMACs keyed with
+// `secret`, so the log can tell that they changed without ever holding them; without a secret
+// they are left out and never reported as changed.
+export const takeSnapshot = (type, document, status, { secret = null } = {}) => {
+  const notes = {};
+  for (const key of NOTE_FIELDS) {
+    const value = normalizeText(document[key]);
+    if (value) notes[key] = digestOf(value);
+  }
+  const fields = {};
+  for (const { field, sensitive } of type.watchedFields || []) {
+    if (sensitive && !secret) continue;
+    const value = snapshotValue(document[field]);
+    if (value) fields[field] = sensitive ? keyedDigestOf(secret, value) : value;
+  }
+  return { status, notes, fields };
+};
+
+// Snapshots logged before sensitive values were keyed hold unkeyed hashes, which cannot be
+// compared with the new ones: those fields count as unchanged until the next notice replaces them
+const isComparable = ({ sensitive }, before) => !(sensitive && before?.startsWith(LEGACY_SENSITIVE_PREFIX));
+
+// `previous` is a stored snapshot; changed watched fields carry their before/after values
+// (HMACs for sensitive ones, which must never be shown)
+export const diffSnapshots = (previous, current, watchedFields = []) => ({
+  notes: NOTE_FIELDS.filter((key) => (previous.notes?.[key] || null) !== (current.notes[key] || null)),
+  fields: watchedFields
+    .filter((watched) => isComparable(watched, previous.fields?.[watched.field]))
+    .filter(({ field }) => (previous.fields?.[field] || null) !== (current.fields[field] || null))
+    .map((watched) => ({
+      ...watched,
+      before: previous.fields?.[watched.field] || null,
+      after: current.fields[watched.field] || null
+    }))
+});
+
+export const hasChanges = (diff) => Boolean(diff && (diff.notes.length || diff.fields.length));
@@ -0,0 +1,143 @@
+import { ID } from 'node-appwrite';
+import { parseJson } from './utils.js';
+import { withRetry } from './retry.js';
+
+export const CHANNELS = ['email', 'sms', 'push'];
+
+// SMS and push are opt-in through the preferences collection; email is on unless disabled
+export const CHANNEL_DEFAULTS = {
+  email: true,
+  sms: false,
+  push: false
+};
+
+export const PAY_STUB_ROUTE = 'pay_stub';
+
+const DEFAULT_ROUTE = 'default';
+
+export const DEFAULT_CHANNEL_ROUTES = {
+  needs_action: ['email', 'sms', 'push'],
+  approved: ['email', 'sms', 'push'],
+  [PAY_STUB_ROUTE]: ['email'],
+  [DEFAULT_ROUTE]: ['email']
+};
+
+// NOTIFY_CHANNEL_ROUTES is a JSON map of status (or "pay_stub") to channel list,
+// e.g. {"rejected":["email","sms"],"default":["email"]}. Entries merge over the defaults.
+export const parseChannelRoutes = (value) => {
+  const parsed = parseJson(value);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return { ...DEFAULT_CHANNEL_ROUTES };
+  const routes = { ...DEFAULT_CHANNEL_ROUTES };
+  for (const [key, channels] of Object.entries(parsed)) {
+    if (!Array.isArray(channels)) continue;
+    routes[key] = channels.filter((channel) => CHANNELS.includes(channel));
+  }
+  return routes;
+};
+
+export const resolveRoute = (routes, key) => routes[key] || routes[DEFAULT_ROUTE] || ['email'];
+
+export const EMAIL_FORMATS = ['html', 'text'];
+
+export const normalizeEmailFormat = (value) => {
+  const format = String(value || '').trim().toLowerCase();
+  return EMAIL_FORMATS.includes(format) ? format : null;
+};
+
+const hasTarget = (user, providerType) =>
+  Array.isArray(user?.targets) && user.targets.some((target) => target.providerType === providerType);
+
+export const canReach = (user, channel) => {
+  if (channel === 'email') return Boolean(user?.email);
+  if (channel === 'sms') return Boolean(user?.phone) || hasTarget(user, 'sms');
+  if (channel === 'push') return hasTarget(user, 'push');
+  return false;
+};
+
+// Appwrite Messaging cannot send multipart email: createEmail takes one `content` and an `html`
+// flag, with no field for a text alternative, so HTML and text bodies cannot both go out in
+// one message (and sending both as two emails would notify everyone twice). Every email is
+// still rendered both ways: the recipient's `emailFormat` picks the body that is sent, HTML
+// unless they chose "text", and dry-run reports carry both while the admin preview shows either.
+// `scheduledAt` (ISO 8601, in the future) hands delivery over to Messaging's scheduler.
+const senders = {
+  email: (messaging, messageId, userId, message, scheduledAt) => {
+    const asText = message.format === 'text' && Boolean(message.text);
+    return messaging.createEmail({
+      messageId,
+      subject: message.subject,
+      content: asText ? message.text : message.content,
+      users: [userId],
+      attachments: message.attachments?.length ? message.attachments : undefined,
+      html: !asText,
+      scheduledAt
+    });
+  },
+  sms: (messaging, messageId, userId, message, scheduledAt) =>
+    messaging.createSms({
+      messageId,
+      content: message.content,
+      users: [userId],
+      scheduledAt
+    }),
+  push: (messaging, messageId, userId, message, scheduledAt) =>
+    messaging.createPush({
+      messageId,
+      title: message.title,
+      body: message.body,
+      data: message.data,
+      users: [userId],
+      scheduledAt
+    })
+};
+
+// A timed-out attempt may still have been accepted, so every retry reuses the channel's
+// message ID and a 409 on a retry means an earlier attempt went through.
+const sendOnce = (messaging, channel, userId, message, scheduledAt) => {
+  const messageId = ID.unique();
+  return async (attempt) => {
+    try {
+      return await senders[channel](messaging, messageId, userId, message, scheduledAt);
+    } catch (err) {
+      if (attempt > 1 && err.code === 409) return { $id: messageId };
+      throw err;
+    }
+  };
+};
+
+// Sends every channel independently so one provider failing does not block the others.
+// `messages` maps channel name to the rendered message for that channel.
+export const sendChannels = async (messaging, { userId, channels, messages, retryPolicy, onRetry, scheduledAt }) => {
+  const outcomes = {};
+  for (const channel of channels) {
+    const message = messages[channel];
+    if (!message) {
+      outcomes[channel] = { status: 'skipped', reason: 'no_renderer' };
+      continue;
+    }
+    try {
+      const result = await withRetry(sendOnce(messaging, channel, userId, message, scheduledAt), {
+        policy: retryPolicy,
+        onRetry: (err, attempt, delayMs) => onRetry?.(channel, err, attempt, delayMs)
+      });
+      outcomes[channel] = { status: 'sent', messageId: result?.$id || null, ...(scheduledAt && { scheduledAt }) };
+    } catch (err) {
+      outcomes[channel] = {
+        status: 'failed',
+        error: err.message,
+        code: err.code || null,
+        attempts: err.attempts || 1,
+        permanent: Boolean(err.permanent)
+      };
+    }
+  }
+  return outcomes;
+};
+
+export const summarizeOutcomes = (outcomes) => {
+  const values = Object.values(outcomes);
+  return {
+    sent: values.some((outcome) => outcome.status === 'sent'),
+    failed: values.filter((outcome) => outcome.status === 'failed')
+  };
+};
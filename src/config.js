@@ -0,0 +1,284 @@
+import { parseJson, parseList } from './utils.js';
+import { CHANNELS, EMAIL_FORMATS, parseChannelRoutes } from './channels.js';
+import { matchLocale, parseLocaleFallbacks, resolveLocale } from './i18n.js';
+import { DEFAULT_MANDATORY_STATUSES, DIGEST_FREQUENCIES } from './preferences.js';
+import { DEFAULT_URGENT_STATUSES, isValidTimezone, parseQuietHours } from './quiet.js';
+import { normalizeStatus } from './workflow.js';
+import { LOG_LEVELS, DEFAULT_LOG_LEVEL } from './logging.js';
+import { ATTACHMENT_MODES, PRIVACY_MODES, parseAttachmentConfig, parseContentConfig } from './paystubs.js';
+import { parseRetryPolicy } from './retry.js';
+import { DEFAULT_REMINDER_PAGE_SIZE, parseReminderDays } from './reminders.js';
+import { DEFAULT_DIGEST_HOUR, DEFAULT_DIGEST_WEEKDAY, DEFAULT_DIGEST_BATCH } from './digest.js';
+import { DEFAULT_LOCK_TTL_SECONDS } from './locks.js';
+import { DEFAULT_MAX_REDRIVES, DEFAULT_REDRIVE_BATCH } from './deadletter.js';
+import { DEFAULT_BULK_JOBS_PER_RUN } from './bulk.js';
+import { DEFAULT_BRANDING_FIELD } from './branding.js';
+import { DEFAULT_TEMPLATES_DIR } from './templating.js';
+
+export const DEFAULT_THROTTLE_MINUTES = 10;
+export const DEFAULT_TEMPLATE_CACHE_SECONDS = 300;
+export const DEFAULT_CURRENCY = 'USD';
+
+// Collections the function reads or writes besides the application types, keyed by the
+// name the rest of the code uses. The templates collection is optional.
+const COLLECTION_SETTINGS = {
+  payStubs: { env: 'PAY_STUBS_COLLECTION_ID', fallback: 'pay_stubs' },
+  employees: { env: 'EMPLOYEES_COLLECTION_ID', fallback: 'employees' },
+  preferences: { env: 'NOTIFICATION_PREFERENCES_COLLECTION_ID', fallback: 'notification_preferences' },
+  log: { env: 'NOTIFICATION_LOG_COLLECTION_ID', fallback: 'notification_log' },
+  locks: { env: 'NOTIFICATION_LOCKS_COLLECTION_ID', fallback: 'notification_locks' },
+  digest: { env: 'NOTIFICATION_DIGEST_COLLECTION_ID', fallback: 'notification_digest_queue' },
+  staffAlerts: { env: 'STAFF_ALERTS_COLLECTION_ID', fallback: 'staff_alert_log' },
+  deadLetters: { env: 'NOTIFICATION_DEAD_LETTER_COLLECTION_ID', fallback: 'notification_dead_letters' },
+  bulkJobs: { env: 'NOTIFICATION_BULK_JOBS_COLLECTION_ID', fallback: 'notification_bulk_jobs' },
+  templates: { env: 'NOTIFY_TEMPLATES_COLLECTION_ID', fallback: '' }
+};
+
+// The built-in application types read these (registry.js); NOTIFY_APPLICATION_TYPES,
+// NOTIFY_BRANDING_PROFILES and NOTIFY_WEBHOOKS are validated by their own loaders
+const APPLICATION_COLLECTION_VARS = [
+  'APPLICATION_FORMS_COLLECTION_ID',
+  'NATIONAL_ID_COLLECTION_ID',
+  'BUSINESS_COLLECTION_ID',
+  'GUN_LICENSE_COLLECTION_ID'
+];
+
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,35}$/;
+const FLAG_VALUES = { true: true, yes: true, on: true, 1: true, false: false, no: false, off: false, 0: false };
+
+// HMAC key for sensitive snapshot values; a short key is as guessable as the values it protects
+const MIN_SNAPSHOT_SECRET_LENGTH = 32;
+
+const isAbsoluteUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+const isCurrency = (value) => {
+  try {
+    new Intl.NumberFormat('en', { style: 'currency', currency: value });
+    return /^[A-Z]{3}$/.test(value);
+  } catch (err) {
+    return false;
+  }
+};
+
+const isChannelRoutes = (value) => {
+  const parsed = parseJson(value);
+  return (
+    Boolean(parsed) &&
+    typeof parsed === 'object' &&
+    !Array.isArray(parsed) &&
+    Object.values(parsed).every((channels) => Array.isArray(channels) && channels.every((channel) => CHANNELS.includes(channel)))
+  );
+};
+
+// Each rule checks a trimmed, non-empty raw value; `parse` turns a valid one into the setting
+const RULES = {
+  id: {
+    check: (value) => ID_PATTERN.test(value),
+    expected: 'an Appwrite id (up to 36 letters, digits, ".", "-" or "_", not starting with a symbol)'
+  },
+  url: { check: isAbsoluteUrl, expected: 'an absolute http(s) URL', parse: (value) => value.replace(/\/+$/, '') },
+  flag: {
+    check: (value) => value.toLowerCase() in FLAG_VALUES,
+    expected: 'true or false',
+    parse: (value) => FLAG_VALUES[value.toLowerCase()]
+  },
+  field: { check: (value) => /^[A-Za-z0-9_$.-]+$/.test(value), expected: 'a field name' },
+  text: { check: () => true, expected: 'text' },
+  currency: { check: isCurrency, expected: 'an ISO 4217 currency code such as USD' },
+  timezone: { check: isValidTimezone, expected: 'an IANA timezone such as America/New_York' },
+  quietHours: {
+    check: (value) => parseQuietHours({ NOTIFY_QUIET_HOURS: value }) !== null,
+    expected: 'a window such as 21:00-07:30'
+  },
+  channelRoutes: {
+    check: isChannelRoutes,
+    expected: `a JSON object mapping statuses to lists of ${CHANNELS.join(', ')}`
+  },
+  locale: { check: (value) => Boolean(matchLocale(value)), expected: 'a supported locale such as en or es' },
+  locales: {
+    check: (value) => parseList(value).length > 0 && parseList(value).every((locale) => matchLocale(locale)),
+    expected: 'a comma-separated list of supported locales'
+  },
+  statuses: { check: (value) => parseList(value).length > 0, expected: 'a comma-separated list of statuses' },
+  days: {
+    check: (value) =>
+      parseList(value).length > 0 && parseList(value).every((days) => Number.isInteger(Number(days)) && Number(days) > 0),
+    expected: 'a comma-separated list of whole days, such as 3,7,14'
+  }
+};
+
+const integer = (min, max = Infinity) => ({
+  check: (value) => /^-?\d+$/.test(value) && Number(value) >= min && Number(value) <= max,
+  expected: max === Infinity ? `a whole number of at least ${min}` : `a whole number from ${min} to ${max}`,
+  parse: Number
+});
+
+const number = (min) => ({
+  check: (value) => value !== '' && Number.isFinite(Number(value)) && Number(value) >= min,
+  expected: `a number of at least ${min}`,
+  parse: Number
+});
+
+const oneOf = (values) => ({
+  check: (value) => values.includes(value.toLowerCase()),
+  expected: `one of ${values.join(', ')}`,
+  parse: (value) => value.toLowerCase()
+});
+
+// Every setting the function reads from the environment. Unset or empty variables take the
+// default; set ones must be valid. Secrets (API keys, webhook secrets) are not listed, so their
+// values never end up in a report.
+const SETTINGS = {
+  APPWRITE_FUNCTION_API_ENDPOINT: RULES.url,
+  APPWRITE_FUNCTION_PROJECT_ID: RULES.id,
+  APPWRITE_DATABASE_ID: RULES.id,
+  DATABASE_ID: RULES.id,
+  ...Object.fromEntries(Object.values(COLLECTION_SETTINGS).map(({ env }) => [env, RULES.id])),
+  ...Object.fromEntries(APPLICATION_COLLECTION_VARS.map((name) => [name, RULES.id])),
+  PORTAL_BASE_URL: RULES.url,
+  ADMIN_PORTAL_BASE_URL: RULES.url,
+  NOTIFY_ADMIN_TEAM_ID: RULES.id,
+  NOTIFY_BRANDING_FIELD: RULES.field,
+  NOTIFY_TEMPLATES_DIR: RULES.text,
+  NOTIFY_THROTTLE_MINUTES: integer(0),
+  NOTIFY_TEMPLATE_CACHE_SECONDS: integer(0),
+  NOTIFY_LOCK_TTL_SECONDS: integer(1),
+  DRY_RUN: RULES.flag,
+  ENABLE_APPLICATION_NOTIFICATIONS: RULES.flag,
+  ENABLE_PAY_STUB_NOTIFICATIONS: RULES.flag,
+  ENABLE_NOTIFICATION_PREFERENCES: RULES.flag,
+  ENABLE_NEEDS_ACTION_REMINDERS: RULES.flag,
+  NOTIFY_WRITE_TRACKING_FIELDS: RULES.flag,
+  NOTIFY_LOG_LEVEL: oneOf(LOG_LEVELS),
+  NOTIFY_CHANNEL_ROUTES: RULES.channelRoutes,
+  NOTIFY_EMAIL_FORMAT: oneOf(EMAIL_FORMATS),
+  NOTIFY_LOCALE_FALLBACKS: RULES.locales,
+  NOTIFY_STAFF_LOCALE: RULES.locale,
+  NOTIFY_CURRENCY: RULES.currency,
+  NOTIFY_MANDATORY_STATUSES: RULES.statuses,
+  NOTIFY_URGENT_STATUSES: RULES.statuses,
+  NOTIFY_QUIET_HOURS: RULES.quietHours,
+  NOTIFY_TIMEZONE: RULES.timezone,
+  NOTIFY_DEFAULT_DIGEST: oneOf(DIGEST_FREQUENCIES),
+  NOTIFY_DIGEST_HOUR: integer(0, 23),
+  NOTIFY_DIGEST_WEEKDAY: integer(0, 6),
+  NOTIFY_DIGEST_BATCH: integer(1),
+  NOTIFY_REMINDER_DAYS: RULES.days,
+  NOTIFY_REMINDER_PAGE_SIZE: integer(1),
+  NOTIFY_BULK_JOBS_PER_RUN: integer(0),
+  NOTIFY_DEAD_LETTER_MAX_REDRIVES: integer(0),
+  NOTIFY_REDRIVE_BATCH: integer(1),
+  NOTIFY_RETRY_ATTEMPTS: integer(1),
+  NOTIFY_RETRY_BASE_MS: integer(0),
+  NOTIFY_RETRY_MAX_MS: integer(0),
+  NOTIFY_PAY_STUB_ATTACHMENT: oneOf(ATTACHMENT_MODES),
+  NOTIFY_PAY_STUB_BUCKET_ID: RULES.id,
+  NOTIFY_PAY_STUB_FILE_FIELD: RULES.field,
+  NOTIFY_PAY_STUB_PASSWORD_FIELD: RULES.field,
+  NOTIFY_ATTACHMENT_MAX_BYTES: integer(1),
+  NOTIFY_PAY_STUB_FILE_RETENTION_HOURS: integer(1),
+  NOTIFY_EMPLOYER_NAME: RULES.text,
+  NOTIFY_PAY_STUB_PRIVACY: oneOf(PRIVACY_MODES),
+  NOTIFY_PAY_STUB_KEY_DEDUCTIONS: integer(0),
+  NOTIFY_PAY_STUB_CHANGE_THRESHOLD: number(0)
+};
+
+// Checks that span settings, once each one is valid on its own
+const crossChecks = (settings) => {
+  const errors = [];
+  if (settings.attachment.mode === 'pdf' && !settings.attachment.bucketId) {
+    errors.push('NOTIFY_PAY_STUB_BUCKET_ID: required when NOTIFY_PAY_STUB_ATTACHMENT is "pdf"');
+  }
+  if (settings.retryPolicy.maxDelayMs < settings.retryPolicy.baseDelayMs) {
+    errors.push('NOTIFY_RETRY_MAX_MS: expected at least NOTIFY_RETRY_BASE_MS');
+  }
+  // Length only: the value itself never appears in a report
+  if (settings.snapshotSecret && settings.snapshotSecret.length < MIN_SNAPSHOT_SECRET_LENGTH) {
+    errors.push(`NOTIFY_SNAPSHOT_SECRET: expected at least ${MIN_SNAPSHOT_SECRET_LENGTH} characters`);
+  }
+  return errors;
+};
+
+// No Appwrite client can be built without these. Appwrite sets the endpoint and project for
+// every deployment; the API key is one of the function's variables.
+const REQUIRED_VARS = ['APPWRITE_FUNCTION_API_ENDPOINT', 'APPWRITE_FUNCTION_PROJECT_ID', 'APPWRITE_API_KEY'];
+
+const rawValue = (env, name) => String(env[name] ?? '').trim();
+
+export const validateEnv = (env = process.env) => [
+  ...REQUIRED_VARS.filter((name) => !rawValue(env, name)).map((name) => `${name}: required`),
+  ...Object.entries(SETTINGS)
+    .filter(([name, rule]) => rawValue(env, name) && !rule.check(rawValue(env, name)))
+    .map(([name, rule]) => `${name}: expected ${rule.expected}, got "${rawValue(env, name)}"`)
+];
+
+// Parses the whole environment into `{ settings, errors }`. `errors` lists every problem as
+// "<VARIABLE>: expected ..., got ..." or "<VARIABLE>: required"; main fails each execution
+// with that report while it is non-empty. Invalid values fall back to their defaults in `settings`.
+export const loadConfig = (env = process.env) => {
+  const read = (name, fallback) => {
+    const raw = rawValue(env, name);
+    const rule = SETTINGS[name];
+    if (!raw || !rule.check(raw)) return fallback;
+    return rule.parse ? rule.parse(raw) : raw;
+  };
+  // A blank list is unset, not empty: it must never switch mandatory notices or urgent routing off
+  const statuses = (name, fallback) => {
+    const raw = read(name);
+    return raw ? parseList(raw).map((value) => normalizeStatus(value)) : fallback;
+  };
+
+  const settings = {
+    databaseId: read('APPWRITE_DATABASE_ID') || read('DATABASE_ID') || 'main',
+    collections: Object.fromEntries(
+      Object.entries(COLLECTION_SETTINGS).map(([key, { env: name, fallback }]) => [key, read(name, fallback)])
+    ),
+    portalBaseUrl: read('PORTAL_BASE_URL', ''),
+    adminPortalBaseUrl: read('ADMIN_PORTAL_BASE_URL', ''),
+    adminApiKey: env.NOTIFY_ADMIN_API_KEY || '',
+    snapshotSecret: env.NOTIFY_SNAPSHOT_SECRET || '',
+    adminTeamId: read('NOTIFY_ADMIN_TEAM_ID', ''),
+    brandingField: read('NOTIFY_BRANDING_FIELD', DEFAULT_BRANDING_FIELD),
+    templatesDir: read('NOTIFY_TEMPLATES_DIR', DEFAULT_TEMPLATES_DIR),
+    throttleMinutes: read('NOTIFY_THROTTLE_MINUTES', DEFAULT_THROTTLE_MINUTES),
+    templateCacheSeconds: read('NOTIFY_TEMPLATE_CACHE_SECONDS', DEFAULT_TEMPLATE_CACHE_SECONDS),
+    lockTtlSeconds: read('NOTIFY_LOCK_TTL_SECONDS', DEFAULT_LOCK_TTL_SECONDS),
+    dryRun: read('DRY_RUN', false),
+    enableApplications: read('ENABLE_APPLICATION_NOTIFICATIONS', true),
+    enablePayStubs: read('ENABLE_PAY_STUB_NOTIFICATIONS', true),
+    enablePreferences: read('ENABLE_NOTIFICATION_PREFERENCES', true),
+    enableReminders: read('ENABLE_NEEDS_ACTION_REMINDERS', true),
+    writeTrackingFields: read('NOTIFY_WRITE_TRACKING_FIELDS', false),
+    logLevel: read('NOTIFY_LOG_LEVEL', DEFAULT_LOG_LEVEL),
+    channelRoutes: parseChannelRoutes(read('NOTIFY_CHANNEL_ROUTES')),
+    defaultEmailFormat: read('NOTIFY_EMAIL_FORMAT', 'html'),
+    localeFallbacks: parseLocaleFallbacks(read('NOTIFY_LOCALE_FALLBACKS')),
+    currency: read('NOTIFY_CURRENCY', DEFAULT_CURRENCY),
+    mandatoryStatuses: statuses('NOTIFY_MANDATORY_STATUSES', DEFAULT_MANDATORY_STATUSES),
+    urgentStatuses: statuses('NOTIFY_URGENT_STATUSES', DEFAULT_URGENT_STATUSES),
+    quietHours: parseQuietHours(env),
+    defaultDigest: read('NOTIFY_DEFAULT_DIGEST', 'immediate'),
+    digestSchedule: {
+      hour: read('NOTIFY_DIGEST_HOUR', DEFAULT_DIGEST_HOUR),
+      weekday: read('NOTIFY_DIGEST_WEEKDAY', DEFAULT_DIGEST_WEEKDAY)
+    },
+    digestBatch: read('NOTIFY_DIGEST_BATCH', DEFAULT_DIGEST_BATCH),
+    reminderDays: parseReminderDays(read('NOTIFY_REMINDER_DAYS')),
+    reminderPageSize: read('NOTIFY_REMINDER_PAGE_SIZE', DEFAULT_REMINDER_PAGE_SIZE),
+    bulkJobsPerRun: read('NOTIFY_BULK_JOBS_PER_RUN', DEFAULT_BULK_JOBS_PER_RUN),
+    maxRedrives: read('NOTIFY_DEAD_LETTER_MAX_REDRIVES', DEFAULT_MAX_REDRIVES),
+    redriveBatch: read('NOTIFY_REDRIVE_BATCH', DEFAULT_REDRIVE_BATCH),
+    retryPolicy: parseRetryPolicy(env),
+    attachment: parseAttachmentConfig(env),
+    payStubContent: parseContentConfig(env)
+  };
+  settings.staffLocale = resolveLocale([read('NOTIFY_STAFF_LOCALE')], settings.localeFallbacks);
+
+  return { settings, errors: [...validateEnv(env), ...crossChecks(settings)] };
+};
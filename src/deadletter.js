@@ -0,0 +1,228 @@
+import { ID, Query } from 'node-appwrite';
+import { parseJson, parseDate } from './utils.js';
+import { sendChannels, summarizeOutcomes } from './channels.js';
+import { DECISIONS, recordDecision, findLastSent } from './history.js';
+import { claimLock, releaseLock } from './locks.js';
+
+export const DEAD_LETTER_STATES = {
+  pending: 'pending',
+  redriven: 'redriven',
+  superseded: 'superseded',
+  abandoned: 'abandoned'
+};
+
+export const DEFAULT_MAX_REDRIVES = 5;
+export const DEFAULT_REDRIVE_BATCH = 25;
+
+// Stores the rendered message for every channel that still failed after retries, so a
+// scheduled run can re-send exactly what the recipient should have received. Permanent
+// failures (bad address, unknown user) are kept for operators but never queued for re-drive.
+// The status, snapshot and schedule of the notice are kept for the log entry a re-drive writes.
+export const enqueueDeadLetter = async (databases, databaseId, collectionId, entry) =>
+  databases.createDocument(databaseId, collectionId, ID.unique(), {
+    collectionId: entry.collectionId || null,
+    documentId: entry.documentId || null,
+    type: entry.type || null,
+    status: entry.status || null,
+    previousStatus: entry.previousStatus || null,
+    notificationType: entry.notificationType || null,
+    fingerprint: entry.fingerprint || null,
+    snapshot: entry.snapshot ? JSON.stringify(entry.snapshot) : null,
+    scheduledAt: entry.scheduledAt || null,
+    userId: entry.userId,
+    recipient: entry.recipient || null,
+    channels: entry.channels,
+    messages: JSON.stringify(entry.messages),
+    error: entry.error || null,
+    errorCode: entry.errorCode || null,
+    permanent: Boolean(entry.permanent),
+    attempts: entry.attempts || 1,
+    eventName: entry.eventName || null,
+    executionId: entry.executionId || null,
+    state: entry.permanent ? DEAD_LETTER_STATES.abandoned : DEAD_LETTER_STATES.pending,
+    redriveCount: 0,
+    failedAt: new Date().toISOString()
+  });
+
+const listPending = async (databases, databaseId, collectionId, limit) => {
+  const result = await databases.listDocuments(databaseId, collectionId, [
+    Query.equal('state', DEAD_LETTER_STATES.pending),
+    Query.orderAsc('failedAt'),
+    Query.limit(limit)
+  ]);
+  return result.documents || [];
+};
+
+// A later successful send for the same document makes the dead-lettered one stale
+const isSuperseded = async (databases, databaseId, logCollectionId, entry) => {
+  if (!entry.collectionId || !entry.documentId) return false;
+  const lastSent = await findLastSent(databases, databaseId, logCollectionId, {
+    sourceCollectionId: entry.collectionId,
+    documentId: entry.documentId
+  });
+  const sentAt = parseDate(lastSent?.notifiedAt);
+  const failedAt = parseDate(entry.failedAt);
+  return Boolean(sentAt && failedAt && sentAt > failedAt);
+};
+
+// Each entry is re-driven under the same lock a live event claims for its content, and only
+// after `recheck(entry)` has looked at the document as it is now: it returns `{ drop }` (a
+// reason) when the notice no longer applies, or the `scheduledAt` (a Date or null) to send with.
+// With `dryRun` nothing is sent and no entry, lock or log is written; the summary counts what
+// a real run would re-drive as `wouldRedrive`.
+export const redriveDeadLetters = async ({
+  databases,
+  messaging,
+  databaseId,
+  deadLetterCollectionId,
+  logCollectionId,
+  locksCollectionId,
+  lockTtlMs,
+  recheck,
+  retryPolicy,
+  maxRedrives = DEFAULT_MAX_REDRIVES,
+  batchSize = DEFAULT_REDRIVE_BATCH,
+  executionId,
+  dryRun = false,
+  logger,
+  errLogger
+}) => {
+  const summary = {
+    processed: 0,
+    redriven: 0,
+    failed: 0,
+    superseded: 0,
+    abandoned: 0,
+    busy: 0,
+    ...(dryRun && { wouldRedrive: 0 })
+  };
+  let entries = [];
+  try {
+    entries = await listPending(databases, databaseId, deadLetterCollectionId, batchSize);
+  } catch (err) {
+    errLogger(`Failed to read dead letters ${deadLetterCollectionId}: ${err.message}`);
+    return summary;
+  }
+
+  for (const entry of entries) {
+    summary.processed += 1;
+    const update = (data) =>
+      dryRun ? null : databases.updateDocument(databaseId, deadLetterCollectionId, entry.$id, data);
+    let lock = null;
+
+    try {
+      if (!dryRun && entry.collectionId && entry.documentId) {
+        lock = await claimLock(databases, databaseId, locksCollectionId, {
+          key: { collectionId: entry.collectionId, documentId: entry.documentId, fingerprint: entry.fingerprint },
+          executionId,
+          ttlMs: lockTtlMs
+        });
+        if (!lock.acquired) {
+          lock = null;
+          summary.busy += 1;
+          logger(`Dead letter ${entry.$id} left for the next run: the document is being notified right now.`);
+          continue;
+        }
+      }
+
+      if (await isSuperseded(databases, databaseId, logCollectionId, entry)) {
+        await update({ state: DEAD_LETTER_STATES.superseded });
+        summary.superseded += 1;
+        logger(`Dead letter ${entry.$id} superseded by a later notification.`);
+        continue;
+      }
+
+      // Queued before permanent failures were kept out of the queue: re-sending cannot help
+      if (entry.permanent) {
+        await update({ state: DEAD_LETTER_STATES.abandoned });
+        summary.abandoned += 1;
+        logger(`Dead letter ${entry.$id} abandoned: permanent failure (${entry.errorCode || entry.error || 'unknown'}).`);
+        continue;
+      }
+
+      const current = await recheck(entry);
+      if (current.drop) {
+        await update({ state: DEAD_LETTER_STATES.superseded });
+        summary.superseded += 1;
+        logger(`Dead letter ${entry.$id} dropped: ${current.drop}.`);
+        continue;
+      }
+      const scheduledAt = current.scheduledAt ? current.scheduledAt.toISOString() : null;
+
+      if (dryRun) {
+        summary.wouldRedrive += 1;
+        logger(`Dry run: dead letter ${entry.$id} would be re-driven via ${(entry.channels || []).join(', ')}.`);
+        continue;
+      }
+
+      const channels = Array.isArray(entry.channels) ? entry.channels : [];
+      const outcomes = await sendChannels(messaging, {
+        userId: entry.userId,
+        channels,
+        messages: parseJson(entry.messages) || {},
+        scheduledAt: scheduledAt || undefined,
+        retryPolicy
+      });
+      const { sent, failed } = summarizeOutcomes(outcomes);
+      const redriveCount = (entry.redriveCount || 0) + 1;
+
+      if (sent) {
+        await recordDecision(databases, databaseId, logCollectionId, {
+          collectionId: entry.collectionId,
+          documentId: entry.documentId,
+          type: entry.type,
+          decision: DECISIONS.sent,
+          reason: 'redrive',
+          status: entry.status,
+          previousStatus: entry.previousStatus,
+          notificationType: entry.notificationType,
+          fingerprint: entry.fingerprint,
+          channels: outcomes,
+          userId: entry.userId,
+          recipient: entry.recipient,
+          eventName: 'schedule.redrive',
+          executionId,
+          scheduledAt,
+          snapshot: parseJson(entry.snapshot),
+          notifiedAt: new Date().toISOString()
+        });
+      }
+
+      if (!failed.length) {
+        await update({ state: DEAD_LETTER_STATES.redriven, redriveCount, lastAttemptAt: new Date().toISOString() });
+        summary.redriven += 1;
+        logger(`Dead letter ${entry.$id} re-driven via ${channels.join(', ')}.`);
+        continue;
+      }
+
+      // Channels that went through are dropped so the next run only retries the rest
+      const remaining = channels.filter((channel) => outcomes[channel]?.status === 'failed');
+      const permanent = failed.every((outcome) => outcome.permanent);
+      const abandon = permanent || redriveCount >= maxRedrives;
+      await update({
+        state: abandon ? DEAD_LETTER_STATES.abandoned : DEAD_LETTER_STATES.pending,
+        channels: remaining,
+        redriveCount,
+        error: failed[0].error,
+        errorCode: failed[0].code ? String(failed[0].code) : null,
+        permanent,
+        lastAttemptAt: new Date().toISOString()
+      });
+      summary[abandon ? 'abandoned' : 'failed'] += 1;
+      errLogger(`Dead letter ${entry.$id} re-drive failed (${redriveCount}/${maxRedrives}): ${failed[0].error}`);
+    } catch (err) {
+      summary.failed += 1;
+      errLogger(`Dead letter ${entry.$id} could not be processed: ${err.message}`);
+    } finally {
+      if (lock) {
+        try {
+          await releaseLock(databases, databaseId, locksCollectionId, lock);
+        } catch (err) {
+          errLogger(`Failed to release lock ${lock.lockId}; it expires in ${lockTtlMs / 1000}s: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  return summary;
+};
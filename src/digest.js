@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import { Query } from 'node-appwrite';
+
+export const DEFAULT_DIGEST_HOUR = 8;
+export const DEFAULT_DIGEST_WEEKDAY = 1;
+export const DEFAULT_DIGEST_BATCH = 500;
+
+// A run that died between claiming items and sending them frees them after this long
+const CLAIM_TTL_MS = 15 * 60 * 1000;
+const QUEUED_FREQUENCIES = ['daily', 'weekly'];
+
+export const DIGEST_KINDS = {
+  application: 'application',
+  payStub: 'pay_stub'
+};
+
+// One queue entry per user, frequency and source document: a later event for the same
+// document replaces the queued one, so a digest lists each application once with its latest status
+const buildQueueId = ({ userId, frequency, collectionId, documentId }) =>
+  `digest_${crypto
+    .createHash('sha256')
+    .update(`${userId}/${frequency}/${collectionId}/${documentId}`)
+    .digest('hex')
+    .slice(0, 29)}`;
+
+// Daily digests go out at `hour` (UTC), weekly ones at `hour` on `weekday` (0 = Sunday)
+export const nextDigestAt = (frequency, now, { hour = DEFAULT_DIGEST_HOUR, weekday = DEFAULT_DIGEST_WEEKDAY } = {}) => {
+  const due = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hour));
+  if (frequency === 'weekly') {
+    due.setUTCDate(due.getUTCDate() + ((weekday - due.getUTCDay() + 7) % 7));
+    if (due <= now) due.setUTCDate(due.getUTCDate() + 7);
+    return due;
+  }
+  if (due <= now) due.setUTCDate(due.getUTCDate() + 1);
+  return due;
+};
+
+// `item` holds what the digest email shows, captured when the event happened. Every write
+// gets a new `version` and clears any claim, so a run that sent the previous content can tell
+// that this one still has to go out.
+export const enqueueDigestItem = async (databases, databaseId, collectionId, { dueAt, ...item }) => {
+  const id = buildQueueId(item);
+  const data = { ...item, queuedAt: new Date().toISOString(), version: crypto.randomUUID(), claimedAt: null, sentAt: null };
+  try {
+    await databases.createDocument(databaseId, collectionId, id, { ...data, dueAt: dueAt.toISOString() });
+    return { id, replaced: false };
+  } catch (err) {
+    if (err.code !== 409) throw err;
+  }
+  // Keep the original dueAt so repeated events cannot keep pushing the digest back
+  await databases.updateDocument(databaseId, collectionId, id, data);
+  return { id, replaced: true };
+};
+
+// An immediate notice for the document makes whatever is queued for it stale
+export const removeDigestItems = async (databases, databaseId, collectionId, { userId, collectionId: sourceId, documentId }) => {
+  let removed = 0;
+  for (const frequency of QUEUED_FREQUENCIES) {
+    try {
+      await databases.deleteDocument(databaseId, collectionId, buildQueueId({ userId, frequency, collectionId: sourceId, documentId }));
+      removed += 1;
+    } catch (err) {
+      if (err.code !== 404) throw err;
+    }
+  }
+  return removed;
+};
+
+const isClaimed = (item, now) => {
+  const claimedAt = Date.parse(item.claimedAt || '');
+  return Number.isFinite(claimedAt) && now.getTime() - claimedAt < CLAIM_TTL_MS;
+};
+
+// Claiming returns each item as it is now, so the digest shows the latest queued content
+const claimItems = async (databases, databaseId, collectionId, items, now) => {
+  const claimed = [];
+  for (const item of items) {
+    try {
+      claimed.push(await databases.updateDocument(databaseId, collectionId, item.$id, { claimedAt: now.toISOString() }));
+    } catch (err) {
+      if (err.code !== 404) throw err;
+    }
+  }
+  return claimed;
+};
+
+const releaseItems = async (databases, databaseId, collectionId, items) => {
+  for (const item of items) {
+    try {
+      await databases.updateDocument(databaseId, collectionId, item.$id, { claimedAt: null });
+    } catch (err) {
+      // The claim expires on its own
+    }
+  }
+};
+
+// Only items still at the version that went out are marked sent and deleted; one a newer
+// event rewrote in the meantime stays queued. A marked item is never sent again, even if
+// deleting it fails.
+const settleItems = async (databases, databaseId, collectionId, items, errLogger) => {
+  const sentAt = new Date().toISOString();
+  const settled = [];
+  for (const item of items) {
+    let current;
+    try {
+      current = await databases.getDocument(databaseId, collectionId, item.$id);
+    } catch (err) {
+      if (err.code === 404) continue;
+      throw err;
+    }
+    if (current.version !== item.version) continue;
+    await databases.updateDocument(databaseId, collectionId, item.$id, { sentAt });
+    settled.push(item);
+  }
+  for (const item of settled) {
+    try {
+      await databases.deleteDocument(databaseId, collectionId, item.$id);
+    } catch (err) {
+      if (err.code !== 404) errLogger(`Failed to remove sent digest item ${item.$id}: ${err.message}`);
+    }
+  }
+};
+
+// Sent items a previous run could not delete, unless an event has re-queued them since
+const sweepSentItems = async (databases, databaseId, collectionId, batchSize) => {
+  const result = await databases.listDocuments(databaseId, collectionId, [
+    Query.isNotNull('sentAt'),
+    Query.limit(batchSize)
+  ]);
+  for (const item of result.documents || []) {
+    const current = await databases.getDocument(databaseId, collectionId, item.$id);
+    if (current.sentAt) await databases.deleteDocument(databaseId, collectionId, item.$id);
+  }
+};
+
+const groupByRecipient = (items) => {
+  const groups = new Map();
+  for (const item of items) {
+    const key = `${item.userId}/${item.frequency}`;
+    if (!groups.has(key)) groups.set(key, { userId: item.userId, frequency: item.frequency, items: [] });
+    groups.get(key).items.push(item);
+  }
+  return [...groups.values()];
+};
+
+// `sendDigest({ userId, frequency, items })` resolves to `{ sent: true }` or `{ ignored: reason }`.
+// Items are claimed before the send, so an overlapping run leaves them alone. Sent and ignored
+// items leave the queue; failed ones are released for the next run, and a dry run claims
+// nothing and leaves the queue as it found it.
+export const runDigests = async ({
+  databases,
+  databaseId,
+  collectionId,
+  now = new Date(),
+  batchSize = DEFAULT_DIGEST_BATCH,
+  dryRun = false,
+  sendDigest,
+  logger,
+  errLogger
+}) => {
+  const summary = { items: 0, digests: 0, sent: 0, ignored: {}, failed: 0, deferred: 0 };
+  if (!dryRun) {
+    try {
+      await sweepSentItems(databases, databaseId, collectionId, batchSize);
+    } catch (err) {
+      errLogger(`Failed to clear sent digest items: ${err.message}`);
+    }
+  }
+  let items;
+  try {
+    const result = await databases.listDocuments(databaseId, collectionId, [
+      Query.lessThanEqual('dueAt', now.toISOString()),
+      Query.isNull('sentAt'),
+      Query.orderAsc('userId'),
+      Query.limit(batchSize)
+    ]);
+    items = result.documents || [];
+  } catch (err) {
+    errLogger(`Failed to read digest queue ${collectionId}: ${err.message}`);
+    return { ...summary, error: err.message };
+  }
+  let groups = groupByRecipient(items.filter((item) => !isClaimed(item, now)));
+
+  // A full page may have cut the last recipient's items in two; send those next run instead
+  if (items.length >= batchSize && groups.length > 1) {
+    summary.deferred = groups.pop().items.length;
+  }
+
+  for (const group of groups) {
+    let claimed = [];
+    let outcome;
+    try {
+      claimed = dryRun ? group.items : await claimItems(databases, databaseId, collectionId, group.items, now);
+      if (!claimed.length) continue;
+      summary.digests += 1;
+      summary.items += claimed.length;
+      outcome = await sendDigest({ ...group, items: claimed });
+    } catch (err) {
+      summary.failed += 1;
+      errLogger(`Digest for user ${group.userId} (${group.frequency}) failed: ${err.message}`);
+      if (!dryRun) await releaseItems(databases, databaseId, collectionId, claimed);
+      continue;
+    }
+    if (outcome.sent) {
+      summary.sent += 1;
+    } else {
+      summary.ignored[outcome.ignored] = (summary.ignored[outcome.ignored] || 0) + 1;
+    }
+    if (dryRun) continue;
+    // The digest went out: items left claimed here are only freed once the claim expires
+    try {
+      await settleItems(databases, databaseId, collectionId, claimed, errLogger);
+    } catch (err) {
+      errLogger(`Digest for user ${group.userId} (${group.frequency}) was sent but its items were not settled: ${err.message}`);
+    }
+  }
+
+  logger(`Digests: ${summary.sent}/${summary.digests} sent covering ${summary.items} events.`);
+  return summary;
+};
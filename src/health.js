@@ -0,0 +1,66 @@
+import { Query } from 'node-appwrite';
+import { CHANNEL_DEFAULTS } from './channels.js';
+
+// No document or message has this id. Appwrite checks the key's scopes before it looks the id
+// up, so updating or deleting it fails with 404 when the scope is there and 401 when it is not:
+// write access is proven without writing anything.
+export const HEALTH_PROBE_ID = 'notify-health-probe';
+
+const isScopeError = (err) => err?.code === 401 || err?.code === 403 || /missing scope/i.test(err?.message || '');
+
+const probe = async (target, scope, run, { writeProbe = false } = {}) => {
+  try {
+    await run();
+    return { target, scope, ok: true };
+  } catch (err) {
+    if (isScopeError(err)) return { target, scope, ok: false, error: `The API key lacks the ${scope} scope.` };
+    if (writeProbe && (err.code === 404 || err.code === 400)) return { target, scope, ok: true };
+    return { target, scope, ok: false, error: err.message };
+  }
+};
+
+// One check per channel the routes can use: Messaging needs an enabled provider of that type.
+// Without one, opt-in channels (SMS, push) only warn, since no one may have opted in yet.
+const checkProviders = async (messaging, channels) => {
+  let providers;
+  try {
+    const result = await messaging.listProviders({ queries: [Query.equal('enabled', [true]), Query.limit(100)] });
+    providers = result.providers || [];
+  } catch (err) {
+    const error = isScopeError(err) ? 'The API key lacks the providers.read scope.' : err.message;
+    return [{ target: 'providers', scope: 'providers.read', ok: false, error }];
+  }
+  return channels.map((channel) => {
+    const check = { target: `provider ${channel}`, scope: 'providers.read' };
+    if (providers.some((provider) => provider.type === channel)) return { ...check, ok: true };
+    const problem = `No enabled ${channel} provider.`;
+    return CHANNEL_DEFAULTS[channel] ? { ...check, ok: false, error: problem } : { ...check, ok: true, warning: problem };
+  });
+};
+
+// `collections` lists { id, write } for every collection the configuration uses; `channels`
+// the channels its routes can send on. Resolves to `{ healthy, checks }` and sends nothing.
+export const checkHealth = async ({ databases, users, messaging, databaseId, collections, channels }) => {
+  const byId = new Map();
+  collections.forEach(({ id, write }) => byId.set(id, Boolean(byId.get(id) || write)));
+
+  const checks = [];
+  for (const [id, write] of byId) {
+    checks.push(
+      await probe(`collection ${id}`, 'documents.read', () => databases.listDocuments(databaseId, id, [Query.limit(1)]))
+    );
+    if (write) {
+      checks.push(
+        await probe(`collection ${id}`, 'documents.write', () => databases.updateDocument(databaseId, id, HEALTH_PROBE_ID, {}), {
+          writeProbe: true
+        })
+      );
+    }
+  }
+  checks.push(await probe('users', 'users.read', () => users.list([Query.limit(1)])));
+  checks.push(
+    await probe('messages', 'messages.write', () => messaging.delete({ messageId: HEALTH_PROBE_ID }), { writeProbe: true })
+  );
+  checks.push(...(await checkProviders(messaging, channels)));
+  return { healthy: checks.every((check) => check.ok), checks };
+};
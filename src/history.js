@@ -0,0 +1,95 @@
+import { ID, Query } from 'node-appwrite';
+
+export const DECISIONS = {
+  sent: 'sent',
+  ignored: 'ignored',
+  dryRun: 'dry_run',
+  queued: 'queued',
+  failed: 'failed',
+  superseded: 'superseded'
+};
+
+// How many recent entries findLastSent looks through for cancelled deferred sends
+const SUPERSEDE_WINDOW = 10;
+
+// Maps the response body returned by `main` to the decision recorded in the log
+export const decisionFromResponse = (body) => {
+  if (!body?.ok) return { decision: DECISIONS.failed, reason: body?.error || 'unknown_error' };
+  if (body.sent) return { decision: DECISIONS.sent, reason: null };
+  if (body.dryRun) return { decision: DECISIONS.dryRun, reason: null };
+  if (body.queued) return { decision: DECISIONS.queued, reason: body.digest || null };
+  if (body.ignored) return { decision: DECISIONS.ignored, reason: body.ignored };
+  return { decision: DECISIONS.ignored, reason: 'unknown' };
+};
+
+const firstMessageId = (channels) =>
+  Object.values(channels || {}).find((outcome) => outcome?.messageId)?.messageId || null;
+
+// The log is append-only: entries are created, never updated or deleted
+export const recordDecision = async (databases, databaseId, collectionId, entry) =>
+  databases.createDocument(databaseId, collectionId, ID.unique(), {
+    collectionId: entry.collectionId || null,
+    documentId: entry.documentId || null,
+    type: entry.type || null,
+    decision: entry.decision,
+    reason: entry.reason || null,
+    status: entry.status || null,
+    previousStatus: entry.previousStatus || null,
+    notificationType: entry.notificationType || null,
+    fingerprint: entry.fingerprint || null,
+    messageId: firstMessageId(entry.channels),
+    channels: entry.channels ? JSON.stringify(entry.channels) : null,
+    userId: entry.userId || null,
+    recipient: entry.recipient || null,
+    eventName: entry.eventName || null,
+    executionId: entry.executionId || null,
+    actor: entry.actor || null,
+    note: entry.note || null,
+    scheduledAt: entry.scheduledAt || null,
+    snapshot: entry.snapshot ? JSON.stringify(entry.snapshot) : null,
+    notifiedAt: entry.notifiedAt
+  });
+
+// Newest first
+export const listSent = async (databases, databaseId, collectionId, { sourceCollectionId, documentId, limit = 1 }) => {
+  const result = await databases.listDocuments(databaseId, collectionId, [
+    Query.equal('collectionId', sourceCollectionId),
+    Query.equal('documentId', documentId),
+    Query.equal('decision', DECISIONS.sent),
+    Query.orderDesc('notifiedAt'),
+    Query.limit(limit)
+  ]);
+  return result.documents || [];
+};
+
+// A deferred send that was cancelled before delivery is followed by a `superseded` entry with
+// the same messageId; it never reached the recipient, so it does not count as the last send
+export const findLastSent = async (databases, databaseId, collectionId, { sourceCollectionId, documentId }) => {
+  const result = await databases.listDocuments(databaseId, collectionId, [
+    Query.equal('collectionId', sourceCollectionId),
+    Query.equal('documentId', documentId),
+    Query.equal('decision', [DECISIONS.sent, DECISIONS.superseded]),
+    Query.orderDesc('notifiedAt'),
+    Query.limit(SUPERSEDE_WINDOW)
+  ]);
+  const entries = result.documents || [];
+  const cancelled = new Set(
+    entries.filter((entry) => entry.decision === DECISIONS.superseded).map((entry) => entry.messageId)
+  );
+  return (
+    entries.find((entry) => entry.decision === DECISIONS.sent && !(entry.messageId && cancelled.has(entry.messageId))) ||
+    null
+  );
+};
+
+// The latest entry that saw a status, whatever was decided, is the status before this change
+export const findLastStatus = async (databases, databaseId, collectionId, { sourceCollectionId, documentId }) => {
+  const result = await databases.listDocuments(databaseId, collectionId, [
+    Query.equal('collectionId', sourceCollectionId),
+    Query.equal('documentId', documentId),
+    Query.isNotNull('status'),
+    Query.orderDesc('notifiedAt'),
+    Query.limit(1)
+  ]);
+  return result.documents?.[0]?.status || null;
+};
@@ -0,0 +1,87 @@
+import en from './locales/en.js';
+import es from './locales/es.js';
+import { normalizeText, parseList } from './utils.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, es };
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const deepMerge = (base, override) => {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(base?.[key]) ? deepMerge(base[key], value) : value;
+  }
+  return result;
+};
+
+// Partial catalogs fall back to English key by key
+const RESOLVED_CATALOGS = Object.fromEntries(
+  Object.entries(CATALOGS).map(([locale, catalog]) => [locale, { ...deepMerge(en, catalog), locale }])
+);
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+const canonicalizeLocale = (value) => {
+  const text = normalizeText(value);
+  if (!text) return null;
+  return text.replace(/_/g, '-').toLowerCase();
+};
+
+// Matches "es-MX" to "es-MX" first, then its base language "es"
+export const matchLocale = (candidate) => {
+  const locale = canonicalizeLocale(candidate);
+  if (!locale) return null;
+  if (CATALOGS[locale]) return locale;
+  const base = locale.split('-')[0];
+  return CATALOGS[base] ? base : null;
+};
+
+// Candidates are tried in order; NOTIFY_LOCALE_FALLBACKS (e.g. "es,en") is tried last
+export const parseLocaleFallbacks = (value) => {
+  const fallbacks = parseList(value).map(matchLocale).filter(Boolean);
+  return fallbacks.length ? fallbacks : [DEFAULT_LOCALE];
+};
+
+export const resolveLocale = (candidates, fallbacks = [DEFAULT_LOCALE]) => {
+  for (const candidate of [...candidates, ...fallbacks]) {
+    const locale = matchLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+};
+
+export const getLocaleCandidates = ({ user, document }) => [
+  user?.prefs?.locale,
+  user?.prefs?.language,
+  document?.locale
+];
+
+export const getStrings = (locale) => RESOLVED_CATALOGS[locale] || RESOLVED_CATALOGS[DEFAULT_LOCALE];
+
+// Replaces {name} placeholders; unknown placeholders are left untouched
+export const format = (template, values = {}) =>
+  String(template || '').replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] === undefined || values[key] === null ? match : String(values[key])
+  );
+
+export const formatDate = (locale, value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return null;
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' }).format(date);
+};
+
+export const formatCurrency = (locale, amount, currency = 'USD') => {
+  const value = typeof amount === 'number' ? amount : Number.parseFloat(amount);
+  if (amount === null || amount === undefined || amount === '' || Number.isNaN(value)) return null;
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value);
+  } catch (err) {
+    return new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(value);
+  }
+};
+
+// `value` is a percentage (12.5 means 12.5%)
+export const formatPercent = (locale, value) =>
+  new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 1 }).format(value / 100);
@@ -0,0 +1,240 @@
+export default {
+  statusLabels: {
+    draft: 'Draft',
+    submitted: 'Submitted',
+    in_review: 'In Review',
+    approved: 'Approved',
+    rejected: 'Rejected',
+    needs_action: 'Needs Action'
+  },
+
+  applicationLabels: {
+    applications: 'Government Application',
+    nationalIds: 'National ID Application',
+    businesses: 'Business Registration',
+    gunLicenses: 'Gun License Application'
+  },
+
+  application: {
+    subject: {
+      needs_action: 'Action Required: {label} - Reference {reference}',
+      approved: 'Application Approved: {label} - Reference {reference}',
+      rejected: 'Application Status Update: {label} - Reference {reference}',
+      updated: 'Application Updated: {label} - Reference {reference}',
+      default: 'Status Update: {label} - Reference {reference}'
+    },
+    heading: 'Application Status Update',
+    greeting: 'Dear {name},',
+    greetingFallback: 'Dear Applicant,',
+    statusMessage: {
+      needs_action:
+        'We require additional information or action from you to continue processing your {label}. Please review the details below and take the necessary steps at your earliest convenience to avoid delays in processing.',
+      approved:
+        'We are pleased to inform you that your {label} has been approved. You may now proceed with the next steps as outlined in your application.',
+      rejected:
+        'After careful review, we regret to inform you that your {label} has not been approved at this time. Please review the details below for more information.',
+      in_review: 'Your {label} is now being reviewed by our team. We will notify you once the review is complete.',
+      updated: 'There are updates to your {label}. Its status is still {status}; what changed is shown below.',
+      default: 'Your {label} status has been updated to {status}.'
+    },
+    nextSteps: {
+      needs_action: {
+        title: 'ACTION REQUIRED',
+        body: 'Please log in to your portal and address the items mentioned in the administrator notes below. Prompt action will help avoid delays in processing your application.'
+      },
+      approved: {
+        title: 'NEXT STEPS',
+        body: 'Please log in to your portal to view complete details and download any necessary documents. Further instructions are available in your application dashboard.'
+      },
+      rejected: {
+        title: 'IMPORTANT INFORMATION',
+        body: 'If you have questions or wish to reapply, please log in to your portal or contact our support team for assistance.'
+      },
+      in_review: {
+        title: "WHAT'S NEXT",
+        body: 'Our team is currently reviewing your application. You can track the status at any time by logging in to your portal.'
+      }
+    },
+    notes: {
+      adminNotes: 'Administrator Notes:',
+      needsActionNote: 'Action Required Details:',
+      rejectionReason: 'Reason for Status:'
+    },
+    changes: {
+      title: 'What Changed',
+      notSet: 'Not set',
+      redacted: 'Updated (hidden for your security)'
+    },
+    details: {
+      title: 'Application Details',
+      type: 'Type:',
+      reference: 'Reference:',
+      status: 'Status:'
+    },
+    cta: 'View Application Details',
+    support: "If you have any questions or need assistance, please don't hesitate to contact our support team.",
+    footer: 'This is an automated notification from the Citizen Portal.',
+    noReply: 'Please do not reply to this email.'
+  },
+
+  reminder: {
+    subject: {
+      first: 'Reminder: Action Required for {label} - Reference {reference}',
+      followUp: 'Action Still Required: {label} - Reference {reference}',
+      final: 'Final Reminder: Action Required for {label} - Reference {reference}'
+    },
+    heading: {
+      first: 'Friendly Reminder',
+      followUp: 'Action Still Required',
+      final: 'Final Reminder'
+    },
+    intro: 'On {date} we asked you to provide additional information or take action on your {label}. We have not received a response yet.',
+    introFallback: 'We recently asked you to provide additional information or take action on your {label}. We have not received a response yet.',
+    escalation: {
+      first: 'Please log in to your portal and complete the requested steps so we can continue processing your application.',
+      followUp: 'Your application remains on hold until the requested action is completed. Please respond as soon as possible to avoid further delays.',
+      final: 'This is our final reminder. Your application cannot move forward until you complete the requested action.'
+    },
+    waiting: 'Waiting for your response: {days} days'
+  },
+
+  staffAlert: {
+    subject: {
+      resubmitted: 'Resubmitted: {label} - Reference {reference}',
+      stale_review: 'In Review for {days} Days: {label} - Reference {reference}'
+    },
+    heading: {
+      resubmitted: 'Application Resubmitted',
+      stale_review: 'Application Waiting for Review'
+    },
+    message: {
+      resubmitted: 'The applicant has responded to the action request on this {label}. It is now {status} and ready for review.',
+      stale_review: 'This {label} has been in review for {days} days without any changes.'
+    },
+    details: {
+      title: 'Application Details',
+      type: 'Type:',
+      reference: 'Reference:',
+      applicant: 'Applicant:',
+      status: 'Status:',
+      previousStatus: 'Previous Status:'
+    },
+    internalTitle: 'Internal Fields',
+    cta: 'Open in Admin Portal',
+    footer: 'Internal staff alert. Do not forward to applicants.'
+  },
+
+  payStub: {
+    subject: 'New Pay Stub Available: {period}',
+    subjectFallback: 'New Pay Stub Available',
+    heading: 'New Pay Stub Available',
+    greeting: 'Dear {name},',
+    greetingFallback: 'Dear Employee,',
+    intro: 'Your pay stub for {period} is now available for viewing and download in your employee portal.',
+    introFallback: 'Your pay stub is now available for viewing and download in your employee portal.',
+    detailsTitle: 'Pay Stub Information',
+    period: 'Period: {period}',
+    periodRange: '{start} - {end}',
+    reference: 'Reference: {reference}',
+    summary: {
+      title: 'Earnings Summary',
+      grossPay: 'Gross pay',
+      deductions: 'Deductions',
+      otherDeductions: 'Other deductions',
+      netPay: 'Net pay',
+      yearToDate: 'Year to Date',
+      masked: '••••••',
+      maskedNote: 'Amounts are hidden for your privacy. Log in to your portal to see them.'
+    },
+    changes: {
+      title: 'Changes Since Your Last Pay Stub',
+      increased: '{label} increased by {percent} compared with {period}.',
+      decreased: '{label} decreased by {percent} compared with {period}.',
+      increasedMasked: '{label} increased compared with {period}.',
+      decreasedMasked: '{label} decreased compared with {period}.',
+      previousFallback: 'your previous pay stub'
+    },
+    attachment: 'A PDF summary of this pay stub is attached.',
+    attachmentProtected: 'A PDF summary of this pay stub is attached. Open it with your pay stub password.',
+    cta: 'View Pay Stub',
+    outro: 'Please log in to your portal to view detailed information and download a copy for your records.',
+    footer: 'This is an automated notification from the Employee Portal.',
+    noReply: 'Please do not reply to this email.'
+  },
+
+  payStubPdf: {
+    title: 'Pay Stub Summary',
+    period: 'Pay period',
+    payDate: 'Pay date',
+    reference: 'Reference',
+    employer: 'Employer',
+    employee: 'Employee',
+    name: 'Name',
+    employeeNumber: 'Employee number',
+    department: 'Department',
+    position: 'Position',
+    earnings: 'Earnings',
+    grossPay: 'Gross pay',
+    deductions: 'Deductions',
+    totalDeductions: 'Total deductions',
+    netPay: 'Net pay',
+    yearToDate: 'Year to Date',
+    generated: 'Generated on {date}. The pay stub in your employee portal is the official record.'
+  },
+
+  digest: {
+    subject: {
+      daily: 'Your Daily Summary: {count} updates',
+      weekly: 'Your Weekly Summary: {count} updates'
+    },
+    heading: {
+      daily: 'Your Daily Summary',
+      weekly: 'Your Weekly Summary'
+    },
+    greeting: 'Hello {name},',
+    greetingFallback: 'Hello,',
+    intro: {
+      daily: 'Here is a summary of the updates from the past day.',
+      weekly: 'Here is a summary of the updates from the past week.'
+    },
+    applicationsTitle: 'Applications',
+    payStubsTitle: 'Pay Stubs',
+    application: '{label} - Reference {reference}',
+    applicant: 'Applicant: {name}',
+    status: 'Status: {status}',
+    payStub: 'Pay stub for {period}',
+    payStubFallback: 'New pay stub',
+    netPay: 'Net Pay: {amount}',
+    view: 'View',
+    reason: {
+      daily: 'You receive this summary because you chose daily updates. You can change this in your notification preferences.',
+      weekly: 'You receive this summary because you chose weekly updates. You can change this in your notification preferences.'
+    },
+    noReply: 'Please do not reply to this email.'
+  },
+
+  branding: {
+    footer: 'This is an automated notification from {portal}.',
+    support: 'Need help? Contact {contact}.'
+  },
+
+  sms: {
+    application: '{label} (Ref {reference}): status updated to {status}.',
+    applicationUpdated: '{label} (Ref {reference}): your application details were updated.',
+    actionRequired: 'Action is required - please log in to your portal.',
+    payStub: 'New pay stub available for {period}.',
+    payStubFallback: 'New pay stub available.',
+    link: 'View it at {link}'
+  },
+
+  push: {
+    applicationTitle: '{label}: {status}',
+    actionRequiredTitle: 'Action Required: {label}',
+    applicationBody: 'Reference {reference} is now {status}. Tap to view details.',
+    applicationUpdatedTitle: '{label} Updated',
+    applicationUpdatedBody: 'Reference {reference} has new details. Tap to see what changed.',
+    payStubTitle: 'New Pay Stub Available',
+    payStubBody: 'Your pay stub for {period} is ready.',
+    payStubBodyFallback: 'Your latest pay stub is ready.'
+  }
+};
@@ -0,0 +1,240 @@
+export default {
+  statusLabels: {
+    draft: 'Borrador',
+    submitted: 'Enviada',
+    in_review: 'En Revisión',
+    approved: 'Aprobada',
+    rejected: 'Rechazada',
+    needs_action: 'Requiere Acción'
+  },
+
+  applicationLabels: {
+    applications: 'Solicitud Gubernamental',
+    nationalIds: 'Solicitud de Documento Nacional de Identidad',
+    businesses: 'Registro de Empresa',
+    gunLicenses: 'Solicitud de Licencia de Armas'
+  },
+
+  application: {
+    subject: {
+      needs_action: 'Acción Requerida: {label} - Referencia {reference}',
+      approved: 'Solicitud Aprobada: {label} - Referencia {reference}',
+      rejected: 'Actualización de Estado: {label} - Referencia {reference}',
+      updated: 'Solicitud Actualizada: {label} - Referencia {reference}',
+      default: 'Actualización de Estado: {label} - Referencia {reference}'
+    },
+    heading: 'Actualización del Estado de su Solicitud',
+    greeting: 'Estimado/a {name}:',
+    greetingFallback: 'Estimado/a solicitante:',
+    statusMessage: {
+      needs_action:
+        'Necesitamos información adicional o una acción de su parte para continuar con el trámite de su {label}. Revise los detalles a continuación y realice los pasos necesarios lo antes posible para evitar demoras.',
+      approved:
+        'Nos complace informarle que su {label} ha sido aprobada. Ya puede continuar con los siguientes pasos indicados en su solicitud.',
+      rejected:
+        'Después de una revisión cuidadosa, lamentamos informarle que su {label} no ha sido aprobada en este momento. Revise los detalles a continuación para obtener más información.',
+      in_review: 'Nuestro equipo está revisando su {label}. Le avisaremos cuando la revisión haya concluido.',
+      updated: 'Hay novedades en su {label}. Su estado sigue siendo {status}; los cambios se muestran a continuación.',
+      default: 'El estado de su {label} se actualizó a {status}.'
+    },
+    nextSteps: {
+      needs_action: {
+        title: 'ACCIÓN REQUERIDA',
+        body: 'Inicie sesión en su portal y atienda los puntos indicados en las notas del administrador. Actuar con prontitud ayudará a evitar demoras en el trámite de su solicitud.'
+      },
+      approved: {
+        title: 'PRÓXIMOS PASOS',
+        body: 'Inicie sesión en su portal para ver todos los detalles y descargar los documentos necesarios. Encontrará más instrucciones en el panel de su solicitud.'
+      },
+      rejected: {
+        title: 'INFORMACIÓN IMPORTANTE',
+        body: 'Si tiene preguntas o desea volver a presentar la solicitud, inicie sesión en su portal o comuníquese con nuestro equipo de soporte.'
+      },
+      in_review: {
+        title: 'QUÉ SIGUE',
+        body: 'Nuestro equipo está revisando su solicitud. Puede consultar el estado en cualquier momento iniciando sesión en su portal.'
+      }
+    },
+    notes: {
+      adminNotes: 'Notas del administrador:',
+      needsActionNote: 'Detalles de la acción requerida:',
+      rejectionReason: 'Motivo del estado:'
+    },
+    changes: {
+      title: 'Qué Cambió',
+      notSet: 'Sin definir',
+      redacted: 'Actualizado (oculto por su seguridad)'
+    },
+    details: {
+      title: 'Detalles de la Solicitud',
+      type: 'Tipo:',
+      reference: 'Referencia:',
+      status: 'Estado:'
+    },
+    cta: 'Ver Detalles de la Solicitud',
+    support: 'Si tiene preguntas o necesita ayuda, no dude en comunicarse con nuestro equipo de soporte.',
+    footer: 'Esta es una notificación automática del Portal Ciudadano.',
+    noReply: 'Por favor, no responda a este correo.'
+  },
+
+  reminder: {
+    subject: {
+      first: 'Recordatorio: Acción Requerida para {label} - Referencia {reference}',
+      followUp: 'Acción Aún Pendiente: {label} - Referencia {reference}',
+      final: 'Último Recordatorio: Acción Requerida para {label} - Referencia {reference}'
+    },
+    heading: {
+      first: 'Recordatorio',
+      followUp: 'Su Acción Sigue Pendiente',
+      final: 'Último Recordatorio'
+    },
+    intro: 'El {date} le pedimos información adicional o una acción sobre su {label}. Todavía no hemos recibido respuesta.',
+    introFallback: 'Recientemente le pedimos información adicional o una acción sobre su {label}. Todavía no hemos recibido respuesta.',
+    escalation: {
+      first: 'Inicie sesión en su portal y complete los pasos solicitados para que podamos continuar con el trámite de su solicitud.',
+      followUp: 'Su solicitud permanece en espera hasta que se complete la acción solicitada. Responda lo antes posible para evitar más demoras.',
+      final: 'Este es nuestro último recordatorio. Su solicitud no podrá avanzar hasta que complete la acción solicitada.'
+    },
+    waiting: 'Esperando su respuesta: {days} días'
+  },
+
+  staffAlert: {
+    subject: {
+      resubmitted: 'Reenviada: {label} - Referencia {reference}',
+      stale_review: 'En Revisión desde hace {days} Días: {label} - Referencia {reference}'
+    },
+    heading: {
+      resubmitted: 'Solicitud Reenviada',
+      stale_review: 'Solicitud Pendiente de Revisión'
+    },
+    message: {
+      resubmitted: 'El solicitante respondió a la solicitud de acción de esta {label}. Ahora está {status} y lista para revisión.',
+      stale_review: 'Esta {label} lleva {days} días en revisión sin cambios.'
+    },
+    details: {
+      title: 'Detalles de la Solicitud',
+      type: 'Tipo:',
+      reference: 'Referencia:',
+      applicant: 'Solicitante:',
+      status: 'Estado:',
+      previousStatus: 'Estado Anterior:'
+    },
+    internalTitle: 'Campos Internos',
+    cta: 'Abrir en el Portal de Administración',
+    footer: 'Alerta interna para el personal. No la reenvíe a los solicitantes.'
+  },
+
+  payStub: {
+    subject: 'Nuevo Recibo de Pago Disponible: {period}',
+    subjectFallback: 'Nuevo Recibo de Pago Disponible',
+    heading: 'Nuevo Recibo de Pago Disponible',
+    greeting: 'Estimado/a {name}:',
+    greetingFallback: 'Estimado/a empleado/a:',
+    intro: 'Su recibo de pago de {period} ya está disponible para consulta y descarga en su portal de empleados.',
+    introFallback: 'Su recibo de pago ya está disponible para consulta y descarga en su portal de empleados.',
+    detailsTitle: 'Información del Recibo de Pago',
+    period: 'Periodo: {period}',
+    periodRange: '{start} - {end}',
+    reference: 'Referencia: {reference}',
+    summary: {
+      title: 'Resumen de Ingresos',
+      grossPay: 'Pago bruto',
+      deductions: 'Deducciones',
+      otherDeductions: 'Otras deducciones',
+      netPay: 'Pago neto',
+      yearToDate: 'Acumulado del Año',
+      masked: '••••••',
+      maskedNote: 'Los importes se ocultan para proteger su privacidad. Inicie sesión en su portal para verlos.'
+    },
+    changes: {
+      title: 'Cambios Desde su Último Recibo de Pago',
+      increased: '{label} aumentó un {percent} respecto a {period}.',
+      decreased: '{label} disminuyó un {percent} respecto a {period}.',
+      increasedMasked: '{label} aumentó respecto a {period}.',
+      decreasedMasked: '{label} disminuyó respecto a {period}.',
+      previousFallback: 'su recibo de pago anterior'
+    },
+    attachment: 'Se adjunta un resumen en PDF de este recibo de pago.',
+    attachmentProtected: 'Se adjunta un resumen en PDF de este recibo de pago. Ábralo con su contraseña de recibos de pago.',
+    cta: 'Ver Recibo de Pago',
+    outro: 'Inicie sesión en su portal para ver la información detallada y descargar una copia para sus registros.',
+    footer: 'Esta es una notificación automática del Portal de Empleados.',
+    noReply: 'Por favor, no responda a este correo.'
+  },
+
+  payStubPdf: {
+    title: 'Resumen del Recibo de Pago',
+    period: 'Periodo de pago',
+    payDate: 'Fecha de pago',
+    reference: 'Referencia',
+    employer: 'Empleador',
+    employee: 'Empleado/a',
+    name: 'Nombre',
+    employeeNumber: 'Número de empleado',
+    department: 'Departamento',
+    position: 'Puesto',
+    earnings: 'Ingresos',
+    grossPay: 'Pago bruto',
+    deductions: 'Deducciones',
+    totalDeductions: 'Total de deducciones',
+    netPay: 'Pago neto',
+    yearToDate: 'Acumulado del Año',
+    generated: 'Generado el {date}. El recibo de pago de su portal de empleados es el registro oficial.'
+  },
+
+  digest: {
+    subject: {
+      daily: 'Su Resumen Diario: {count} actualizaciones',
+      weekly: 'Su Resumen Semanal: {count} actualizaciones'
+    },
+    heading: {
+      daily: 'Su Resumen Diario',
+      weekly: 'Su Resumen Semanal'
+    },
+    greeting: 'Hola {name}:',
+    greetingFallback: 'Hola:',
+    intro: {
+      daily: 'Este es el resumen de las actualizaciones del último día.',
+      weekly: 'Este es el resumen de las actualizaciones de la última semana.'
+    },
+    applicationsTitle: 'Solicitudes',
+    payStubsTitle: 'Recibos de Pago',
+    application: '{label} - Referencia {reference}',
+    applicant: 'Solicitante: {name}',
+    status: 'Estado: {status}',
+    payStub: 'Recibo de pago de {period}',
+    payStubFallback: 'Nuevo recibo de pago',
+    netPay: 'Pago neto: {amount}',
+    view: 'Ver',
+    reason: {
+      daily: 'Recibe este resumen porque eligió actualizaciones diarias. Puede cambiarlo en sus preferencias de notificación.',
+      weekly: 'Recibe este resumen porque eligió actualizaciones semanales. Puede cambiarlo en sus preferencias de notificación.'
+    },
+    noReply: 'Por favor, no responda a este correo.'
+  },
+
+  branding: {
+    footer: 'Esta es una notificación automática de {portal}.',
+    support: '¿Necesita ayuda? Comuníquese con {contact}.'
+  },
+
+  sms: {
+    application: '{label} (Ref {reference}): el estado cambió a {status}.',
+    applicationUpdated: '{label} (Ref {reference}): se actualizaron los datos de su solicitud.',
+    actionRequired: 'Se requiere una acción: inicie sesión en su portal.',
+    payStub: 'Nuevo recibo de pago disponible de {period}.',
+    payStubFallback: 'Nuevo recibo de pago disponible.',
+    link: 'Consúltelo en {link}'
+  },
+
+  push: {
+    applicationTitle: '{label}: {status}',
+    actionRequiredTitle: 'Acción Requerida: {label}',
+    applicationBody: 'La referencia {reference} ahora está {status}. Toque para ver los detalles.',
+    applicationUpdatedTitle: '{label} Actualizada',
+    applicationUpdatedBody: 'La referencia {reference} tiene datos nuevos. Toque para ver qué cambió.',
+    payStubTitle: 'Nuevo Recibo de Pago Disponible',
+    payStubBody: 'Su recibo de pago de {period} está listo.',
+    payStubBodyFallback: 'Su recibo de pago más reciente está listo.'
+  }
+};
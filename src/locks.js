@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { parseDate } from './utils.js';
+
+export const DEFAULT_LOCK_TTL_SECONDS = 120;
+
+// Expired claims are superseded by the next generation instead of being deleted and
+// re-created, so two executions taking over the same stale claim still race on a
+// single create and exactly one of them wins.
+const MAX_GENERATIONS = 20;
+
+// Document IDs are limited to 36 chars of [a-zA-Z0-9._-]
+export const buildLockId = ({ collectionId, documentId, fingerprint }, generation = 0) =>
+  `lock_${crypto
+    .createHash('sha256')
+    .update(`${collectionId}/${documentId}/${fingerprint}/${generation}`)
+    .digest('hex')
+    .slice(0, 31)}`;
+
+const isConflict = (err) => err?.code === 409;
+
+const isExpired = (lock, now) => {
+  const expiresAt = parseDate(lock?.expiresAt);
+  return !expiresAt || expiresAt <= now;
+};
+
+export const claimLock = async (
+  databases,
+  databaseId,
+  collectionId,
+  { key, executionId, ttlMs = DEFAULT_LOCK_TTL_SECONDS * 1000, now = new Date() }
+) => {
+  const token = crypto.randomUUID();
+  let generation = 0;
+  for (let attempt = 0; attempt < MAX_GENERATIONS * 2 && generation < MAX_GENERATIONS; attempt += 1) {
+    const lockId = buildLockId(key, generation);
+    try {
+      await databases.createDocument(databaseId, collectionId, lockId, {
+        collectionId: key.collectionId,
+        documentId: key.documentId,
+        fingerprint: key.fingerprint,
+        generation,
+        executionId: executionId || null,
+        token,
+        expiresAt: new Date(now.getTime() + ttlMs).toISOString()
+      });
+      return { acquired: true, lockId, token, key, generation };
+    } catch (err) {
+      if (!isConflict(err)) throw err;
+    }
+
+    let existing;
+    try {
+      existing = await databases.getDocument(databaseId, collectionId, lockId);
+    } catch (err) {
+      // Released between our create and read: try the same generation again
+      if (err.code === 404) continue;
+      throw err;
+    }
+    if (!isExpired(existing, now)) {
+      return { acquired: false, lockId, holder: existing.executionId || null };
+    }
+    generation += 1;
+  }
+  return { acquired: false, lockId: null, holder: null };
+};
+
+// A claim taken over at generation N leaves the expired generations below it behind. They are
+// only needed while the claim is held, to send later claimers past them, so the holder removes
+// them (still expired, newest first) just before its own claim. This is best effort: whatever
+// cannot be removed stays behind as before and never blocks the release.
+const removeStaleGenerations = async (databases, databaseId, collectionId, key, generation, now) => {
+  for (let stale = generation - 1; stale >= 0; stale -= 1) {
+    const lockId = buildLockId(key, stale);
+    try {
+      const existing = await databases.getDocument(databaseId, collectionId, lockId);
+      if (isExpired(existing, now)) await databases.deleteDocument(databaseId, collectionId, lockId);
+    } catch (err) {
+      if (err.code !== 404) return;
+    }
+  }
+};
+
+// Only the holder (matching claim token) deletes its claim, so a slow execution whose
+// claim already expired cannot remove a newer claim taken by someone else
+export const releaseLock = async (databases, databaseId, collectionId, { lockId, token, key, generation = 0 }) => {
+  try {
+    const existing = await databases.getDocument(databaseId, collectionId, lockId);
+    if (existing.token !== token) return false;
+    if (key && generation > 0) {
+      await removeStaleGenerations(databases, databaseId, collectionId, key, generation, new Date());
+    }
+    await databases.deleteDocument(databaseId, collectionId, lockId);
+    return true;
+  } catch (err) {
+    if (err.code === 404) return false;
+    throw err;
+  }
+};
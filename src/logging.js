@@ -0,0 +1,60 @@
+import { maskEmail } from './utils.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const DEFAULT_LOG_LEVEL = 'info';
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+
+export const normalizeLogLevel = (value) => {
+  const level = String(value || '').trim().toLowerCase();
+  return LOG_LEVELS.includes(level) ? level : DEFAULT_LOG_LEVEL;
+};
+
+// Addresses never reach the execution logs, whether they appear in a message or a field
+export const maskEmails = (value) => String(value).replace(EMAIL_PATTERN, (address) => maskEmail(address));
+
+const scrub = (value) => {
+  if (typeof value === 'string') return maskEmails(value);
+  if (value instanceof Error) return maskEmails(value.message);
+  if (Array.isArray(value)) return value.map(scrub);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scrub(item)]));
+  }
+  return value;
+};
+
+// Each line is one JSON object: level, time, the bound fields (executionId, collection,
+// document, ...), the call's own fields and the message. `log` and `error` are the Appwrite
+// context writers; warnings and errors go to `error`.
+export const createLogger = ({ log, error, level = DEFAULT_LOG_LEVEL, fields = {} }) => {
+  const threshold = LOG_LEVELS.indexOf(normalizeLogLevel(level));
+  const write = (entryLevel, message, extra) => {
+    if (LOG_LEVELS.indexOf(entryLevel) < threshold) return;
+    const entry = scrub({ level: entryLevel, time: new Date().toISOString(), ...fields, ...extra, message });
+    (entryLevel === 'warn' || entryLevel === 'error' ? error : log)(JSON.stringify(entry));
+  };
+  return {
+    debug: (message, extra) => write('debug', message, extra),
+    info: (message, extra) => write('info', message, extra),
+    warn: (message, extra) => write('warn', message, extra),
+    error: (message, extra) => write('error', message, extra),
+    child: (extra) => createLogger({ log, error, level, fields: { ...fields, ...extra } })
+  };
+};
+
+// Timings for one execution; repeated steps (several sends, say) add up under one name
+export const createMetrics = (clock = () => Date.now()) => {
+  const startedAt = clock();
+  const timings = {};
+  return {
+    time: async (name, fn) => {
+      const start = clock();
+      try {
+        return await fn();
+      } finally {
+        timings[name] = (timings[name] || 0) + clock() - start;
+      }
+    },
+    summary: () => ({ ...timings, durationMs: clock() - startedAt })
+  };
+};
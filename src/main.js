@@ -1,117 +1,159 @@
-﻿import crypto from 'crypto';
-import { Client, Databases, Users, Messaging, ID } from 'node-appwrite';
-
-const STATUS_LABELS = {
-  draft: 'Draft',
-  submitted: 'Submitted',
-  in_review: 'In Review',
-  approved: 'Approved',
-  rejected: 'Rejected',
-  needs_action: 'Needs Action'
-};
-
-const NOTIFIABLE_STATUSES = new Set(['in_review', 'approved', 'rejected', 'needs_action']);
-
-const APPLICATION_COLLECTION_IDS = {
-  applicationForms: process.env.APPLICATION_FORMS_COLLECTION_ID || 'application_forms',
-  nationalIds: process.env.NATIONAL_ID_COLLECTION_ID || 'national_id_applications',
-  businesses: process.env.BUSINESS_COLLECTION_ID || 'business_registrations',
-  gunLicenses: process.env.GUN_LICENSE_COLLECTION_ID || 'gun_licenses'
-};
-
-const APPLICATION_COLLECTIONS = {
-  [APPLICATION_COLLECTION_IDS.applicationForms]: {
-    source: 'applications',
-    label: 'Government Application'
-  },
-  [APPLICATION_COLLECTION_IDS.nationalIds]: {
-    source: 'nationalIds',
-    label: 'National ID Application'
-  },
-  [APPLICATION_COLLECTION_IDS.businesses]: {
-    source: 'businesses',
-    label: 'Business Registration'
-  },
-  [APPLICATION_COLLECTION_IDS.gunLicenses]: {
-    source: 'gunLicenses',
-    label: 'Gun License Application'
-  }
-};
-
-const PAY_STUBS_COLLECTION_ID = process.env.PAY_STUBS_COLLECTION_ID || 'pay_stubs';
-const EMPLOYEES_COLLECTION_ID = process.env.EMPLOYEES_COLLECTION_ID || 'employees';
-
-const DEFAULT_THROTTLE_MINUTES = 10;
-
-// Environment variable: NOTIFY_THROTTLE_MINUTES
-
-const parseJson = (value) => {
-  if (!value) return null;
-  if (typeof value === 'object') return value;
+﻿import { Client, Databases, Users, Messaging, Teams, Storage, Query } from 'node-appwrite';
+import {
+  parseJson,
+  titleCase,
+  normalizeText,
+  hashPayload,
+  maskEmail,
+  parseDate
+} from './utils.js';
+import { PAY_STUB_CATEGORY, loadPreferences, resolveDelivery } from './preferences.js';
+import {
+  PAY_STUB_ROUTE,
+  resolveRoute,
+  canReach,
+  sendChannels,
+  summarizeOutcomes
+} from './channels.js';
+import {
+  resolveLocale,
+  getLocaleCandidates,
+  getStrings,
+  format,
+  formatDate,
+  formatCurrency
+} from './i18n.js';
+import {
+  PAY_STUB_TEMPLATE_KEYS,
+  loadTemplateFiles,
+  loadTemplateOverrides,
+  createTemplateRegistry,
+  requiredTemplates,
+  mergeRegistries,
+  applicationTemplateKeys,
+  resolveTemplate
+} from './templating.js';
+import { DECISIONS, recordDecision, decisionFromResponse, findLastSent, findLastStatus } from './history.js';
+import { claimLock, releaseLock } from './locks.js';
+import { withRetry } from './retry.js';
+import { enqueueDeadLetter, redriveDeadLetters } from './deadletter.js';
+import { REMINDER_STATUS, reminderTemplateKeys, runReminders } from './reminders.js';
+import {
+  DIGEST_KINDS,
+  nextDigestAt,
+  enqueueDigestItem,
+  removeDigestItems,
+  runDigests
+} from './digest.js';
+import {
+  STAFF_ALERTS,
+  DEFAULT_ADMIN_PATH,
+  staffAlertsFor,
+  isResubmission,
+  mayBeResubmission,
+  staffTemplateKeys,
+  resolveTeamMembers,
+  sendStaffEmail,
+  claimStaffAlert,
+  isStaffAlertClaimed,
+  completeStaffAlert,
+  releaseStaffAlert,
+  runStaleReviewAlerts
+} from './staff.js';
+import { parseWebhooks, dispatchWebhooks } from './webhooks.js';
+import { TEST_SUBJECT_PREFIX, isAdminRequest, adminError, handleAdminRequest } from './admin.js';
+import { htmlToText } from './plaintext.js';
+import { preparePayStubAttachment, purgeGeneratedPdfs, findPreviousPayStub, buildPayStubBreakdown } from './paystubs.js';
+import { loadApplicationRegistry, getApplicantName, getReference, buildPortalPath } from './registry.js';
+import { loadBrandingRegistry, resolveProfile, buildBrandView } from './branding.js';
+import { recipientTimezone, quietHoursEnd } from './quiet.js';
+import { normalizeStatus, evaluateTransition, hasNotifyRuleFor } from './workflow.js';
+import { createLogger, createMetrics } from './logging.js';
+import {
+  validateBulkRequest,
+  normalizeBulkRequest,
+  decodeCursor,
+  loadBulkPage,
+  prefetchDocuments,
+  prefetchUsers,
+  runWithLimits,
+  bulkEventName,
+  reportEntry,
+  summarizeReport,
+  enqueueBulkJob,
+  runBulkJobs
+} from './bulk.js';
+import { EMPTY_SNAPSHOT, takeSnapshot, diffSnapshots, hasChanges } from './changes.js';
+import { checkApplicationNotice, checkPayStubNotice, buildDryRunReport } from './presend.js';
+import { loadConfig } from './config.js';
+import { checkHealth } from './health.js';
+
+// Every other environment variable is parsed and validated here, once per cold start; while
+// CONFIG.errors is non-empty each execution fails with the list instead of running half-configured
+const CONFIG = loadConfig();
+const SETTINGS = CONFIG.settings;
+
+// Application types come from NOTIFY_APPLICATION_TYPES(_FILE) merged over the built-ins;
+// the registry is validated once per cold start and a broken config fails every execution
+const APPLICATION_REGISTRY = loadApplicationRegistry();
+
+// Branding profiles (NOTIFY_BRANDING_PROFILES(_FILE)) over the built-in default look; like the
+// application types they are validated once per cold start
+const BRANDING = loadBrandingRegistry(process.env, { types: APPLICATION_REGISTRY.types });
+
+// Outbound webhook destinations (NOTIFY_WEBHOOKS); invalid entries are skipped with an error log
+const WEBHOOKS = parseWebhooks(process.env.NOTIFY_WEBHOOKS);
+
+const PAY_STUBS_COLLECTION_ID = SETTINGS.collections.payStubs;
+const EMPLOYEES_COLLECTION_ID = SETTINGS.collections.employees;
+const PREFERENCES_COLLECTION_ID = SETTINGS.collections.preferences;
+const NOTIFICATION_LOG_COLLECTION_ID = SETTINGS.collections.log;
+const NOTIFICATION_LOCKS_COLLECTION_ID = SETTINGS.collections.locks;
+const DIGEST_COLLECTION_ID = SETTINGS.collections.digest;
+const STAFF_ALERTS_COLLECTION_ID = SETTINGS.collections.staffAlerts;
+const DEAD_LETTER_COLLECTION_ID = SETTINGS.collections.deadLetters;
+const BULK_JOBS_COLLECTION_ID = SETTINGS.collections.bulkJobs;
+
+const TEMPLATES_DIR = SETTINGS.templatesDir;
+const TEMPLATES_COLLECTION_ID = SETTINGS.collections.templates;
+
+// File templates are compiled once per cold start; overrides from the templates collection
+// are cached for NOTIFY_TEMPLATE_CACHE_SECONDS so copy edits go live without a redeploy.
+// Reminders, digests and staff alerts need their own template only while they can be sent.
+const DIGESTS_ENABLED = SETTINGS.enablePreferences || SETTINGS.defaultDigest !== 'immediate';
+const REQUIRED_TEMPLATES = requiredTemplates({
+  reminders: SETTINGS.enableApplications && SETTINGS.enableReminders,
+  digests: DIGESTS_ENABLED,
+  staffAlerts: SETTINGS.enableApplications && Object.values(APPLICATION_REGISTRY.types).some((type) => type.staffAlerts)
+});
+
+const loadFileTemplates = () => {
   try {
-    return JSON.parse(value);
+    return createTemplateRegistry(loadTemplateFiles(TEMPLATES_DIR), { required: REQUIRED_TEMPLATES });
   } catch (err) {
-    return null;
+    return {
+      templates: {},
+      errors: [{ template: '*', origin: 'file', line: null, message: `Cannot read ${TEMPLATES_DIR}: ${err.message}` }]
+    };
   }
 };
 
-const parseBoolean = (value) => {
-  if (value === true || value === false) return value;
-  if (value === null || value === undefined) return false;
-  return ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
-};
+const FILE_TEMPLATES = loadFileTemplates();
 
-const normalizeStatus = (value = '') => {
-  const status = String(value || '').toLowerCase();
-  if (status === 'pending' || status === 'in-review') return 'in_review';
-  if (status === 'action_required') return 'needs_action';
-  if (status === 'new') return 'submitted';
-  return status || 'submitted';
-};
+let templateOverrideCache = null;
 
-const titleCase = (value = '') =>
-  String(value)
-    .replace(/_/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .split(' ')
-    .filter(Boolean)
-    .map((segment) => segment.charAt(0).toUpperCase() + segment.slice(1))
-    .join(' ');
-
-const normalizeText = (value) => {
-  if (value === null || value === undefined) return null;
-  const trimmed = String(value).trim();
-  return trimmed.length ? trimmed : null;
-};
-
-const escapeHtml = (value) =>
-  String(value || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/\"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-
-const hashPayload = (payload) =>
-  crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
-
-const maskEmail = (email) => {
-  const value = String(email || '').trim();
-  const parts = value.split('@');
-  if (parts.length !== 2) return 'unknown';
-  const name = parts[0];
-  const domain = parts[1];
-  if (!name) return `***@${domain}`;
-  if (name.length === 1) return `${name}***@${domain}`;
-  const masked = `${name.slice(0, 1)}***${name.slice(-1)}`;
-  return `${masked}@${domain}`;
-};
-
-const parseDate = (value) => {
-  if (!value) return null;
-  const date = new Date(value);
-  return Number.isNaN(date.getTime()) ? null : date;
+const loadTemplateRegistry = async (databases, databaseId, cacheMs) => {
+  if (!TEMPLATES_COLLECTION_ID) return FILE_TEMPLATES;
+  if (templateOverrideCache && Date.now() - templateOverrideCache.loadedAt < cacheMs) {
+    return templateOverrideCache.registry;
+  }
+  const overrides = createTemplateRegistry(
+    await loadTemplateOverrides(databases, databaseId, TEMPLATES_COLLECTION_ID),
+    { required: [], origin: 'collection' }
+  );
+  const registry = mergeRegistries(FILE_TEMPLATES, overrides);
+  templateOverrideCache = { loadedAt: Date.now(), registry };
+  return registry;
 };
 
 const getEventName = (req, payload) => {
@@ -144,38 +186,73 @@ const buildPortalLink = (baseUrl, path) => {
   return trimmedBase && trimmedPath ? `${trimmedBase}/${trimmedPath}` : trimmedBase || '';
 };
 
-const getApplicantName = (doc) => {
-  if (!doc) return null;
-  const fullName = normalizeText(doc.fullName);
-  if (fullName) return fullName;
-  const nameParts = [doc.firstName, doc.middleName, doc.lastName, doc.suffix]
-    .map(normalizeText)
-    .filter(Boolean);
-  if (nameParts.length) return nameParts.join(' ');
-  const businessName = normalizeText(doc.businessName || doc.ownerName || doc.responsiblePersonName);
-  return businessName || null;
-};
-
-const getReference = (doc) =>
-  normalizeText(doc?.referenceNumber) ||
-  normalizeText(doc?.nationalIdNumber) ||
-  (doc?.$id ? doc.$id.slice(0, 10).toUpperCase() : null) ||
-  (doc?.id ? String(doc.id).slice(0, 10).toUpperCase() : null) ||
-  'Not provided';
-
-const buildApplicationFingerprint = ({ status, adminNotes, needsActionNote, rejectionReason }) =>
-  hashPayload({ status, adminNotes, needsActionNote, rejectionReason });
-
-const buildNotificationType = ({ status, adminNotes, needsActionNote, rejectionReason }) => {
+// Watched values only join the hash when there are some, so fingerprints logged before
+// field watching existed still match
+const buildApplicationFingerprint = ({ status, adminNotes, needsActionNote, rejectionReason, watched }) =>
+  hashPayload({
+    status,
+    adminNotes,
+    needsActionNote,
+    rejectionReason,
+    watched: watched && Object.keys(watched).length ? watched : undefined
+  });
+
+const buildPayStubFingerprint = ({ hash, generatedAt, netPay, payPeriodId }) =>
+  hashPayload({ hash, generatedAt, netPay, period: payPeriodId });
+
+const buildNotificationType = ({ status, adminNotes, needsActionNote, rejectionReason, changedFields }) => {
   const parts = [];
   if (status) parts.push(`status:${status}`);
   if (adminNotes) parts.push('admin_note');
   if (needsActionNote) parts.push('needs_action_note');
   if (rejectionReason) parts.push('rejection_reason');
+  if (changedFields?.length) parts.push('field_change');
   return parts.join('|') || 'status';
 };
 
+const NEXT_STEP_STYLES = {
+  needs_action: { background: '#fffbeb', border: '#f59e0b', color: '#78350f' },
+  approved: { background: '#f0fdf4', border: '#22c55e', color: '#166534' },
+  rejected: { background: '#fef2f2', border: '#ef4444', color: '#7f1d1d' },
+  in_review: { background: '#eff6ff', border: '#3b82f6', color: '#1e3a8a' }
+};
+
+const REMINDER_STYLES = {
+  first: { header: '#d97706', background: '#fffbeb', border: '#f59e0b', color: '#78350f' },
+  followUp: { header: '#ea580c', background: '#fff7ed', border: '#f97316', color: '#7c2d12' },
+  final: { header: '#b91c1c', background: '#fef2f2', border: '#ef4444', color: '#7f1d1d' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const NOTE_STYLES = {
+  adminNotes: { background: '#f9fafb', border: '#d1d5db', titleColor: '#374151', bodyColor: '#4b5563' },
+  needsActionNote: { background: '#fffbeb', border: '#f59e0b', titleColor: '#78350f', bodyColor: '#78350f' },
+  rejectionReason: { background: '#fef2f2', border: '#ef4444', titleColor: '#7f1d1d', bodyColor: '#7f1d1d' }
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const formatChangeValue = (strings, value) => {
+  if (!value) return strings.application.changes.notSet;
+  return (ISO_DATE_PATTERN.test(value) && formatDate(strings.locale, value)) || value;
+};
+
+// Sensitive fields only say that they changed
+const buildChangeRows = (strings, fields = []) =>
+  fields.map((change) => ({
+    label: change.label || fieldLabel(change.field),
+    ...(change.sensitive
+      ? { redacted: strings.application.changes.redacted }
+      : { before: formatChangeValue(strings, change.before), after: formatChangeValue(strings, change.after) })
+  }));
+
+// Templates receive plain values and escape them on output. `changes` is the diff against the
+// last notice; with `changes.update` the status is unchanged and only what changed is repeated.
 const buildApplicationEmail = ({
+  render,
+  strings,
+  status,
   applicationLabel,
   statusLabel,
   reference,
@@ -183,318 +260,1544 @@ const buildApplicationEmail = ({
   needsActionNote,
   rejectionReason,
   link,
-  name
+  name,
+  previousStatus,
+  previousStatusLabel,
+  changes,
+  profile
 }) => {
-  const isActionRequired = statusLabel === STATUS_LABELS.needs_action;
-  const isApproved = statusLabel === STATUS_LABELS.approved;
-  const isRejected = statusLabel === STATUS_LABELS.rejected;
-  const isInReview = statusLabel === STATUS_LABELS.in_review;
-
-  const subject = isActionRequired
-    ? `Action Required: ${applicationLabel} - Reference ${reference}`
-    : isApproved
-      ? `Application Approved: ${applicationLabel} - Reference ${reference}`
-      : isRejected
-        ? `Application Status Update: ${applicationLabel} - Reference ${reference}`
-        : `Status Update: ${applicationLabel} - Reference ${reference}`;
-
-  const safeName = escapeHtml(name);
-  const safeLabel = escapeHtml(applicationLabel);
-  const safeReference = escapeHtml(reference);
-  const safeStatus = escapeHtml(statusLabel);
-  const safeLink = escapeHtml(link);
+  const copy = strings.application;
+  const isActionRequired = status === 'needs_action';
+  const isRejected = status === 'rejected';
+  const isUpdate = Boolean(changes?.update);
+  const messageKey = isUpdate ? 'updated' : status;
+
+  const subject = format(copy.subject[messageKey] || copy.subject.default, {
+    label: applicationLabel,
+    reference
+  });
 
   // Status-specific messaging - STATUS TAKES PRECEDENCE
-  let statusMessage = '';
-  let nextSteps = '';
-
-  if (isActionRequired) {
-    statusMessage = `We require additional information or action from you to continue processing your ${safeLabel}. Please review the details below and take the necessary steps at your earliest convenience to avoid delays in processing.`;
-    nextSteps = `
-      <div style="background:#fffbeb;border:2px solid #f59e0b;padding:20px;margin:24px 0;">
-        <p style="margin:0 0 12px;font-weight:700;color:#78350f;font-size:15px;">ACTION REQUIRED</p>
-        <p style="margin:0;color:#78350f;font-size:14px;line-height:1.6;">Please log in to your portal and address the items mentioned in the administrator notes below. Prompt action will help avoid delays in processing your application.</p>
-      </div>`;
-  } else if (isApproved) {
-    statusMessage = `We are pleased to inform you that your ${safeLabel} has been approved. You may now proceed with the next steps as outlined in your application.`;
-    nextSteps = `
-      <div style="background:#f0fdf4;border:2px solid #22c55e;padding:20px;margin:24px 0;">
-        <p style="margin:0 0 12px;font-weight:700;color:#166534;font-size:15px;">NEXT STEPS</p>
-        <p style="margin:0;color:#166534;font-size:14px;line-height:1.6;">Please log in to your portal to view complete details and download any necessary documents. Further instructions are available in your application dashboard.</p>
-      </div>`;
-  } else if (isRejected) {
-    statusMessage = `After careful review, we regret to inform you that your ${safeLabel} has not been approved at this time. Please review the details below for more information.`;
-    nextSteps = `
-      <div style="background:#fef2f2;border:2px solid #ef4444;padding:20px;margin:24px 0;">
-        <p style="margin:0 0 12px;font-weight:700;color:#7f1d1d;font-size:15px;">IMPORTANT INFORMATION</p>
-        <p style="margin:0;color:#7f1d1d;font-size:14px;line-height:1.6;">If you have questions or wish to reapply, please log in to your portal or contact our support team for assistance.</p>
-      </div>`;
-  } else if (isInReview) {
-    statusMessage = `Your ${safeLabel} is now being reviewed by our team. We will notify you once the review is complete.`;
-    nextSteps = `
-      <div style="background:#eff6ff;border:2px solid #3b82f6;padding:20px;margin:24px 0;">
-        <p style="margin:0 0 12px;font-weight:700;color:#1e3a8a;font-size:15px;">WHAT'S NEXT</p>
-        <p style="margin:0;color:#1e3a8a;font-size:14px;line-height:1.6;">Our team is currently reviewing your application. You can track the status at any time by logging in to your portal.</p>
-      </div>`;
-  } else {
-    statusMessage = `Your ${safeLabel} status has been updated to ${safeStatus}.`;
-  }
+  const statusMessage = format(copy.statusMessage[messageKey] || copy.statusMessage.default, {
+    label: applicationLabel,
+    status: statusLabel
+  });
+
+  // An update leaves out the next steps the recipient was already given
+  const nextStepCopy = isUpdate ? null : copy.nextSteps[status];
+  const nextSteps = nextStepCopy && NEXT_STEP_STYLES[status]
+    ? { ...NEXT_STEP_STYLES[status], ...nextStepCopy }
+    : null;
 
   // Notes sections - ONLY SHOW NOTES RELEVANT TO CURRENT STATUS
-  let notesSection = '';
-  
-  // Show adminNotes for ALL statuses (if present)
-  if (adminNotes) {
-    notesSection += `
-      <div style="background:#f9fafb;border:1px solid #d1d5db;padding:16px;margin:16px 0;">
-        <p style="margin:0 0 8px;font-weight:700;color:#374151;font-size:14px;">Administrator Notes:</p>
-        <p style="margin:0;color:#4b5563;font-size:14px;line-height:1.6;white-space:pre-wrap;">${escapeHtml(adminNotes)}</p>
-      </div>`;
-  }
-  
-  // Show needsActionNote ONLY for needs_action status
-  if (isActionRequired && needsActionNote) {
-    notesSection += `
-      <div style="background:#fffbeb;border:1px solid #f59e0b;padding:16px;margin:16px 0;">
-        <p style="margin:0 0 8px;font-weight:700;color:#78350f;font-size:14px;">Action Required Details:</p>
-        <p style="margin:0;color:#78350f;font-size:14px;line-height:1.6;white-space:pre-wrap;">${escapeHtml(needsActionNote)}</p>
-      </div>`;
-  }
-  
-  // Show rejectionReason ONLY for rejected status
-  if (isRejected && rejectionReason) {
-    notesSection += `
-      <div style="background:#fef2f2;border:1px solid #ef4444;padding:16px;margin:16px 0;">
-        <p style="margin:0 0 8px;font-weight:700;color:#7f1d1d;font-size:14px;">Reason for Status:</p>
-        <p style="margin:0;color:#7f1d1d;font-size:14px;line-height:1.6;white-space:pre-wrap;">${escapeHtml(rejectionReason)}</p>
-      </div>`;
-  }
+  const notes = [
+    adminNotes && { key: 'adminNotes', body: adminNotes },
+    isActionRequired && needsActionNote && { key: 'needsActionNote', body: needsActionNote },
+    isRejected && rejectionReason && { key: 'rejectionReason', body: rejectionReason }
+  ]
+    .filter((note) => note && (!isUpdate || changes.notes.includes(note.key)))
+    .map(({ key, body }) => ({ ...NOTE_STYLES[key], title: copy.notes[key], body }));
+
+  const content = render({
+    lang: strings.locale,
+    copy,
+    brand: buildBrandView(profile, strings, { palette: 'citizen', footer: copy.footer }),
+    greeting: name ? format(copy.greeting, { name }) : copy.greetingFallback,
+    statusMessage,
+    nextSteps,
+    applicationLabel,
+    reference,
+    statusLabel,
+    notes,
+    changes: buildChangeRows(strings, changes?.fields),
+    link,
+    previousStatus,
+    previousStatusLabel
+  });
+
+  return { subject, content, text: htmlToText(content) };
+};
+
+const buildReminderEmail = ({
+  render,
+  strings,
+  stage,
+  applicationLabel,
+  statusLabel,
+  reference,
+  needsActionNote,
+  noticeAt,
+  now,
+  link,
+  name,
+  profile
+}) => {
+  const copy = strings.reminder;
+  const noticeDate = formatDate(strings.locale, noticeAt);
+  const values = { label: applicationLabel, reference };
+
+  const content = render({
+    lang: strings.locale,
+    copy,
+    brand: buildBrandView(profile, strings, { palette: 'citizen', footer: strings.application.footer }),
+    style: REMINDER_STYLES[stage],
+    heading: copy.heading[stage],
+    greeting: name ? format(strings.application.greeting, { name }) : strings.application.greetingFallback,
+    intro: format(noticeDate ? copy.intro : copy.introFallback, { ...values, date: noticeDate }),
+    waiting: format(copy.waiting, { days: Math.max(1, Math.floor((now - noticeAt) / DAY_MS)) }),
+    escalation: copy.escalation[stage],
+    notes: needsActionNote
+      ? [{ ...NOTE_STYLES.needsActionNote, title: strings.application.notes.needsActionNote, body: needsActionNote }]
+      : [],
+    details: strings.application.details,
+    applicationLabel,
+    reference,
+    statusLabel,
+    link,
+    cta: strings.application.cta,
+    support: strings.application.support,
+    footer: strings.application.footer,
+    noReply: strings.application.noReply
+  });
+
+  return { subject: format(copy.subject[stage], values), content, text: htmlToText(content) };
+};
+
+const buildDigestEmail = ({ render, strings, frequency, name, applications, payStubs, profile }) => {
+  const copy = strings.digest;
+  const content = render({
+    lang: strings.locale,
+    copy,
+    brand: buildBrandView(profile, strings, { palette: 'citizen' }),
+    heading: copy.heading[frequency],
+    greeting: name ? format(copy.greeting, { name }) : copy.greetingFallback,
+    intro: copy.intro[frequency],
+    applications,
+    payStubs,
+    reason: copy.reason[frequency]
+  });
+  const subject = format(copy.subject[frequency], { count: applications.length + payStubs.length });
+  return { subject, content, text: htmlToText(content) };
+};
+
+const fieldLabel = (field) => titleCase(field.replace(/([a-z0-9])([A-Z])/g, '$1_$2'));
 
-  const content = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,'Helvetica Neue',Arial,sans-serif;background:#f3f4f6;">
-  <div style="max-width:600px;margin:0 auto;background:#ffffff;">
-    <!-- Header -->
-    <div style="background:linear-gradient(135deg,#1e40af 0%,#3b82f6 100%);padding:32px 24px;text-align:center;">
-      <h1 style="margin:0;color:#ffffff;font-size:24px;font-weight:700;">Application Status Update</h1>
-    </div>
-
-    <!-- Main Content -->
-    <div style="padding:32px 24px;">
-      <p style="margin:0 0 24px;color:#111827;font-size:16px;line-height:1.6;">
-        ${safeName ? `Dear ${safeName},` : 'Dear Applicant,'}
-      </p>
-
-      <p style="margin:0 0 24px;color:#374151;font-size:15px;line-height:1.6;">
-        ${statusMessage}
-      </p>
-
-      ${nextSteps}
-
-      <!-- Application Details -->
-      <div style="background:#f9fafb;border:1px solid #e5e7eb;padding:20px;margin:24px 0;">
-        <p style="margin:0 0 12px;font-weight:700;color:#111827;font-size:15px;">Application Details</p>
-        <table style="width:100%;border-collapse:collapse;">
-          <tr>
-            <td style="padding:8px 0;color:#6b7280;font-size:14px;">Type:</td>
-            <td style="padding:8px 0;color:#111827;font-size:14px;font-weight:600;">${safeLabel}</td>
-          </tr>
-          <tr>
-            <td style="padding:8px 0;color:#6b7280;font-size:14px;">Reference:</td>
-            <td style="padding:8px 0;color:#111827;font-size:14px;font-weight:600;">${safeReference}</td>
-          </tr>
-          <tr>
-            <td style="padding:8px 0;color:#6b7280;font-size:14px;">Status:</td>
-            <td style="padding:8px 0;color:#111827;font-size:14px;font-weight:600;">${safeStatus}</td>
-          </tr>
-        </table>
-      </div>
-
-      ${notesSection}
-
-      <!-- CTA Button -->
-      <div style="text-align:center;margin:32px 0;">
-        <a href="${safeLink}" style="display:inline-block;background:#3b82f6;color:#ffffff;text-decoration:none;padding:14px 32px;border-radius:6px;font-weight:600;font-size:15px;">View Application Details</a>
-      </div>
-
-      <p style="margin:24px 0 0;color:#6b7280;font-size:14px;line-height:1.6;">
-        If you have any questions or need assistance, please don't hesitate to contact our support team.
-      </p>
-    </div>
-
-    <!-- Footer -->
-    <div style="background:#f9fafb;padding:24px;text-align:center;border-top:1px solid #e5e7eb;">
-      <p style="margin:0 0 8px;color:#6b7280;font-size:13px;">
-        This is an automated notification from the Citizen Portal.
-      </p>
-      <p style="margin:0;color:#9ca3af;font-size:12px;">
-        Please do not reply to this email.
-      </p>
-    </div>
-  </div>
-</body>
-</html>`.trim();
-
-  return { subject, content };
+const displayValue = (value) =>
+  value !== null && typeof value === 'object' ? JSON.stringify(value) : normalizeText(value);
+
+const buildStaffAlertEmail = ({
+  render,
+  strings,
+  alert,
+  applicationLabel,
+  reference,
+  applicantName,
+  statusLabel,
+  previousStatusLabel,
+  daysInReview,
+  document,
+  internalFields,
+  link,
+  profile
+}) => {
+  const copy = strings.staffAlert;
+  const values = { label: applicationLabel, reference, status: statusLabel, days: daysInReview };
+
+  const details = [
+    { label: copy.details.type, value: applicationLabel },
+    { label: copy.details.reference, value: reference },
+    applicantName && { label: copy.details.applicant, value: applicantName },
+    { label: copy.details.status, value: statusLabel },
+    previousStatusLabel && { label: copy.details.previousStatus, value: previousStatusLabel }
+  ].filter(Boolean);
+
+  const content = render({
+    lang: strings.locale,
+    copy,
+    brand: buildBrandView(profile, strings, { palette: 'citizen', footer: copy.footer }),
+    heading: copy.heading[alert],
+    message: format(copy.message[alert], values),
+    details,
+    internalFields: (internalFields || [])
+      .map((field) => ({ label: fieldLabel(field), value: displayValue(document[field]) }))
+      .filter((field) => field.value),
+    link
+  });
+
+  return { subject: format(copy.subject[alert], values), content, text: htmlToText(content) };
 };
 
-const buildPayStubEmail = ({ employeeName, periodName, link, reference }) => {
-  const safeName = escapeHtml(employeeName);
-  const safePeriod = escapeHtml(periodName);
-  const safeLink = escapeHtml(link);
-  const safeReference = escapeHtml(reference);
+const EARNINGS_ROW_STYLES = {
+  item: { padding: '0', weight: '400', color: '#374151' },
+  deduction: { padding: '16px', weight: '400', color: '#6b7280' },
+  total: { padding: '0', weight: '700', color: '#111827' }
+};
+
+const buildPayStubEmail = ({
+  render,
+  strings,
+  employeeName,
+  periodName,
+  breakdown,
+  link,
+  reference,
+  attachment,
+  profile
+}) => {
+  const copy = strings.payStub;
 
   const subject = periodName
-    ? `New Pay Stub Available: ${periodName}`
-    : 'New Pay Stub Available';
-
-  const content = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,'Helvetica Neue',Arial,sans-serif;background:#f3f4f6;">
-  <div style="max-width:600px;margin:0 auto;background:#ffffff;">
-    <!-- Header -->
-    <div style="background:linear-gradient(135deg,#059669 0%,#10b981 100%);padding:32px 24px;text-align:center;">
-      <h1 style="margin:0;color:#ffffff;font-size:24px;font-weight:700;">New Pay Stub Available</h1>
-    </div>
-
-    <!-- Main Content -->
-    <div style="padding:32px 24px;">
-      <p style="margin:0 0 24px;color:#111827;font-size:16px;line-height:1.6;">
-        ${safeName ? `Dear ${safeName},` : 'Dear Employee,'}
-      </p>
-
-      <p style="margin:0 0 24px;color:#374151;font-size:15px;line-height:1.6;">
-        Your pay stub${safePeriod ? ` for ${safePeriod}` : ''} is now available for viewing and download in your employee portal.
-      </p>
-
-      <!-- Pay Stub Details -->
-      <div style="background:#f0fdf4;border:2px solid #22c55e;padding:20px;margin:24px 0;">
-        <p style="margin:0 0 12px;font-weight:700;color:#166534;font-size:15px;">Pay Stub Information</p>
-        ${safePeriod ? `<p style="margin:0;color:#166534;font-size:14px;line-height:1.6;">Period: ${safePeriod}</p>` : ''}
-        <p style="margin:${safePeriod ? '8px' : '0'} 0 0;color:#166534;font-size:14px;line-height:1.6;">Reference: ${safeReference}</p>
-      </div>
-
-      <!-- CTA Button -->
-      <div style="text-align:center;margin:32px 0;">
-        <a href="${safeLink}" style="display:inline-block;background:#10b981;color:#ffffff;text-decoration:none;padding:14px 32px;border-radius:6px;font-weight:600;font-size:15px;">View Pay Stub</a>
-      </div>
-
-      <p style="margin:24px 0 0;color:#6b7280;font-size:14px;line-height:1.6;">
-        Please log in to your portal to view detailed information and download a copy for your records.
-      </p>
-    </div>
-
-    <!-- Footer -->
-    <div style="background:#f9fafb;padding:24px;text-align:center;border-top:1px solid #e5e7eb;">
-      <p style="margin:0 0 8px;color:#6b7280;font-size:13px;">
-        This is an automated notification from the Employee Portal.
-      </p>
-      <p style="margin:0;color:#9ca3af;font-size:12px;">
-        Please do not reply to this email.
-      </p>
-    </div>
-  </div>
-</body>
-</html>`.trim();
-
-  return { subject, content };
+    ? format(copy.subject, { period: periodName })
+    : copy.subjectFallback;
+
+  const details = [
+    periodName && format(copy.period, { period: periodName }),
+    format(copy.reference, { reference })
+  ]
+    .filter(Boolean)
+    .map((text, index) => ({ text, margin: index === 0 ? '0' : '8px 0 0' }));
+
+  const rowStyle = (row) => EARNINGS_ROW_STYLES[row.strong ? 'total' : row.indent ? 'deduction' : 'item'];
+
+  const content = render({
+    lang: strings.locale,
+    copy,
+    brand: buildBrandView(profile, strings, { palette: 'employee', footer: copy.footer }),
+    greeting: employeeName ? format(copy.greeting, { name: employeeName }) : copy.greetingFallback,
+    intro: periodName ? format(copy.intro, { period: periodName }) : copy.introFallback,
+    details,
+    earnings: breakdown.earnings.map((row) => ({ ...row, ...rowStyle(row) })),
+    yearToDate: breakdown.yearToDate,
+    changes: breakdown.changes,
+    maskedNote: breakdown.masked && breakdown.earnings.length ? copy.summary.maskedNote : null,
+    attachmentNote: attachment ? copy[attachment.passwordProtected ? 'attachmentProtected' : 'attachment'] : null,
+    link
+  });
+
+  return { subject, content, text: htmlToText(content) };
+};
+
+const buildApplicationSms = ({ strings, status, applicationLabel, statusLabel, reference, link, changes }) => {
+  const parts = [
+    format(changes?.update ? strings.sms.applicationUpdated : strings.sms.application, {
+      label: applicationLabel,
+      reference,
+      status: statusLabel
+    })
+  ];
+  if (status === 'needs_action') parts.push(strings.sms.actionRequired);
+  if (link) parts.push(link);
+  return { content: parts.join(' ') };
+};
+
+const buildApplicationPush = ({ strings, status, applicationLabel, statusLabel, reference, link, changes }) => {
+  if (changes?.update) {
+    return {
+      title: format(strings.push.applicationUpdatedTitle, { label: applicationLabel }),
+      body: format(strings.push.applicationUpdatedBody, { reference }),
+      data: { link, reference }
+    };
+  }
+  return {
+    title: format(
+      status === 'needs_action' ? strings.push.actionRequiredTitle : strings.push.applicationTitle,
+      { label: applicationLabel, status: statusLabel }
+    ),
+    body: format(strings.push.applicationBody, { reference, status: statusLabel }),
+    data: { link, reference }
+  };
+};
+
+const buildPayStubSms = ({ strings, periodName, link }) => {
+  const parts = [
+    periodName ? format(strings.sms.payStub, { period: periodName }) : strings.sms.payStubFallback
+  ];
+  if (link) parts.push(format(strings.sms.link, { link }));
+  return { content: parts.join(' ') };
+};
+
+const buildPayStubPush = ({ strings, periodName, link, reference }) => ({
+  title: strings.push.payStubTitle,
+  body: periodName ? format(strings.push.payStubBody, { period: periodName }) : strings.push.payStubBodyFallback,
+  data: { link, reference }
+});
+
+// Prefers the stored period name, otherwise formats periodStart/periodEnd for the locale
+const formatPayPeriod = (strings, document) => {
+  const periodName = normalizeText(document?.periodName);
+  if (periodName) return periodName;
+  const start = formatDate(strings.locale, document?.periodStart);
+  const end = formatDate(strings.locale, document?.periodEnd);
+  if (start && end) return format(strings.payStub.periodRange, { start, end });
+  return start || end || null;
+};
+
+// Route channels the user has not opted into are dropped, except for mandatory notices
+const selectChannels = (route, delivery) => {
+  const selected = route.filter((channel) => delivery.channels.includes(channel));
+  return !selected.length && delivery.mandatory ? route : selected;
+};
+
+const unreachableReason = (channels) => (channels.includes('email') ? 'missing_email' : 'no_channel');
+
+const isScheduledRun = (req) =>
+  String(req.headers?.['x-appwrite-trigger'] || req.headers?.['X-Appwrite-Trigger'] || '').toLowerCase() === 'schedule';
+
+const firstFailure = (outcomes) => {
+  const failed = Object.values(outcomes).find((outcome) => outcome.status === 'failed');
+  const err = new Error(failed?.error || 'All channels failed.');
+  err.code = failed?.code;
+  return err;
+};
+
+// Appwrite only passes req, res, log and error; the local harness passes in-memory `services`
+export const createServices = () => {
+  const client = new Client()
+    .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
+    .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+    .setKey(process.env.APPWRITE_API_KEY);
+  return {
+    databases: new Databases(client),
+    users: new Users(client),
+    messaging: new Messaging(client),
+    teams: new Teams(client),
+    storage: new Storage(client)
+  };
 };
 
-export default async function main({ req, res, log, error: errLogger }) {
-  const logger = (msg) => log(`[notify] ${msg}`);
-  
-  // DEBUG: Log function execution details
+export default async function main({ req, res, log, error, services }) {
   const executionId = process.env.APPWRITE_FUNCTION_EXECUTION_ID || 'unknown';
-  const timestamp = new Date().toISOString();
-  logger(`=== EXECUTION START === ID: ${executionId} | Time: ${timestamp}`);
+  const metrics = createMetrics();
+
+  // Structured JSON lines (NOTIFY_LOG_LEVEL, info by default) carrying the execution id; the
+  // collection and document are bound once the payload names them
+  let logs = createLogger({ log, error, level: SETTINGS.logLevel, fields: { executionId } });
+  // Helper modules take plain writers
+  const logger = (message, fields) => logs.info(message, fields);
+  const errLogger = (message, fields) => logs.error(message, fields);
+  logs.debug('Execution started.');
+
+  // Every response is a decision; `respond` records it in the notification log once the client exists
+  const decision = { executionId };
+  let respond = (body, statusCode) => res.json({ ...body, metrics: metrics.summary() }, statusCode);
 
   try {
-    const client = new Client()
-      .setEndpoint(process.env.APPWRITE_FUNCTION_API_ENDPOINT)
-      .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
-      .setKey(process.env.APPWRITE_API_KEY);
-
-    const databases = new Databases(client);
-    const users = new Users(client);
-    const messaging = new Messaging(client);
-
-    const databaseId = process.env.APPWRITE_DATABASE_ID || process.env.DATABASE_ID || 'main';
-    const portalBaseUrl = process.env.PORTAL_BASE_URL || '';
-    const throttleMinutes = parseInt(process.env.NOTIFY_THROTTLE_MINUTES || DEFAULT_THROTTLE_MINUTES, 10);
+    // Checked before any client exists: a bad endpoint or database id must not get that far
+    if (CONFIG.errors.length) {
+      CONFIG.errors.forEach((message) => logs.error(`Config error: ${message}`));
+      return respond({ ok: false, error: 'invalid_config', config: CONFIG.errors }, 500);
+    }
+
+    const { databases, users, messaging, teams, storage } = services || createServices();
+
+    const {
+      databaseId,
+      portalBaseUrl,
+      adminPortalBaseUrl,
+      brandingField,
+      throttleMinutes,
+      dryRun,
+      enableApplications,
+      enablePayStubs,
+      enablePreferences,
+      enableReminders,
+      channelRoutes,
+      localeFallbacks,
+      staffLocale,
+      currency,
+      defaultEmailFormat,
+      quietHours,
+      payStubContent,
+      writeTrackingFields,
+      retryPolicy,
+      maxRedrives,
+      redriveBatch,
+      reminderDays,
+      defaultDigest,
+      digestSchedule
+    } = SETTINGS;
+    const attachmentConfig = SETTINGS.attachment;
     const throttleMs = throttleMinutes * 60 * 1000;
-    const dryRun = parseBoolean(process.env.DRY_RUN);
-    const enableApplications = parseBoolean(process.env.ENABLE_APPLICATION_NOTIFICATIONS ?? true);
-    const enablePayStubs = parseBoolean(process.env.ENABLE_PAY_STUB_NOTIFICATIONS ?? true);
+    const templateCacheMs = SETTINGS.templateCacheSeconds * 1000;
+    const lockTtlMs = SETTINGS.lockTtlSeconds * 1000;
+    const mandatoryStatuses = new Set(SETTINGS.mandatoryStatuses);
+    // Urgent statuses (and "pay_stub", when listed) go out during quiet hours too
+    const urgentStatuses = new Set(SETTINGS.urgentStatuses);
+    let heldLock = null;
+
+    logs.debug('Config loaded.', {
+      throttleMinutes,
+      dryRun,
+      applications: enableApplications,
+      payStubs: enablePayStubs,
+      preferences: enablePreferences
+    });
+
+    // Webhook delivery is bounded by each destination's timeout and never fails the execution
+    const notifyWebhooks = async (entry) => {
+      if (!WEBHOOKS.webhooks.length) return;
+      try {
+        await dispatchWebhooks(WEBHOOKS.webhooks, entry, { logger, errLogger });
+      } catch (err) {
+        logs.error(`Webhook dispatch failed: ${err.message}`);
+      }
+    };
+    WEBHOOKS.errors.forEach((message) => logs.error(`Webhook skipped: ${message}`));
+
+    respond = async (body, statusCode) => {
+      const entry = { ...decision, ...decisionFromResponse(body), notifiedAt: new Date().toISOString() };
+      try {
+        await withRetry(() => recordDecision(databases, databaseId, NOTIFICATION_LOG_COLLECTION_ID, entry), {
+          policy: retryPolicy
+        });
+      } catch (err) {
+        logs.error(`Failed to write notification log entry: ${err.message}`);
+      }
+      // Released only after the log entry exists, so the next claimant sees this decision
+      if (heldLock) {
+        try {
+          await releaseLock(databases, databaseId, NOTIFICATION_LOCKS_COLLECTION_ID, heldLock);
+        } catch (err) {
+          logs.error(`Failed to release lock ${heldLock.lockId}; it expires in ${lockTtlMs / 1000}s: ${err.message}`);
+        }
+        heldLock = null;
+      }
+      await notifyWebhooks(entry);
+      const summary = metrics.summary();
+      (entry.decision === DECISIONS.failed ? logs.error : logs.info)(`Decision: ${entry.decision}.`, {
+        decision: entry.decision,
+        reason: entry.reason,
+        durationMs: summary.durationMs
+      });
+      return res.json({ ...body, metrics: summary }, statusCode);
+    };
+
+    if (APPLICATION_REGISTRY.errors.length) {
+      APPLICATION_REGISTRY.errors.forEach((message) => logs.error(`Application type error: ${message}`));
+      return respond({ ok: false, error: 'invalid_application_types', applicationTypes: APPLICATION_REGISTRY.errors }, 500);
+    }
+
+    if (BRANDING.errors.length) {
+      BRANDING.errors.forEach((message) => logs.error(`Branding profile error: ${message}`));
+      return respond({ ok: false, error: 'invalid_branding_profiles', brandingProfiles: BRANDING.errors }, 500);
+    }
+
+    // Required file templates must compile; broken collection overrides fall back to the files
+    if (FILE_TEMPLATES.errors.length) {
+      FILE_TEMPLATES.errors.forEach((item) => logs.error(`Template error: ${item.message}`));
+      return respond({ ok: false, error: 'invalid_templates', templates: FILE_TEMPLATES.errors }, 500);
+    }
+
+    let templateRegistry = FILE_TEMPLATES;
+    try {
+      templateRegistry = await loadTemplateRegistry(databases, databaseId, templateCacheMs);
+    } catch (err) {
+      logs.error(`Failed to load template overrides from ${TEMPLATES_COLLECTION_ID}: ${err.message}`);
+    }
+    templateRegistry.errors.forEach((item) => logs.error(`Template override skipped (${item.template}): ${item.message}`));
+
+    // Documents pick a branding profile through NOTIFY_BRANDING_FIELD (agencyId by default): the
+    // first of `documents` naming a known profile wins, then `fallbackId`, then the default look
+    const selectProfile = (documents, fallbackId = null) => {
+      const { profile, missing } = resolveProfile(BRANDING, [
+        ...documents.map((doc) => doc?.[brandingField]),
+        fallbackId
+      ]);
+      missing.forEach((id) => logs.info(`Unknown branding profile "${id}"; using "${profile.id}".`));
+      return profile;
+    };
+
+    // A profile with its own portal links there; staff links prefer the admin portal
+    const portalLink = (profile, path) => buildPortalLink(profile.portalBaseUrl || portalBaseUrl, path);
+    const adminPortalLink = (profile, path) =>
+      buildPortalLink(profile.adminPortalBaseUrl || adminPortalBaseUrl || profile.portalBaseUrl || portalBaseUrl, path);
+
+    // Preferences are fail-open: a lookup error should never swallow a notice
+    const checkPreferences = async (userId, { category, status }) => {
+      if (!enablePreferences) {
+        return resolveDelivery(null, { category, status, mandatoryStatuses, defaultDigest });
+      }
+      let preferences = null;
+      try {
+        preferences = await loadPreferences(databases, databaseId, PREFERENCES_COLLECTION_ID, userId);
+      } catch (err) {
+        logs.error(`Failed to load notification preferences for user ${userId}: ${err.message}`);
+      }
+      return resolveDelivery(preferences, { category, status, mandatoryStatuses, defaultDigest });
+    };
+
+    // Recipients on a daily or weekly digest get the event queued instead of sent; the
+    // scheduled run sends one summary per recipient once the queued items are due
+    const queueForDigest = async (frequency, item) => {
+      if (dryRun) {
+        logs.info(`Dry run: ${item.kind} would be queued for the ${frequency} digest.`, { userId: item.userId });
+        return respond({ ok: true, dryRun: true, type: item.kind, digest: frequency });
+      }
+      await enqueueDigestItem(databases, databaseId, DIGEST_COLLECTION_ID, {
+        ...item,
+        frequency,
+        eventName: decision.eventName || null,
+        executionId,
+        dueAt: nextDigestAt(frequency, new Date(), digestSchedule)
+      });
+      logs.info(`Queued ${item.kind} ${item.collectionId}/${item.documentId} for the ${frequency} digest of user ${item.userId}.`);
+      return respond({ ok: true, queued: true, digest: frequency, type: item.kind });
+    };
+
+    // A notice sent right away (a mandatory status, say) replaces anything queued for the document
+    const dropQueuedDigest = async (userId) => {
+      if (!DIGESTS_ENABLED) return;
+      try {
+        const removed = await removeDigestItems(databases, databaseId, DIGEST_COLLECTION_ID, {
+          userId,
+          collectionId: decision.collectionId,
+          documentId: decision.documentId
+        });
+        if (removed) logs.info('Removed the queued digest item this notice replaces.', { userId });
+      } catch (err) {
+        logs.error(`Failed to remove queued digest items for user ${userId}: ${err.message}`);
+      }
+    };
+
+    // The event flow and the admin preview render through these, so a preview shows exactly
+    // what the recipient gets. `user` may be null when previewing a document without one.
+    // When no template matches (a deleted override, a type without a file template) they
+    // resolve to `{ ignored: 'missing_template' }` instead of messages.
+    // `changes` is the event flow's diff against the last notice.
+    const renderApplicationMessages = ({
+      type,
+      document,
+      user,
+      previousStatus = null,
+      templateKey = null,
+      emailFormat,
+      changes = null
+    }) => {
+      const status = normalizeStatus(document.status, type.statusAliases);
+      const strings = getStrings(resolveLocale(getLocaleCandidates({ user, document }), localeFallbacks));
+      const profile = selectProfile([document], type.branding);
+      const templateKeys = applicationTemplateKeys(type.source, status);
+      const template = resolveTemplate(templateRegistry, templateKey ? [templateKey, ...templateKeys] : templateKeys);
+      if (!template) {
+        logs.error(`No template for ${type.source} ${status}: tried ${[templateKey, ...templateKeys].filter(Boolean).join(', ')}.`);
+        return { ignored: 'missing_template' };
+      }
+      if (templateKey && template.key !== templateKey) {
+        logs.error(`Transition template ${templateKey} not found; using ${template.key}.`);
+      }
+
+      const details = {
+        render: template.render,
+        strings,
+        status,
+        applicationLabel: strings.applicationLabels[type.source] || type.label,
+        statusLabel: strings.statusLabels[status] || titleCase(status),
+        reference: getReference(type, document),
+        adminNotes: normalizeText(document.adminNotes),
+        needsActionNote: normalizeText(document.needsActionNote),
+        rejectionReason: normalizeText(document.rejectionReason),
+        link: portalLink(profile, buildPortalPath(type, document)),
+        name: getApplicantName(type, document) || user?.name || null,
+        previousStatus,
+        previousStatusLabel: previousStatus ? strings.statusLabels[previousStatus] || titleCase(previousStatus) : null,
+        changes,
+        profile
+      };
+      return {
+        templateKey: template.key,
+        messages: {
+          email: { ...buildApplicationEmail(details), format: emailFormat || defaultEmailFormat },
+          sms: buildApplicationSms(details),
+          push: buildApplicationPush(details)
+        },
+        warnings: checkApplicationNotice(details)
+      };
+    };
+
+    const payStubStrings = (user, employee) =>
+      getStrings(resolveLocale(getLocaleCandidates({ user, document: employee }), localeFallbacks));
+
+    // `attachment` is the result of preparePayStubAttachment; fallbacks render link-only
+    // `previous` is the employee's prior stub, compared against for the "what changed" lines
+    const renderPayStubMessages = ({ document, employee, user, emailFormat, attachment = null, previous = null }) => {
+      const strings = payStubStrings(user, employee);
+      const profile = selectProfile([document, employee]);
+      const attached = attachment?.attachments ? attachment : null;
+      const template = resolveTemplate(templateRegistry, PAY_STUB_TEMPLATE_KEYS);
+      if (!template) {
+        logs.error(`No pay stub template: tried ${PAY_STUB_TEMPLATE_KEYS.join(', ')}.`);
+        return { ignored: 'missing_template' };
+      }
+      const details = {
+        render: template.render,
+        strings,
+        employeeName: employee?.fullName || user?.name || null,
+        periodName: formatPayPeriod(strings, document),
+        breakdown: buildPayStubBreakdown({
+          strings,
+          document,
+          previous,
+          previousPeriodName: previous ? formatPayPeriod(strings, previous) : null,
+          currency,
+          config: payStubContent
+        }),
+        link: portalLink(profile, `citizen-portal/pay-stubs/${document.$id}`),
+        reference: document.$id || document.id || 'Pay stub',
+        attachment: attached,
+        profile
+      };
+      return {
+        templateKey: template.key,
+        messages: {
+          email: {
+            ...buildPayStubEmail(details),
+            format: emailFormat || defaultEmailFormat,
+            ...(attached && { attachments: attached.attachments })
+          },
+          sms: buildPayStubSms(details),
+          push: buildPayStubPush(details)
+        },
+        warnings: checkPayStubNotice(details)
+      };
+    };
+
+    // Non-urgent notices that land in the recipient's quiet hours are handed to Messaging with
+    // `scheduledAt` set to the end of the window
+    const deferralFor = (user, urgent) =>
+      quietHours && !urgent ? quietHoursEnd(new Date(), quietHours, recipientTimezone(user, quietHours)) : null;
+
+    const sendWithRetry = (userId, channels, messages, scheduledAt = null) =>
+      metrics.time('sendMs', () => sendChannels(messaging, {
+        userId,
+        channels,
+        messages,
+        scheduledAt: scheduledAt ? scheduledAt.toISOString() : undefined,
+        retryPolicy,
+        onRetry: (channel, err, attempt, delayMs) =>
+          logs.warn(`Retrying send (attempt ${attempt + 1}/${retryPolicy.attempts}): ${err.message}`, { channel, delayMs })
+      }));
+
+    // Pre-send warnings never block a real send, but they should not go unnoticed either
+    const logWarnings = (warnings) => warnings.forEach((warning) => logs.warn(`Pre-send check: ${warning}`));
+
+    const logFailedChannels = (outcomes) =>
+      Object.entries(outcomes)
+        .filter(([, outcome]) => outcome.status === 'failed')
+        .forEach(([channel, outcome]) =>
+          logs.error(`Channel failed: ${outcome.error}`, { channel, attempts: outcome.attempts })
+        );
+
+    // Channels that still failed after retries are queued for the scheduled re-drive;
+    // a queue write failure is logged but never hides the original send error
+    const deadLetterFailures = async ({ userId, outcomes, messages, context = decision }) => {
+      const failedChannels = Object.keys(outcomes).filter((channel) => outcomes[channel].status === 'failed');
+      if (!failedChannels.length) return;
+      const failure = outcomes[failedChannels[0]];
+      try {
+        await enqueueDeadLetter(databases, databaseId, DEAD_LETTER_COLLECTION_ID, {
+          ...context,
+          userId,
+          channels: failedChannels,
+          messages: Object.fromEntries(failedChannels.map((channel) => [channel, messages[channel]])),
+          error: failure.error,
+          errorCode: failure.code ? String(failure.code) : null,
+          permanent: failedChannels.every((channel) => outcomes[channel].permanent),
+          attempts: failure.attempts
+        });
+        logs.info(`Dead-lettered ${failedChannels.join(', ')} for ${context.collectionId}/${context.documentId}.`);
+      } catch (err) {
+        logs.error(`Failed to dead-letter ${failedChannels.join(', ')} for ${context.collectionId}/${context.documentId}: ${err.message}`);
+      }
+    };
+
+    // A dead letter is dropped once its document is gone or has moved on to another status; one
+    // still due keeps its original deferral, or is held again if it now lands in quiet hours
+    const recheckDeadLetter = async (entry) => {
+      if (!entry.collectionId || !entry.documentId) return { scheduledAt: null };
+      let current;
+      try {
+        current = await databases.getDocument(databaseId, entry.collectionId, entry.documentId);
+      } catch (err) {
+        if (err.code === 404) return { drop: 'the document was deleted' };
+        throw err;
+      }
+      const type = APPLICATION_REGISTRY.types[entry.collectionId] || null;
+      const status = type ? normalizeStatus(current.status, type.statusAliases) : null;
+      if (type && entry.status && status !== entry.status) return { drop: `the status is now ${status || 'empty'}` };
+
+      const deferredTo = parseDate(entry.scheduledAt);
+      if (deferredTo && deferredTo > new Date()) return { scheduledAt: deferredTo };
+      let user = null;
+      try {
+        user = await users.get(entry.userId);
+      } catch (err) {
+        return { drop: `user ${entry.userId} not found` };
+      }
+      return { scheduledAt: deferralFor(user, urgentStatuses.has(type ? status : PAY_STUB_ROUTE)) };
+    };
+
+    // Reminders follow the original notice: same category, preferences and throttle, email only,
+    // and a per-level claim so overlapping scheduled runs cannot send the same reminder twice
+    const sendReminder = async (type, document, reminder) => {
+      const now = new Date();
+      const adminNotes = normalizeText(document.adminNotes);
+      const needsActionNote = normalizeText(document.needsActionNote);
+      const rejectionReason = normalizeText(document.rejectionReason);
+      const fingerprint = buildApplicationFingerprint({ status: REMINDER_STATUS, adminNotes, needsActionNote, rejectionReason });
+      const entry = {
+        executionId,
+        eventName: 'schedule.reminder',
+        collectionId: type.collectionId,
+        documentId: document.$id,
+        type: 'application',
+        status: REMINDER_STATUS,
+        previousStatus: REMINDER_STATUS,
+        fingerprint,
+        notificationType: reminder.notificationType
+      };
+
+      if (reminder.lastSentAt && now - reminder.lastSentAt < throttleMs) return { ignored: 'throttled' };
+
+      // A dry run writes nothing, not even the lock
+      let lock = null;
+      if (!dryRun) {
+        lock = await claimLock(databases, databaseId, NOTIFICATION_LOCKS_COLLECTION_ID, {
+          key: { collectionId: type.collectionId, documentId: document.$id, fingerprint: `${fingerprint}:${reminder.notificationType}` },
+          executionId,
+          ttlMs: lockTtlMs,
+          now
+        });
+        if (!lock.acquired) return { ignored: 'concurrent_execution' };
+      }
 
-    logger(
-      `Config: throttle=${throttleMinutes}m, dryRun=${dryRun}, apps=${enableApplications}, payStubs=${enablePayStubs}`
-    );
+      try {
+        const userId = document.userId;
+        if (!userId) return { ignored: 'missing_userId' };
+
+        const delivery = await checkPreferences(userId, { category: type.source, status: REMINDER_STATUS });
+        if (!delivery.allowed || !(delivery.channels.includes('email') || delivery.mandatory)) {
+          return { ignored: 'opted_out' };
+        }
+
+        let user;
+        try {
+          user = await metrics.time('userLookupMs', () => users.get(userId));
+        } catch (err) {
+          return { ignored: 'missing_user' };
+        }
+        if (!canReach(user, 'email')) return { ignored: 'missing_email' };
+
+        const template = resolveTemplate(templateRegistry, reminderTemplateKeys(type.source, reminder.level));
+        if (!template) {
+          logs.error(`No reminder template for ${type.source} level ${reminder.level}.`);
+          return { ignored: 'missing_template' };
+        }
+
+        const strings = getStrings(resolveLocale(getLocaleCandidates({ user, document }), localeFallbacks));
+        const profile = selectProfile([document], type.branding);
+        const email = buildReminderEmail({
+          render: template.render,
+          strings,
+          stage: reminder.stage,
+          applicationLabel: strings.applicationLabels[type.source] || type.label,
+          statusLabel: strings.statusLabels[REMINDER_STATUS] || titleCase(REMINDER_STATUS),
+          reference: getReference(type, document),
+          needsActionNote,
+          noticeAt: reminder.noticeAt,
+          now,
+          link: portalLink(profile, buildPortalPath(type, document)),
+          name: getApplicantName(type, document) || user.name || null,
+          profile
+        });
+        const messages = { email: { ...email, format: delivery.emailFormat || defaultEmailFormat } };
+
+        if (dryRun) {
+          logs.info(`Dry run: ${reminder.notificationType} for ${type.collectionId}/${document.$id} to ${maskEmail(user.email)}.`);
+          return { ignored: 'dry_run' };
+        }
+
+        const outcomes = await sendWithRetry(userId, ['email'], messages);
+        await deadLetterFailures({ userId, outcomes, messages, context: { ...entry, recipient: maskEmail(user.email) } });
+        if (!summarizeOutcomes(outcomes).sent) throw firstFailure(outcomes);
+
+        const sentEntry = {
+          ...entry,
+          decision: DECISIONS.sent,
+          channels: outcomes,
+          userId,
+          recipient: maskEmail(user.email),
+          notifiedAt: now.toISOString()
+        };
+        await withRetry(() => recordDecision(databases, databaseId, NOTIFICATION_LOG_COLLECTION_ID, sentEntry), {
+          policy: retryPolicy
+        });
+        await notifyWebhooks(sentEntry);
+        logs.info(`Reminder ${reminder.level} sent for ${type.collectionId}/${document.$id} to ${maskEmail(user.email)}.`);
+
+        if (writeTrackingFields) {
+          try {
+            await databases.updateDocument(databaseId, type.collectionId, document.$id, {
+              reminderCount: reminder.level,
+              lastReminderAt: now.toISOString()
+            });
+          } catch (err) {
+            logs.warn(`Failed to update reminder tracking for ${type.collectionId}/${document.$id}: ${err.message}`);
+          }
+        }
+        return { sent: true };
+      } finally {
+        if (lock) {
+          try {
+            await releaseLock(databases, databaseId, NOTIFICATION_LOCKS_COLLECTION_ID, lock);
+          } catch (err) {
+            logs.error(`Failed to release lock ${lock.lockId}; it expires in ${lockTtlMs / 1000}s: ${err.message}`);
+          }
+        }
+      }
+    };
+
+    // Staff alerts go to the type's teams and topics and are tracked in their own collection;
+    // the claim is taken before sending so each alert goes out once. A dry run only checks
+    // for an existing claim.
+    const sendStaffAlert = async (type, document, { alert, key, previousStatus = null, daysInReview = null }) => {
+      const config = type.staffAlerts;
+      const status = normalizeStatus(document.status, type.statusAliases);
+      let claimId = null;
+      if (dryRun) {
+        if (await isStaffAlertClaimed(databases, databaseId, STAFF_ALERTS_COLLECTION_ID, key)) return { skipped: 'duplicate' };
+      } else {
+        claimId = await claimStaffAlert(databases, databaseId, STAFF_ALERTS_COLLECTION_ID, {
+          key,
+          collectionId: type.collectionId,
+          documentId: document.$id,
+          alert,
+          status,
+          previousStatus,
+          executionId
+        });
+        if (!claimId) return { skipped: 'duplicate' };
+      }
+
+      const release = async () => {
+        if (!claimId) return;
+        try {
+          await releaseStaffAlert(databases, databaseId, STAFF_ALERTS_COLLECTION_ID, claimId);
+        } catch (err) {
+          logs.error(`Failed to release staff alert claim ${claimId}: ${err.message}`);
+        }
+      };
+
+      try {
+        const memberIds = await resolveTeamMembers(teams, config.teams);
+        const topics = config.topics || [];
+        if (!memberIds.length && !topics.length) {
+          await release();
+          logs.info(`Staff alert ${alert} for ${type.collectionId}/${document.$id} has no recipients.`);
+          return { skipped: 'no_recipients' };
+        }
+
+        const template = resolveTemplate(templateRegistry, staffTemplateKeys(type.source, alert));
+        if (!template) throw new Error('Staff alert template is missing.');
+
+        const strings = getStrings(staffLocale);
+        const profile = selectProfile([document], type.branding);
+        const message = buildStaffAlertEmail({
+          render: template.render,
+          strings,
+          alert,
+          applicationLabel: strings.applicationLabels[type.source] || type.label,
+          reference: getReference(type, document),
+          applicantName: getApplicantName(type, document),
+          statusLabel: strings.statusLabels[status] || titleCase(status),
+          previousStatusLabel: previousStatus ? strings.statusLabels[previousStatus] || titleCase(previousStatus) : null,
+          daysInReview,
+          document,
+          internalFields: config.internalFields,
+          link: adminPortalLink(profile, buildPortalPath(type, document, config.adminPath || DEFAULT_ADMIN_PATH)),
+          profile
+        });
+
+        if (dryRun) {
+          logs.info(`Dry run: staff alert ${alert} for ${type.collectionId}/${document.$id}.`);
+          return { skipped: 'dry_run' };
+        }
+
+        const result = await sendStaffEmail(messaging, { users: memberIds, topics, message, retryPolicy });
+        await completeStaffAlert(databases, databaseId, STAFF_ALERTS_COLLECTION_ID, claimId, {
+          messageId: result?.$id || null,
+          teams: config.teams || [],
+          topics
+        });
+        logs.info(`Staff alert ${alert} sent for ${type.collectionId}/${document.$id} (${memberIds.length} members, ${topics.length} topics).`);
+        return { sent: true };
+      } catch (err) {
+        await release();
+        throw err;
+      }
+    };
+
+    // Every item in a sent digest gets its own log entry, so throttle and dedupe treat the
+    // events as delivered. A failed send leaves the items queued for the next run.
+    const sendDigest = async ({ userId, frequency, items }) => {
+      let user;
+      try {
+        user = await metrics.time('userLookupMs', () => users.get(userId));
+      } catch (err) {
+        return { ignored: 'missing_user' };
+      }
+      if (!canReach(user, 'email')) return { ignored: 'missing_email' };
+
+      const template = resolveTemplate(templateRegistry, ['digest']);
+      if (!template) throw new Error('Digest template is missing.');
+
+      const strings = getStrings(resolveLocale(getLocaleCandidates({ user }), localeFallbacks));
+      // One agency's items get its branding; a digest spanning agencies uses the default look
+      const brandingIds = [...new Set(items.map((item) => item.branding || null))];
+      const { profile } = resolveProfile(BRANDING, brandingIds.length === 1 ? brandingIds : []);
+      const ordered = [...items].sort((a, b) => String(a.queuedAt).localeCompare(String(b.queuedAt)));
+      const applications = ordered
+        .filter((item) => item.kind === DIGEST_KINDS.application)
+        .map((item) => ({
+          title: format(strings.digest.application, {
+            label: strings.applicationLabels[item.source] || item.label,
+            reference: item.reference
+          }),
+          applicant: item.applicantName ? format(strings.digest.applicant, { name: item.applicantName }) : null,
+          status: format(strings.digest.status, { status: strings.statusLabels[item.status] || titleCase(item.status) }),
+          link: item.link || null
+        }));
+      const payStubs = ordered
+        .filter((item) => item.kind === DIGEST_KINDS.payStub)
+        .map((item) => {
+          const periodName = formatPayPeriod(strings, item);
+          const netPay =
+            payStubContent.privacy === 'mask' ? null : formatCurrency(strings.locale, item.netPay, item.currency || currency);
+          return {
+            title: periodName ? format(strings.digest.payStub, { period: periodName }) : strings.digest.payStubFallback,
+            netPay: netPay ? format(strings.digest.netPay, { amount: netPay }) : null,
+            link: item.link || null
+          };
+        });
+
+      let preferences = null;
+      if (enablePreferences) {
+        try {
+          preferences = await loadPreferences(databases, databaseId, PREFERENCES_COLLECTION_ID, userId);
+        } catch (err) {
+          logs.error(`Failed to load notification preferences for user ${userId}: ${err.message}`);
+        }
+      }
+      const messages = {
+        email: {
+          ...buildDigestEmail({
+            render: template.render,
+            strings,
+            frequency,
+            name: user.name || null,
+            applications,
+            payStubs,
+            profile
+          }),
+          format: preferences?.emailFormat || defaultEmailFormat
+        }
+      };
+
+      if (dryRun) {
+        logs.info(`Dry run: ${frequency} digest of ${items.length} events to ${maskEmail(user.email)}.`);
+        return { ignored: 'dry_run' };
+      }
+
+      const outcomes = await sendWithRetry(userId, ['email'], messages);
+      if (!summarizeOutcomes(outcomes).sent) throw firstFailure(outcomes);
+      logs.info(`Digest sent: ${frequency}, ${items.length} events to ${maskEmail(user.email)}.`);
+
+      const notifiedAt = new Date().toISOString();
+      for (const item of items) {
+        try {
+          await withRetry(
+            () =>
+              recordDecision(databases, databaseId, NOTIFICATION_LOG_COLLECTION_ID, {
+                collectionId: item.collectionId,
+                documentId: item.documentId,
+                type: item.kind,
+                decision: DECISIONS.sent,
+                reason: `digest:${frequency}`,
+                status: item.status,
+                notificationType: item.notificationType,
+                fingerprint: item.fingerprint,
+                snapshot: parseJson(item.snapshot),
+                channels: outcomes,
+                userId,
+                recipient: maskEmail(user.email),
+                eventName: 'schedule.digest',
+                executionId,
+                notifiedAt
+              }),
+            { policy: retryPolicy }
+          );
+        } catch (err) {
+          logs.error(`Failed to write notification log entry for digest item ${item.collectionId}/${item.documentId}: ${err.message}`);
+        }
+      }
+      return { sent: true };
+    };
+
+    // Comparison is an extra: without the previous stub the email simply has no changes section
+    const loadPreviousPayStub = async (document) => {
+      try {
+        return await findPreviousPayStub(databases, databaseId, PAY_STUBS_COLLECTION_ID, document);
+      } catch (err) {
+        logs.error(`Failed to look up the previous pay stub for ${document.$id}: ${err.message}`);
+        return null;
+      }
+    };
+
+    // A send deferred by quiet hours is cancelled when its document changes before delivery;
+    // the `superseded` entry tells throttle and dedupe it never reached the recipient
+    const supersedeDeferred = async (pending) => {
+      const outcomes = parseJson(pending.channels) || {};
+      const messageIds = Object.values(outcomes).map((outcome) => outcome?.messageId).filter(Boolean);
+      for (const messageId of messageIds) {
+        try {
+          await messaging.delete({ messageId });
+        } catch (err) {
+          if (err.code === 404) continue;
+          logs.error(`Failed to cancel deferred message ${messageId} for ${pending.collectionId}/${pending.documentId}: ${err.message}`);
+          return false;
+        }
+      }
+      const entry = {
+        collectionId: pending.collectionId,
+        documentId: pending.documentId,
+        type: pending.type,
+        decision: DECISIONS.superseded,
+        reason: 'document_changed',
+        notificationType: pending.notificationType,
+        fingerprint: pending.fingerprint,
+        channels: outcomes,
+        userId: pending.userId,
+        recipient: pending.recipient,
+        scheduledAt: pending.scheduledAt,
+        eventName: decision.eventName || null,
+        executionId,
+        notifiedAt: new Date().toISOString()
+      };
+      try {
+        await withRetry(() => recordDecision(databases, databaseId, NOTIFICATION_LOG_COLLECTION_ID, entry), {
+          policy: retryPolicy
+        });
+      } catch (err) {
+        logs.error(`Failed to write notification log entry for superseded ${pending.collectionId}/${pending.documentId}: ${err.message}`);
+      }
+      await notifyWebhooks(entry);
+      logs.info(`Superseded the message deferred to ${pending.scheduledAt} for ${pending.collectionId}/${pending.documentId}.`);
+      return true;
+    };
+
+    const findUser = async (userId) => {
+      if (!userId) return null;
+      try {
+        return await users.get(userId);
+      } catch (err) {
+        return null;
+      }
+    };
+
+    // Admin routes render a document for its current status, as the event flow would for a
+    // first notice; pay stubs resolve their recipient through the employee record
+    const loadAdminTarget = async ({ collectionId, documentId }) => {
+      const type = APPLICATION_REGISTRY.types[collectionId] || null;
+      if (!type && collectionId !== PAY_STUBS_COLLECTION_ID) {
+        throw adminError(400, 'unrecognized_collection', `${collectionId} is not a notifying collection.`);
+      }
+      let document;
+      try {
+        document = await databases.getDocument(databaseId, collectionId, documentId);
+      } catch (err) {
+        if (err.code === 404) throw adminError(404, 'document_not_found', `${collectionId}/${documentId} not found.`);
+        throw err;
+      }
+      if (type) {
+        const userId = document.userId || null;
+        return { type, document, kind: 'application', userId, user: await findUser(userId) };
+      }
+      let employee = null;
+      try {
+        employee = await databases.getDocument(databaseId, EMPLOYEES_COLLECTION_ID, document.employeeId);
+      } catch (err) {
+        logs.error(`Admin: no employee for pay stub ${documentId}: ${err.message}`);
+      }
+      const userId = employee?.userId || null;
+      const previous = await loadPreviousPayStub(document);
+      return { type, document, employee, previous, kind: 'pay_stub', userId, user: await findUser(userId) };
+    };
+
+    const renderedOrFail = (rendered) => {
+      if (rendered.ignored) throw adminError(500, rendered.ignored, 'No template renders this notice.');
+      return rendered;
+    };
+
+    const renderAdminTarget = (target, emailFormat) =>
+      renderedOrFail(
+        target.type
+          ? renderApplicationMessages({ type: target.type, document: target.document, user: target.user, emailFormat })
+          : renderPayStubMessages({
+              document: target.document,
+              employee: target.employee,
+              previous: target.previous,
+              user: target.user,
+              emailFormat
+            })
+      );
+
+    // A bulk page runs every document through the event flow below, as if each had fired its own
+    // event, so dedupe, throttle, preferences and the log apply unchanged. The flow reads the
+    // document, employee and user from what was fetched for the whole page.
+    const runBulkPage = async (request, cursor) => {
+      const type = APPLICATION_REGISTRY.types[request.collectionId] || null;
+      const position = decodeCursor(request, cursor);
+      if (!position) throw adminError(400, 'invalid_cursor', 'The cursor belongs to a different selection.');
+
+      const page = await loadBulkPage(databases, databaseId, request, { type, position });
+      const employees = type
+        ? new Map()
+        : await prefetchDocuments(databases, databaseId, EMPLOYEES_COLLECTION_ID, page.documents.map((doc) => doc.employeeId));
+      const recipients = await metrics.time('userLookupMs', () =>
+        prefetchUsers(users, type ? page.documents.map((doc) => doc.userId) : [...employees.values()].map((doc) => doc.userId))
+      );
+      const fetched = new Map([
+        ...page.documents.map((doc) => [`${request.collectionId}/${doc.$id}`, doc]),
+        ...[...employees.values()].map((doc) => [`${EMPLOYEES_COLLECTION_ID}/${doc.$id}`, doc])
+      ]);
+      const pageServices = {
+        databases: Object.create(databases, {
+          getDocument: {
+            value: async (dbId, collection, id) => {
+              const doc = fetched.get(`${collection}/${id}`);
+              return doc ? { ...doc } : databases.getDocument(dbId, collection, id);
+            }
+          }
+        }),
+        users: Object.create(users, {
+          get: { value: async (userId) => (recipients.has(userId) ? { ...recipients.get(userId) } : users.get(userId)) }
+        }),
+        messaging,
+        teams,
+        storage
+      };
+
+      const report = await runWithLimits(
+        page.documents,
+        async (doc) => {
+          let response = null;
+          const capture = (body, statusCode) => {
+            response = { body, statusCode };
+            return response;
+          };
+          await main({
+            req: {
+              headers: { 'x-appwrite-event': bulkEventName(request.collectionId, doc.$id) },
+              body: { ...doc, $collectionId: request.collectionId, $databaseId: databaseId }
+            },
+            res: { json: capture, send: capture },
+            log,
+            error,
+            services: pageServices
+          });
+          return reportEntry(doc.$id, response?.body);
+        },
+        request
+      );
+      return {
+        report: [...report, ...page.missing.map((documentId) => ({ documentId, result: 'not_found' }))],
+        cursor: page.next
+      };
+    };
+
+    const adminHandlers = {
+      preview: async (params) => {
+        const target = await loadAdminTarget(params);
+        const { messages, templateKey, warnings } = renderAdminTarget(target, 'html');
+        const { subject, content, text } = messages.email;
+        if (params.format === 'text') return { content: text, contentType: 'text/plain; charset=utf-8' };
+        if (params.format === 'json') {
+          return {
+            body: {
+              collectionId: params.collectionId,
+              documentId: params.documentId,
+              template: templateKey,
+              recipient: target.user ? maskEmail(target.user.email) : null,
+              subject,
+              html: content,
+              text,
+              sms: messages.sms.content,
+              push: messages.push,
+              warnings
+            }
+          };
+        }
+        return { content, contentType: 'text/html; charset=utf-8' };
+      },
+
+      // Resends skip throttle, dedupe and digests but keep opt-outs; the log entry carries the
+      // actor and the reason given so every manual send can be traced
+      resend: async (params, actor) => {
+        const target = await loadAdminTarget(params);
+        const { type, document, kind, userId, user } = target;
+        if (!userId) throw adminError(422, 'missing_userId', 'The document has no recipient.');
+        if (!user) throw adminError(422, 'missing_user', `User ${userId} not found.`);
+
+        const status = type ? normalizeStatus(document.status, type.statusAliases) : null;
+        const delivery = await checkPreferences(userId, { category: type ? type.source : PAY_STUB_CATEGORY, status });
+        if (!delivery.allowed) throw adminError(409, 'opted_out', `The recipient opted out (${delivery.reason}).`);
+        const selectedChannels = selectChannels(resolveRoute(channelRoutes, type ? status : PAY_STUB_ROUTE), delivery);
+        const channels = selectedChannels.filter((channel) => canReach(user, channel));
+        if (!channels.length) {
+          throw adminError(422, selectedChannels.length ? unreachableReason(selectedChannels) : 'opted_out');
+        }
+
+        const adminNotes = normalizeText(document.adminNotes);
+        const needsActionNote = normalizeText(document.needsActionNote);
+        const rejectionReason = normalizeText(document.rejectionReason);
+        // Logged like an event-flow notice, so later changes are diffed against what was resent
+        const snapshot = type ? takeSnapshot(type, document, status, { secret: SETTINGS.snapshotSecret }) : null;
+        const entry = {
+          executionId,
+          eventName: 'admin.resend',
+          collectionId: params.collectionId,
+          documentId: document.$id,
+          type: kind,
+          status,
+          fingerprint: type
+            ? buildApplicationFingerprint({ status, adminNotes, needsActionNote, rejectionReason, watched: snapshot.fields })
+            : buildPayStubFingerprint(document),
+          snapshot,
+          notificationType: type
+            ? buildNotificationType({ status, adminNotes, needsActionNote, rejectionReason })
+            : 'pay_stub',
+          userId,
+          recipient: maskEmail(user.email),
+          actor,
+          note: normalizeText(params.reason)
+        };
+        const { messages, templateKey, warnings } = renderAdminTarget(target, delivery.emailFormat);
+
+        if (dryRun) {
+          logs.info(`Dry run: admin resend of ${params.collectionId}/${document.$id} via ${channels.join(', ')}.`);
+          return {
+            body: {
+              dryRun: true,
+              type: kind,
+              channels,
+              report: buildDryRunReport({ templateKey, messages, channels, user, warnings })
+            }
+          };
+        }
+        logWarnings(warnings);
+
+        // Same lock as the event flow, so a resend cannot race a notice for the same content
+        const lock = await claimLock(databases, databaseId, NOTIFICATION_LOCKS_COLLECTION_ID, {
+          key: { collectionId: params.collectionId, documentId: document.$id, fingerprint: entry.fingerprint },
+          executionId,
+          ttlMs: lockTtlMs,
+          now: new Date()
+        });
+        if (!lock.acquired) throw adminError(409, 'concurrent_execution', 'The document is being notified right now.');
+
+        try {
+          const outcomes = await sendWithRetry(userId, channels, messages);
+          await deadLetterFailures({ userId, outcomes, messages, context: entry });
+          const { sent } = summarizeOutcomes(outcomes);
+          const logged = {
+            ...entry,
+            decision: sent ? DECISIONS.sent : DECISIONS.failed,
+            reason: sent ? 'resend' : firstFailure(outcomes).message,
+            channels: outcomes,
+            notifiedAt: new Date().toISOString()
+          };
+          try {
+            await withRetry(() => recordDecision(databases, databaseId, NOTIFICATION_LOG_COLLECTION_ID, logged), {
+              policy: retryPolicy
+            });
+          } catch (err) {
+            logs.error(`Failed to write notification log entry for resend of ${params.collectionId}/${document.$id}: ${err.message}`);
+          }
+          await notifyWebhooks(logged);
+          if (!sent) throw adminError(502, 'send_failed', logged.reason);
+
+          logs.info(`Admin resend by ${actor}: ${params.collectionId}/${document.$id} to ${maskEmail(user.email)} via ${channels.join(', ')}.`);
+          return { body: { sent: true, type: kind, channels: outcomes } };
+        } finally {
+          try {
+            await releaseLock(databases, databaseId, NOTIFICATION_LOCKS_COLLECTION_ID, lock);
+          } catch (err) {
+            logs.error(`Failed to release lock ${lock.lockId}; it expires in ${lockTtlMs / 1000}s: ${err.message}`);
+          }
+        }
+      },
+
+      // Messaging only delivers to Appwrite users, so the address must belong to one. The sample
+      // is email only, is not tied to a document and never touches the notification log.
+      testSend: async (params, actor) => {
+        const email = normalizeText(params.email).toLowerCase();
+        const result = await users.list([Query.equal('email', [email]), Query.limit(1)]);
+        const user = result.users?.[0];
+        if (!user) throw adminError(404, 'unknown_recipient', 'No user has this email address.');
+
+        const collectionId = params.collectionId || Object.keys(APPLICATION_REGISTRY.types)[0];
+        const type = APPLICATION_REGISTRY.types[collectionId] || null;
+        if (!type && collectionId !== PAY_STUBS_COLLECTION_ID) {
+          throw adminError(400, 'unrecognized_collection', `${collectionId} is not a notifying collection.`);
+        }
+        if (params.branding && !BRANDING.profiles[params.branding]) {
+          throw adminError(400, 'unknown_branding', `${params.branding} is not a branding profile.`);
+        }
+        const sampleUser = params.locale ? { ...user, prefs: { ...user.prefs, locale: params.locale } } : user;
+        const now = new Date();
+        const sample = renderedOrFail(
+          type
+            ? renderApplicationMessages({
+                type,
+                user: sampleUser,
+                document: {
+                  $id: 'SAMPLE0001',
+                  [brandingField]: params.branding || null,
+                  status: params.status || 'approved',
+                  adminNotes: params.adminNotes || null,
+                  needsActionNote: params.needsActionNote || null,
+                  rejectionReason: params.rejectionReason || null
+                }
+              })
+            : renderPayStubMessages({
+                user: sampleUser,
+                employee: null,
+                document: {
+                  $id: 'SAMPLE0001',
+                  [brandingField]: params.branding || null,
+                  periodStart: new Date(now.getTime() - 14 * DAY_MS).toISOString(),
+                  periodEnd: now.toISOString(),
+                  grossPay: 1600,
+                  deductions: [
+                    { name: 'Income tax', amount: 240.44 },
+                    { name: 'Pension', amount: 125 }
+                  ],
+                  netPay: 1234.56,
+                  ytdGrossPay: 30400,
+                  ytdDeductions: 6943.36,
+                  ytdNetPay: 23456.64
+                }
+              })
+        );
+        const message = { ...sample.messages.email, subject: `${TEST_SUBJECT_PREFIX}${sample.messages.email.subject}` };
+
+        if (dryRun) {
+          logs.info(`Dry run: test send of ${sample.templateKey} to ${maskEmail(user.email)}.`);
+          return { body: { dryRun: true, template: sample.templateKey, subject: message.subject } };
+        }
+
+        const outcomes = await sendWithRetry(user.$id, ['email'], { email: message });
+        if (!summarizeOutcomes(outcomes).sent) throw adminError(502, 'send_failed', firstFailure(outcomes).message);
+        logs.info(`Admin test send by ${actor}: ${sample.templateKey} to ${maskEmail(user.email)}.`);
+        return {
+          body: { sent: true, template: sample.templateKey, subject: message.subject, recipient: maskEmail(user.email) }
+        };
+      },
+
+      // One page per call: the response carries the report and, until the selection is
+      // exhausted, the cursor to pass back. With `schedule` the selection becomes a job that
+      // scheduled runs work through instead.
+      bulk: async (params, actor) => {
+        const problems = validateBulkRequest(params);
+        if (problems.length) throw adminError(400, 'invalid_bulk_request', problems.join('; '));
+        if (!APPLICATION_REGISTRY.types[params.collectionId] && params.collectionId !== PAY_STUBS_COLLECTION_ID) {
+          throw adminError(400, 'unrecognized_collection', `${params.collectionId} is not a notifying collection.`);
+        }
+        const request = normalizeBulkRequest(params);
+
+        if (params.schedule) {
+          const job = await enqueueBulkJob(databases, databaseId, BULK_JOBS_COLLECTION_ID, { request, actor });
+          logs.info('Bulk job queued.', { job: job.$id, actor, collection: request.collectionId });
+          return { body: { queued: true, jobId: job.$id } };
+        }
+
+        const { report, cursor } = await runBulkPage(request, params.cursor || null);
+        const summary = summarizeReport(report);
+        logs.info('Bulk page processed.', { actor, collection: request.collectionId, ...summary, more: Boolean(cursor) });
+        return { body: { summary, report, cursor } };
+      },
+
+      // Probes the key's scopes on every collection the enabled features use, the Users API and
+      // Messaging, without sending or writing anything. Tracking fields are only probed for
+      // write access when NOTIFY_WRITE_TRACKING_FIELDS is on.
+      health: async () => {
+        const collections = [
+          { id: NOTIFICATION_LOG_COLLECTION_ID, write: true },
+          { id: NOTIFICATION_LOCKS_COLLECTION_ID, write: true },
+          { id: DIGEST_COLLECTION_ID, write: true },
+          { id: DEAD_LETTER_COLLECTION_ID, write: true },
+          { id: BULK_JOBS_COLLECTION_ID, write: true },
+          ...(enableApplications
+            ? [
+                ...Object.keys(APPLICATION_REGISTRY.types).map((id) => ({ id, write: writeTrackingFields })),
+                { id: STAFF_ALERTS_COLLECTION_ID, write: true }
+              ]
+            : []),
+          ...(enablePayStubs
+            ? [
+                { id: PAY_STUBS_COLLECTION_ID, write: writeTrackingFields },
+                { id: EMPLOYEES_COLLECTION_ID, write: false }
+              ]
+            : []),
+          ...(enablePreferences ? [{ id: PREFERENCES_COLLECTION_ID, write: false }] : []),
+          ...(TEMPLATES_COLLECTION_ID ? [{ id: TEMPLATES_COLLECTION_ID, write: false }] : [])
+        ];
+        const report = await checkHealth({
+          databases,
+          users,
+          messaging,
+          databaseId,
+          collections,
+          channels: [...new Set(Object.values(channelRoutes).flat())]
+        });
+        report.checks.forEach((check) => {
+          if (!check.ok) logs.error(`Health check failed: ${check.error}`, { target: check.target, scope: check.scope });
+          else if (check.warning) logs.warn(`Health check warning: ${check.warning}`, { target: check.target });
+        });
+        logs.info('Health checked.', { healthy: report.healthy, checks: report.checks.length });
+        return { body: { ...report, databaseId, dryRun } };
+      }
+    };
+
+    // Scheduled executions carry no document: they re-drive the dead-letter queue, send
+    // needs_action reminders and due digests. They report a summary instead of a per-document decision.
+    if (isScheduledRun(req)) {
+      const scheduled = {};
+      scheduled.redrive = await redriveDeadLetters({
+        databases,
+        messaging,
+        databaseId,
+        deadLetterCollectionId: DEAD_LETTER_COLLECTION_ID,
+        logCollectionId: NOTIFICATION_LOG_COLLECTION_ID,
+        locksCollectionId: NOTIFICATION_LOCKS_COLLECTION_ID,
+        lockTtlMs,
+        recheck: recheckDeadLetter,
+        retryPolicy,
+        maxRedrives,
+        batchSize: redriveBatch,
+        executionId,
+        dryRun,
+        logger,
+        errLogger
+      });
+      logs.info(
+        dryRun
+          ? `Scheduled dry run: ${scheduled.redrive.wouldRedrive}/${scheduled.redrive.processed} dead letters would be re-driven.`
+          : `Scheduled run: re-drove ${scheduled.redrive.redriven}/${scheduled.redrive.processed} dead letters.`
+      );
+
+      if (enableApplications && enableReminders) {
+        scheduled.reminders = await runReminders({
+          databases,
+          databaseId,
+          logCollectionId: NOTIFICATION_LOG_COLLECTION_ID,
+          types: Object.values(APPLICATION_REGISTRY.types),
+          reminderDays,
+          pageSize: SETTINGS.reminderPageSize,
+          sendReminder,
+          logger,
+          errLogger
+        });
+      }
+
+      if (enableApplications) {
+        scheduled.staffAlerts = await runStaleReviewAlerts({
+          databases,
+          databaseId,
+          types: Object.values(APPLICATION_REGISTRY.types),
+          sendAlert: sendStaffAlert,
+          logger,
+          errLogger
+        });
+      }
+
+      scheduled.bulk = await runBulkJobs({
+        databases,
+        databaseId,
+        collectionId: BULK_JOBS_COLLECTION_ID,
+        jobsPerRun: SETTINGS.bulkJobsPerRun,
+        runPage: runBulkPage,
+        dryRun,
+        logger,
+        errLogger
+      });
+
+      if (enablePayStubs && attachmentConfig.mode === 'pdf') {
+        try {
+          scheduled.payStubFiles = await purgeGeneratedPdfs(storage, attachmentConfig, { dryRun });
+          logs.info(
+            dryRun
+              ? `Scheduled dry run: ${scheduled.payStubFiles.wouldDelete} expired pay stub PDFs would be removed.`
+              : `Scheduled run: removed ${scheduled.payStubFiles.deleted} expired pay stub PDFs.`
+          );
+        } catch (err) {
+          logs.error(`Failed to remove expired pay stub PDFs: ${err.message}`);
+        }
+      }
+
+      scheduled.digests = await runDigests({
+        databases,
+        databaseId,
+        collectionId: DIGEST_COLLECTION_ID,
+        batchSize: SETTINGS.digestBatch,
+        dryRun,
+        sendDigest,
+        logger,
+        errLogger
+      });
+
+      return res.json({ ok: true, mode: 'schedule', scheduled, metrics: metrics.summary() });
+    }
+
+    // HTTP calls under /admin/ are operator requests, not document events: they are
+    // authorized separately and answer directly instead of recording a decision
+    if (isAdminRequest(req)) {
+      return handleAdminRequest({
+        req,
+        res,
+        teams,
+        apiKey: SETTINGS.adminApiKey,
+        teamId: SETTINGS.adminTeamId,
+        handlers: adminHandlers,
+        logger,
+        errLogger
+      });
+    }
 
     const payload = parseJson(req.body || req.bodyRaw);
     if (!payload) {
-      logger('Ignored: no payload.');
-      return res.json({ ok: true, ignored: 'no_payload' });
+      return respond({ ok: true, ignored: 'no_payload' });
     }
 
     const now = new Date();
     const eventName = getEventName(req, payload);
-    logger(`Event: ${eventName || 'unknown'}.`);
-    
-    // DEBUG: Log all headers to see if there are duplicate triggers
-    const allEvents = req.headers?.['x-appwrite-events'] || req.headers?.['X-Appwrite-Events'];
-    if (allEvents) {
-      logger(`All Events Header: ${allEvents}`);
-    }
-    logger(`Event from header: ${req.headers?.['x-appwrite-event'] || req.headers?.['X-Appwrite-Event'] || 'none'}`);
-    logger(`Events array from payload: ${JSON.stringify(payload?.events || [])}`);
-    logger(`Document $createdAt: ${payload?.$createdAt || 'none'}`);
-    logger(`Document $updatedAt: ${payload?.$updatedAt || 'none'}`);
-    logger(`Is create event: ${payload?.$createdAt === payload?.$updatedAt ? 'yes' : 'no'}`);
+    decision.eventName = eventName;
+    logs = logs.child({ event: eventName || 'unknown' });
 
     const document = payload;
     if (!document?.$id || !document?.$collectionId || !document?.$databaseId) {
-      logger('Ignored: missing document metadata.');
-      return res.json({ ok: true, ignored: 'missing_metadata' });
-    }
-
-    // CRITICAL: Prevent self-triggering loop
-    // If this update only changed notification tracking fields, ignore it
-    const eventType = guessEventType(eventName, document);
-    if (eventType === 'update') {
-      // Check if only notification-related fields changed
-      const hasOnlyNotificationChanges = 
-        document.$updatedAt !== document.$createdAt && // This is an update
-        !eventName?.includes('.create') && // Not a create event
-        document.lastNotifiedAt && // Has notification data
-        document.lastNotifiedHash; // Has notification hash
-      
-      // If we just sent a notification in the last 10 seconds, this might be our own update
-      const lastNotified = parseDate(document.lastNotifiedAt);
-      const veryRecentNotification = lastNotified && (now - lastNotified) < 10000; // 10 seconds
-      
-      if (hasOnlyNotificationChanges && veryRecentNotification) {
-        logger(`Ignored: likely self-triggered update for ${document.$id} (notification sent ${Math.round((now - lastNotified) / 1000)}s ago).`);
-        return res.json({ ok: true, ignored: 'self_trigger' });
-      }
+      return respond({ ok: true, ignored: 'missing_metadata' });
     }
 
     const collectionId = document.$collectionId;
-    const applicationConfig = APPLICATION_COLLECTIONS[collectionId];
+    const applicationConfig = APPLICATION_REGISTRY.types[collectionId];
     const isPayStub = collectionId === PAY_STUBS_COLLECTION_ID;
+    decision.collectionId = collectionId;
+    decision.documentId = document.$id;
+    decision.type = isPayStub ? 'pay_stub' : applicationConfig ? 'application' : null;
+    logs = logs.child({ collection: collectionId, document: document.$id });
 
     if (!applicationConfig && !isPayStub) {
-      logger(`Ignored: unrecognized collection ${collectionId}.`);
-      return res.json({ ok: true, ignored: 'unrecognized_collection' });
+      return respond({ ok: true, ignored: 'unrecognized_collection' });
     }
 
     // ============================================
@@ -502,121 +1805,244 @@ export default async function main({ req, res, log, error: errLogger }) {
     // ============================================
     let freshDocument = document;
     try {
-      freshDocument = await databases.getDocument(databaseId, collectionId, document.$id);
-      logger(`Fetched fresh document for ${collectionId}/${document.$id}`);
+      freshDocument = await metrics.time('fetchDocumentMs', () => databases.getDocument(databaseId, collectionId, document.$id));
+      logs.debug('Fetched fresh document.');
     } catch (err) {
       if (err.code === 401 || err.message?.includes('missing scopes')) {
-        errLogger(`Permission error fetching fresh document: ${err.message}`);
-        errLogger(`CRITICAL: Function API key needs 'documents.read' and 'documents.write' scopes!`);
+        logs.error(`Permission error fetching fresh document: ${err.message}`);
+        logs.error(`CRITICAL: Function API key needs 'documents.read' and 'documents.write' scopes!`);
       } else {
-        errLogger(`Failed to fetch fresh document for ${collectionId}/${document.$id}: ${err.message}`);
+        logs.error(`Failed to fetch fresh document: ${err.message}`);
       }
       // Continue with webhook payload as fallback
-      logger(`Continuing with webhook payload data for ${collectionId}/${document.$id}`);
+      logs.warn('Continuing with webhook payload data.');
     }
 
     // ============================================
-    // ATOMIC LOCK: Prevent race conditions
+    // IDEMPOTENCY LOCK: Prevent race conditions
     // ============================================
-    // Use a processing flag to prevent concurrent executions
-    const processingKey = `processing_${collectionId}_${document.$id}_${Date.now()}`;
-    const isCurrentlyProcessing = freshDocument.lastNotifiedAt && 
-                                   (now - parseDate(freshDocument.lastNotifiedAt)) < 5000; // 5 seconds
-    
-    if (isCurrentlyProcessing) {
-      logger(`Ignored: document ${collectionId}/${document.$id} is currently being processed by another execution.`);
-      return res.json({ ok: true, ignored: 'concurrent_execution' });
-    }
+    // Claims collection/document/fingerprint before reading the log, so of two racing
+    // executions only one sends and the other either waits out or sees its log entry
+    const eventType = guessEventType(eventName, document);
+
+    // The last send for this document, once a deferred one for other content is superseded
+    const loadLastSent = async (fingerprint) => {
+      const read = () =>
+        findLastSent(databases, databaseId, NOTIFICATION_LOG_COLLECTION_ID, {
+          sourceCollectionId: collectionId,
+          documentId: document.$id
+        });
+      const lastSent = await read();
+      const deferredTo = parseDate(lastSent?.scheduledAt);
+      const stale = deferredTo && deferredTo > new Date() && lastSent.fingerprint !== fingerprint;
+      return stale && (await supersedeDeferred(lastSent)) ? read() : lastSent;
+    };
+
+    const claimAndLoadHistory = async (fingerprint) => {
+      const key = { collectionId, documentId: document.$id, fingerprint };
+      const lock = await claimLock(databases, databaseId, NOTIFICATION_LOCKS_COLLECTION_ID, {
+        key,
+        executionId,
+        ttlMs: lockTtlMs,
+        now
+      });
+      if (!lock.acquired) {
+        logs.info('Being processed by another execution.', { holder: lock.holder || 'unknown' });
+        return { ignored: 'concurrent_execution' };
+      }
+      heldLock = lock;
+
+      // The notification log is the source of truth for throttle and dedupe; tracking fields
+      // on the document are only read for documents notified before the log existed
+      let lastSent = null;
+      try {
+        lastSent = await loadLastSent(fingerprint);
+      } catch (err) {
+        logs.error(`Failed to read notification log: ${err.message}`);
+      }
+      const lastNotifiedAt = parseDate(lastSent?.notifiedAt || freshDocument.lastNotifiedAt);
+      const lastNotifiedHash = lastSent?.fingerprint || freshDocument.lastNotifiedHash || null;
+      // Field changes are diffed against the last notice: a document never notified starts from
+      // nothing, and one last notified before snapshots were logged has no baseline at all
+      const lastSnapshot = lastSent || freshDocument.lastNotifiedHash ? parseJson(lastSent?.snapshot) : EMPTY_SNAPSHOT;
+
+      // CRITICAL: Prevent self-triggering loop
+      // Writing tracking fields fires an update whose content still matches what we sent
+      if (
+        eventType === 'update' &&
+        document.lastNotifiedHash === fingerprint &&
+        lastNotifiedHash === fingerprint
+      ) {
+        return { ignored: 'self_trigger' };
+      }
+
+      return { lastNotifiedAt, lastNotifiedHash, lastSnapshot };
+    };
 
     // ============================================
     // Pay stub flow
     // ============================================
     if (isPayStub) {
       if (!enablePayStubs) {
-        logger(`Ignored: pay stub emails disabled for ${freshDocument.$id}.`);
-        return res.json({ ok: true, ignored: 'pay_stub_disabled' });
+        return respond({ ok: true, ignored: 'pay_stub_disabled' });
       }
 
-      const lastNotifiedAt = parseDate(freshDocument.lastNotifiedAt);
-      if (lastNotifiedAt && now - lastNotifiedAt < throttleMs) {
-        logger(`Ignored: throttled pay stub ${freshDocument.$id}.`);
-        return res.json({ ok: true, ignored: 'throttled' });
-      }
+      const payStubFingerprint = buildPayStubFingerprint(freshDocument);
+      decision.fingerprint = payStubFingerprint;
+      decision.notificationType = 'pay_stub';
 
-      const payStubFingerprint = hashPayload({
-        hash: freshDocument.hash,
-        generatedAt: freshDocument.generatedAt,
-        netPay: freshDocument.netPay,
-        period: freshDocument.payPeriodId
-      });
+      const history = await claimAndLoadHistory(payStubFingerprint);
+      if (history.ignored) return respond({ ok: true, ignored: history.ignored });
+      const { lastNotifiedAt, lastNotifiedHash } = history;
 
-      if (freshDocument.lastNotifiedHash && freshDocument.lastNotifiedHash === payStubFingerprint) {
-        logger(`Ignored: duplicate pay stub ${freshDocument.$id}.`);
-        return res.json({ ok: true, ignored: 'duplicate' });
+      if (lastNotifiedAt && now - lastNotifiedAt < throttleMs) {
+        return respond({ ok: true, ignored: 'throttled' });
       }
 
-      if (dryRun) {
-        logger(`Dry run: pay stub email for ${freshDocument.$id}.`);
-        return res.json({ ok: true, dryRun: true, type: 'pay_stub' });
+      if (lastNotifiedHash && lastNotifiedHash === payStubFingerprint) {
+        return respond({ ok: true, ignored: 'duplicate' });
       }
 
       let employee;
       try {
         employee = await databases.getDocument(databaseId, EMPLOYEES_COLLECTION_ID, freshDocument.employeeId);
       } catch (err) {
-        errLogger(`Pay stub ignored: missing employee for ${freshDocument.$id}.`);
-        return res.json({ ok: true, ignored: 'missing_employee' });
+        logs.error('Pay stub ignored: missing employee.', { reason: 'missing_employee' });
+        return respond({ ok: true, ignored: 'missing_employee' });
       }
 
       const userId = employee?.userId;
+      decision.userId = userId;
       if (!userId) {
-        logger(`Ignored: pay stub ${freshDocument.$id} missing employee userId.`);
-        return res.json({ ok: true, ignored: 'missing_userId' });
+        return respond({ ok: true, ignored: 'missing_userId' });
+      }
+
+      const delivery = await checkPreferences(userId, { category: PAY_STUB_CATEGORY });
+      if (!delivery.allowed) {
+        logs.info('User opted out of pay stub notifications.', { preference: delivery.reason });
+        return respond({ ok: true, ignored: 'opted_out', category: PAY_STUB_CATEGORY });
+      }
+
+      if (delivery.digest !== 'immediate') {
+        const profile = selectProfile([freshDocument, employee]);
+        return queueForDigest(delivery.digest, {
+          kind: DIGEST_KINDS.payStub,
+          userId,
+          collectionId,
+          documentId: freshDocument.$id,
+          reference: freshDocument.$id,
+          periodName: normalizeText(freshDocument.periodName),
+          periodStart: freshDocument.periodStart || null,
+          periodEnd: freshDocument.periodEnd || null,
+          netPay: freshDocument.netPay ?? null,
+          currency: freshDocument.currency || null,
+          link: portalLink(profile, `citizen-portal/pay-stubs/${freshDocument.$id}`),
+          branding: profile.id,
+          fingerprint: payStubFingerprint,
+          notificationType: 'pay_stub'
+        });
       }
 
       let user;
       try {
-        user = await users.get(userId);
+        user = await metrics.time('userLookupMs', () => users.get(userId));
       } catch (err) {
-        errLogger(`Pay stub ignored: user not found for ${freshDocument.$id}.`);
-        return res.json({ ok: true, ignored: 'missing_user' });
+        logs.error('Pay stub ignored: user not found.', { reason: 'missing_user' });
+        return respond({ ok: true, ignored: 'missing_user' });
       }
+      decision.recipient = maskEmail(user.email);
 
-      if (!user?.email) {
-        logger(`Ignored: pay stub ${freshDocument.$id} user has no email.`);
-        return res.json({ ok: true, ignored: 'missing_email' });
+      const selectedChannels = selectChannels(resolveRoute(channelRoutes, PAY_STUB_ROUTE), delivery);
+      if (!selectedChannels.length) {
+        return respond({ ok: true, ignored: 'opted_out', category: PAY_STUB_CATEGORY });
       }
 
-      const link = buildPortalLink(portalBaseUrl, `citizen-portal/pay-stubs/${freshDocument.$id}`);
-      const reference = freshDocument.$id || freshDocument.id || 'Pay stub';
-      const { subject, content } = buildPayStubEmail({
-        employeeName: employee.fullName || user.name || null,
-        periodName: freshDocument.periodName || null,
-        link,
-        reference
-      });
+      const channels = selectedChannels.filter((channel) => canReach(user, channel));
+      if (!channels.length) {
+        logs.info('User is unreachable on the routed channels.', { channel: selectedChannels });
+        return respond({ ok: true, ignored: unreachableReason(selectedChannels) });
+      }
 
-      if (dryRun) {
-        logger(`Dry run: pay stub email to ${maskEmail(user.email)} (${freshDocument.$id}).`);
-        return res.json({ ok: true, dryRun: true, type: 'pay_stub' });
+      // Attachments are best effort: whatever goes wrong, the email still goes out with the link
+      let attachment = null;
+      if (attachmentConfig.mode !== 'none' && channels.includes('email')) {
+        const strings = payStubStrings(user, employee);
+        try {
+          attachment = await preparePayStubAttachment(storage, attachmentConfig, {
+            document: freshDocument,
+            employee,
+            strings,
+            currency,
+            periodName: formatPayPeriod(strings, freshDocument),
+            privacy: payStubContent.privacy,
+            dryRun
+          });
+        } catch (err) {
+          logs.error(`Failed to prepare the pay stub attachment: ${err.message}`);
+          attachment = { fallback: 'error' };
+        }
+        if (attachment.fallback) {
+          logs.info('Pay stub goes out link-only.', { attachment: attachment.fallback });
+        }
       }
 
-      await messaging.createEmail({
-        messageId: ID.unique(),
-        subject,
-        content,
-        users: [userId],
-        html: true
+      const rendered = renderPayStubMessages({
+        document: freshDocument,
+        employee,
+        user,
+        emailFormat: delivery.emailFormat,
+        attachment,
+        previous: await loadPreviousPayStub(freshDocument)
       });
+      if (rendered.ignored) return respond({ ok: true, ignored: rendered.ignored });
+      const { messages, templateKey, warnings } = rendered;
+      if (attachment?.fallback) warnings.push(`attachment: the email goes out link-only (${attachment.fallback})`);
 
-      await databases.updateDocument(databaseId, collectionId, freshDocument.$id, {
-        lastNotifiedAt: now.toISOString(),
-        lastNotifiedType: 'pay_stub',
-        lastNotifiedHash: payStubFingerprint
-      });
+      const scheduledAt = deferralFor(user, urgentStatuses.has(PAY_STUB_ROUTE));
+      if (scheduledAt) logs.info('Quiet hours: pay stub is deferred.', { scheduledAt: scheduledAt.toISOString() });
+      decision.scheduledAt = scheduledAt ? scheduledAt.toISOString() : null;
+
+      // A dry run stops here: nothing is sent and the tracking fields stay as they are
+      if (dryRun) {
+        logs.info('Dry run: pay stub.', { channel: channels, recipient: user.email, warnings: warnings.length });
+        return respond({
+          ok: true,
+          dryRun: true,
+          type: 'pay_stub',
+          channels,
+          report: buildDryRunReport({ templateKey, messages, channels, user, warnings, scheduledAt })
+        });
+      }
+      logWarnings(warnings);
+
+      const outcomes = await sendWithRetry(userId, channels, messages, scheduledAt);
+      decision.channels = outcomes;
+      const { sent } = summarizeOutcomes(outcomes);
+      logFailedChannels(outcomes);
+      await deadLetterFailures({ userId, outcomes, messages });
+      if (!sent) throw firstFailure(outcomes);
+      await dropQueuedDigest(userId);
+
+      if (writeTrackingFields) {
+        try {
+          await databases.updateDocument(databaseId, collectionId, freshDocument.$id, {
+            lastNotifiedAt: now.toISOString(),
+            lastNotifiedType: 'pay_stub',
+            lastNotifiedHash: payStubFingerprint
+          });
+        } catch (updateErr) {
+          logs.warn(`Failed to update notification tracking: ${updateErr.message}`);
+        }
+      }
 
-      logger(`Email sent: pay stub ${freshDocument.$id} to ${maskEmail(user.email)}.`);
-      return res.json({ ok: true, sent: true, type: 'pay_stub' });
+      logs.info('Notification sent: pay stub.', { channel: channels, recipient: user.email });
+      return respond({
+        ok: true,
+        sent: true,
+        type: 'pay_stub',
+        channels: outcomes,
+        ...(decision.scheduledAt && { scheduledAt: decision.scheduledAt })
+      });
     }
 
     // ============================================
@@ -624,18 +2050,34 @@ export default async function main({ req, res, log, error: errLogger }) {
     // ============================================
     
     // Extract values from fresh document for all checks and email building
-    const status = normalizeStatus(freshDocument.status);
+    const status = normalizeStatus(freshDocument.status, applicationConfig.statusAliases);
     const adminNotes = normalizeText(freshDocument.adminNotes);
     const needsActionNote = normalizeText(freshDocument.needsActionNote);
     const rejectionReason = normalizeText(freshDocument.rejectionReason);
+    decision.status = status;
 
-    // Check notifiable status and notes
-    const hasNotifiableStatus = NOTIFIABLE_STATUSES.has(status);
+    // Check notifiable status and notes; transition rules are checked once the previous status is known,
+    // and watched fields once the last notice is
+    const hasNotifiableStatus = applicationConfig.notifiableStatuses.has(status);
     const hasNotes = Boolean(adminNotes || needsActionNote || rejectionReason);
-
-    if (!hasNotifiableStatus && !hasNotes) {
-      logger(`Ignored: no meaningful change for ${collectionId}/${freshDocument.$id}.`);
-      return res.json({ ok: true, ignored: 'no_meaningful_change' });
+    const snapshot = takeSnapshot(applicationConfig, freshDocument, status, { secret: SETTINGS.snapshotSecret });
+
+    if (
+      !hasNotifiableStatus &&
+      !hasNotes &&
+      !applicationConfig.watchedFields.length &&
+      !hasNotifyRuleFor(applicationConfig.transitions, status) &&
+      !mayBeResubmission(applicationConfig, status)
+    ) {
+      // Nothing to send, but a message deferred for the previous status must not go out either
+      if (quietHours) {
+        try {
+          await loadLastSent(null);
+        } catch (err) {
+          logs.error(`Failed to check deferred messages: ${err.message}`);
+        }
+      }
+      return respond({ ok: true, ignored: 'no_meaningful_change' });
     }
 
     // Check duplicate - NOW USING FRESH DATA
@@ -643,21 +2085,77 @@ export default async function main({ req, res, log, error: errLogger }) {
       status,
       adminNotes,
       needsActionNote,
-      rejectionReason
+      rejectionReason,
+      watched: snapshot.fields
     });
+    decision.fingerprint = applicationFingerprint;
+
+    const history = await claimAndLoadHistory(applicationFingerprint);
+    if (history.ignored) return respond({ ok: true, ignored: history.ignored });
+    const { lastNotifiedAt, lastNotifiedHash, lastSnapshot } = history;
+
+    // Without a baseline the notice is a full status message with no "what changed" section.
+    // When the status is the one last sent, it is an update that repeats only what changed.
+    const diff = lastSnapshot ? diffSnapshots(lastSnapshot, snapshot, applicationConfig.watchedFields) : null;
+    const changes = diff && { ...diff, update: lastSnapshot.status === status && hasChanges(diff) };
+    if (diff?.fields.length) {
+      logs.info('Watched fields changed.', { fields: diff.fields.map(({ field }) => field) });
+    }
 
-    logger(`Current fingerprint: ${applicationFingerprint}`);
-    logger(`Stored fingerprint: ${freshDocument.lastNotifiedHash || 'none'}`);
-    logger(`Last notified: ${freshDocument.lastNotifiedAt || 'never'}`);
+    // The last status the log saw for this document (or the legacy tracking field) is where
+    // this update transitions from
+    let previousStatus = null;
+    try {
+      previousStatus = await findLastStatus(databases, databaseId, NOTIFICATION_LOG_COLLECTION_ID, {
+        sourceCollectionId: collectionId,
+        documentId: freshDocument.$id
+      });
+    } catch (err) {
+      logs.error(`Failed to read previous status: ${err.message}`);
+    }
+    previousStatus = previousStatus || normalizeText(freshDocument.lastNotifiedStatus);
+    decision.previousStatus = previousStatus;
+
+    // Staff hear about resubmissions whatever the applicant side decides below
+    if (isResubmission(previousStatus, status) && staffAlertsFor(applicationConfig, STAFF_ALERTS.resubmitted)) {
+      try {
+        await sendStaffAlert(applicationConfig, freshDocument, {
+          alert: STAFF_ALERTS.resubmitted,
+          key: `${collectionId}/${freshDocument.$id}/${STAFF_ALERTS.resubmitted}/${freshDocument.$updatedAt}`,
+          previousStatus
+        });
+      } catch (err) {
+        logs.error(`Staff alert failed: ${err.message}`, { alert: STAFF_ALERTS.resubmitted });
+      }
+    }
+
+    const transition = evaluateTransition(applicationConfig, {
+      previousStatus,
+      status,
+      hasNotes,
+      hasFieldChanges: Boolean(diff?.fields.length)
+    });
+    logs.info('Transition evaluated.', {
+      previousStatus: previousStatus || 'none',
+      status,
+      rule: transition.rule ? transition.rule.action : null
+    });
+    if (!transition.notify) {
+      return respond({ ok: true, ignored: transition.reason });
+    }
+
+    logs.debug('Compared with the last notice.', {
+      fingerprint: applicationFingerprint,
+      storedFingerprint: lastNotifiedHash || 'none',
+      lastNotifiedAt: lastNotifiedAt ? lastNotifiedAt.toISOString() : 'never'
+    });
 
     // Check throttle FIRST
-    const lastNotifiedAt = parseDate(freshDocument.lastNotifiedAt);
     const withinThrottleWindow = lastNotifiedAt && (now - lastNotifiedAt) < throttleMs;
     
     if (withinThrottleWindow) {
-      const timeSinceLastNotification = Math.round((now - lastNotifiedAt) / 1000);
-      logger(`Ignored: throttled notification for ${collectionId}/${freshDocument.$id} (${timeSinceLastNotification}s ago, throttle: ${throttleMinutes}m).`);
-      return res.json({ ok: true, ignored: 'throttled' });
+      logs.info('Within the throttle window.', { sinceMs: now - lastNotifiedAt, throttleMinutes });
+      return respond({ ok: true, ignored: 'throttled' });
     }
 
     // Only check for duplicate hash if we just sent a notification (within 2x throttle window)
@@ -665,100 +2163,153 @@ export default async function main({ req, res, log, error: errLogger }) {
     // but allows re-sending after enough time has passed
     const recentlySent = lastNotifiedAt && (now - lastNotifiedAt) < (throttleMs * 2);
     
-    if (recentlySent && freshDocument.lastNotifiedHash && freshDocument.lastNotifiedHash === applicationFingerprint) {
-      const timeSinceLastNotification = Math.round((now - lastNotifiedAt) / 1000);
-      logger(`Ignored: duplicate notification for ${collectionId}/${freshDocument.$id} (content unchanged, sent ${timeSinceLastNotification}s ago).`);
-      return res.json({ ok: true, ignored: 'duplicate' });
+    if (recentlySent && lastNotifiedHash && lastNotifiedHash === applicationFingerprint) {
+      logs.info('Content unchanged since the last notice.', { sinceMs: now - lastNotifiedAt });
+      return respond({ ok: true, ignored: 'duplicate' });
     }
 
     const userId = freshDocument.userId;
+    decision.userId = userId;
     if (!userId) {
-      logger(`Ignored: missing userId for ${collectionId}/${freshDocument.$id}.`);
-      return res.json({ ok: true, ignored: 'missing_userId' });
+      return respond({ ok: true, ignored: 'missing_userId' });
     }
 
-    const fallbackEmail = normalizeText(freshDocument.userEmail || freshDocument.email);
-    if (dryRun) {
-      if (!fallbackEmail) {
-        logger(`Ignored: dry run missing email for ${collectionId}/${freshDocument.$id}.`);
-        return res.json({ ok: true, ignored: 'missing_email' });
-      }
-      logger(`Dry run: application email to ${maskEmail(fallbackEmail)} (${freshDocument.$id}).`);
-      return res.json({ ok: true, dryRun: true, type: 'application' });
+    const delivery = await checkPreferences(userId, { category: applicationConfig.source, status });
+    if (!delivery.allowed) {
+      logs.info(`User opted out of ${applicationConfig.source} notifications.`, { preference: delivery.reason });
+      return respond({ ok: true, ignored: 'opted_out', category: applicationConfig.source });
+    }
+    if (delivery.mandatory) {
+      logs.info('Mandatory notice: preferences cannot disable it.', { status });
+    }
+
+    if (delivery.digest !== 'immediate') {
+      const profile = selectProfile([freshDocument], applicationConfig.branding);
+      return queueForDigest(delivery.digest, {
+        kind: DIGEST_KINDS.application,
+        userId,
+        collectionId,
+        documentId: freshDocument.$id,
+        source: applicationConfig.source,
+        label: applicationConfig.label,
+        reference: getReference(applicationConfig, freshDocument),
+        applicantName: getApplicantName(applicationConfig, freshDocument),
+        status,
+        link: portalLink(profile, buildPortalPath(applicationConfig, freshDocument)),
+        branding: profile.id,
+        fingerprint: applicationFingerprint,
+        snapshot: JSON.stringify(snapshot),
+        notificationType: buildNotificationType({
+          status,
+          adminNotes,
+          needsActionNote,
+          rejectionReason,
+          changedFields: diff?.fields
+        })
+      });
     }
 
     let user;
     try {
-      user = await users.get(userId);
+      user = await metrics.time('userLookupMs', () => users.get(userId));
     } catch (err) {
-      errLogger(`Ignored: user not found for ${collectionId}/${freshDocument.$id}.`);
-      return res.json({ ok: true, ignored: 'missing_user' });
+      logs.error('User not found.', { userId, reason: 'missing_user' });
+      return respond({ ok: true, ignored: 'missing_user' });
     }
+    decision.recipient = maskEmail(user.email);
 
-    if (!user?.email) {
-      logger(`Ignored: user has no email for ${collectionId}/${freshDocument.$id}.`);
-      return res.json({ ok: true, ignored: 'missing_email' });
+    const selectedChannels = selectChannels(resolveRoute(channelRoutes, status), delivery);
+    if (!selectedChannels.length) {
+      return respond({ ok: true, ignored: 'opted_out', category: applicationConfig.source });
     }
 
-    const applicationLabel = applicationConfig.label;
-    const statusLabel = STATUS_LABELS[status] || titleCase(status);
-    const reference = getReference(freshDocument);
-    const name = getApplicantName(freshDocument) || user.name || null;
-    const link = buildPortalLink(
-      portalBaseUrl,
-      `citizen-portal/applications/${freshDocument.$id}?source=${applicationConfig.source}`
-    );
+    const channels = selectedChannels.filter((channel) => canReach(user, channel));
+    if (!channels.length) {
+      logs.info('User is unreachable on the routed channels.', { channel: selectedChannels });
+      return respond({ ok: true, ignored: unreachableReason(selectedChannels) });
+    }
 
-    const { subject, content } = buildApplicationEmail({
-      applicationLabel,
-      statusLabel,
-      reference,
-      adminNotes,
-      needsActionNote,
-      rejectionReason,
-      link,
-      name
+    const rendered = renderApplicationMessages({
+      type: applicationConfig,
+      document: freshDocument,
+      user,
+      previousStatus,
+      templateKey: transition.template,
+      emailFormat: delivery.emailFormat,
+      changes
     });
+    if (rendered.ignored) return respond({ ok: true, ignored: rendered.ignored });
+    const { messages, templateKey, warnings } = rendered;
+    logs.info('Rendered application notice.', { template: templateKey, update: Boolean(changes?.update) });
 
     const notificationType = buildNotificationType({
       status,
       adminNotes,
       needsActionNote,
-      rejectionReason
-    });
-
-    await messaging.createEmail({
-      messageId: ID.unique(),
-      subject,
-      content,
-      users: [userId],
-      html: true
+      rejectionReason,
+      changedFields: diff?.fields
     });
+    decision.notificationType = notificationType;
+    decision.snapshot = snapshot;
 
-    logger(`Email sent: ${collectionId}/${freshDocument.$id} (${notificationType}) to ${maskEmail(user.email)}.`);
+    const scheduledAt = deferralFor(user, urgentStatuses.has(status));
+    if (scheduledAt) logs.info('Quiet hours: notice is deferred.', { status, scheduledAt: scheduledAt.toISOString() });
+    decision.scheduledAt = scheduledAt ? scheduledAt.toISOString() : null;
 
-    // Update notification tracking fields (non-blocking - don't fail if this errors)
-    try {
-      await databases.updateDocument(databaseId, collectionId, freshDocument.$id, {
-        lastNotifiedAt: now.toISOString(),
-        lastNotifiedType: notificationType,
-        lastNotifiedHash: applicationFingerprint
+    // A dry run stops here: nothing is sent and the tracking fields stay as they are
+    if (dryRun) {
+      logs.info('Dry run: application.', { notificationType, channel: channels, recipient: user.email, warnings: warnings.length });
+      return respond({
+        ok: true,
+        dryRun: true,
+        type: 'application',
+        channels,
+        report: buildDryRunReport({ templateKey, messages, channels, user, warnings, scheduledAt })
       });
-      logger(`Updated notification tracking for ${collectionId}/${freshDocument.$id}.`);
-    } catch (updateErr) {
-      // Log but don't fail - email was already sent successfully
-      if (updateErr.code === 401 || updateErr.message?.includes('missing scopes')) {
-        errLogger(`Permission error: Cannot update notification tracking. API key needs 'documents.write' scope!`);
-        errLogger(`Email was sent, but duplicate prevention won't work without write permissions.`);
-      } else {
-        errLogger(`Warning: Failed to update notification tracking for ${collectionId}/${freshDocument.$id}: ${updateErr.message}`);
+    }
+    logWarnings(warnings);
+
+    const outcomes = await sendWithRetry(userId, channels, messages, scheduledAt);
+    decision.channels = outcomes;
+    const { sent } = summarizeOutcomes(outcomes);
+    logFailedChannels(outcomes);
+    await deadLetterFailures({ userId, outcomes, messages });
+    if (!sent) throw firstFailure(outcomes);
+    await dropQueuedDigest(userId);
+
+    logs.info('Notification sent: application.', { notificationType, channel: channels, recipient: user.email });
+
+    // Legacy tracking fields are opt-in (NOTIFY_WRITE_TRACKING_FIELDS); the log entry written
+    // by `respond` is what dedupe reads. Non-blocking - don't fail if this errors
+    if (writeTrackingFields) {
+      try {
+        await databases.updateDocument(databaseId, collectionId, freshDocument.$id, {
+          lastNotifiedAt: now.toISOString(),
+          lastNotifiedType: notificationType,
+          lastNotifiedHash: applicationFingerprint,
+          lastNotifiedStatus: status
+        });
+        logs.debug('Updated notification tracking.');
+      } catch (updateErr) {
+        // Log but don't fail - notification was already sent successfully
+        if (updateErr.code === 401 || updateErr.message?.includes('missing scopes')) {
+          logs.error(`Permission error: Cannot update notification tracking. API key needs 'documents.write' scope!`);
+        } else {
+          logs.warn(`Failed to update notification tracking: ${updateErr.message}`);
+        }
+        logs.info(`Notification was sent successfully despite tracking update failure.`);
       }
-      logger(`Email was sent successfully despite tracking update failure.`);
     }
 
-    return res.json({ ok: true, sent: true, type: 'application' });
+    return respond({
+      ok: true,
+      sent: true,
+      type: 'application',
+      channels: outcomes,
+      ...(decision.scheduledAt && { scheduledAt: decision.scheduledAt })
+    });
   } catch (err) {
-    errLogger(`Unhandled error: ${err.message}`);
-    return res.json({ ok: false, error: err.message }, 500);
+    logs.error(`Unhandled error: ${err.message}`);
+    return respond({ ok: false, error: err.message }, 500);
   }
 };
@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import { Query } from 'node-appwrite';
+import { InputFile } from 'node-appwrite/file';
+import { normalizeText, parseJson } from './utils.js';
+import { format, formatCurrency, formatDate, formatPercent } from './i18n.js';
+import { renderPdf } from './pdf.js';
+
+export const ATTACHMENT_MODES = ['none', 'pdf', 'storage'];
+export const PRIVACY_MODES = ['show', 'mask'];
+export const DEFAULT_KEY_DEDUCTIONS = 3;
+export const DEFAULT_CHANGE_THRESHOLD = 1;
+export const DEFAULT_ATTACHMENT_MAX_BYTES = 5 * 1024 * 1024;
+export const DEFAULT_FILE_FIELD = 'fileId';
+export const DEFAULT_FILE_RETENTION_HOURS = 7 * 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+const GENERATED_FILE_PREFIX = 'paystub_';
+const GENERATED_NAME_PREFIX = 'pay-stub-';
+const PURGE_BATCH = 100;
+
+// NOTIFY_PAY_STUB_ATTACHMENT picks what goes with the pay stub email:
+//   none    - link to the portal only (default)
+//   pdf     - a generated summary PDF, uploaded to NOTIFY_PAY_STUB_BUCKET_ID
+//   storage - the file the pay stub document references (NOTIFY_PAY_STUB_FILE_FIELD)
+// NOTIFY_PAY_STUB_PASSWORD_FIELD names the employee field whose value protects generated PDFs.
+// Generated PDFs are deleted NOTIFY_PAY_STUB_FILE_RETENTION_HOURS (a week by default) after upload.
+export const parseAttachmentConfig = (env = process.env) => {
+  const mode = String(env.NOTIFY_PAY_STUB_ATTACHMENT || '').trim().toLowerCase();
+  const retentionHours = parseInt(env.NOTIFY_PAY_STUB_FILE_RETENTION_HOURS ?? DEFAULT_FILE_RETENTION_HOURS, 10);
+  return {
+    mode: ATTACHMENT_MODES.includes(mode) ? mode : 'none',
+    bucketId: env.NOTIFY_PAY_STUB_BUCKET_ID || '',
+    fileField: env.NOTIFY_PAY_STUB_FILE_FIELD || DEFAULT_FILE_FIELD,
+    passwordField: env.NOTIFY_PAY_STUB_PASSWORD_FIELD || '',
+    maxBytes: parseInt(env.NOTIFY_ATTACHMENT_MAX_BYTES || DEFAULT_ATTACHMENT_MAX_BYTES, 10),
+    employerName: env.NOTIFY_EMPLOYER_NAME || '',
+    retentionHours: Number.isInteger(retentionHours) && retentionHours > 0 ? retentionHours : DEFAULT_FILE_RETENTION_HOURS
+  };
+};
+
+// NOTIFY_PAY_STUB_PRIVACY=mask keeps amounts out of the email body and the generated PDF (the
+// summary shows placeholders and changes are reported without figures). NOTIFY_PAY_STUB_KEY_DEDUCTIONS
+// limits how many deductions are listed, and NOTIFY_PAY_STUB_CHANGE_THRESHOLD is the change
+// in percent against the previous stub that gets flagged.
+export const parseContentConfig = (env = process.env) => {
+  const privacy = String(env.NOTIFY_PAY_STUB_PRIVACY || '').trim().toLowerCase();
+  const keyDeductions = parseInt(env.NOTIFY_PAY_STUB_KEY_DEDUCTIONS ?? DEFAULT_KEY_DEDUCTIONS, 10);
+  const changeThreshold = Number.parseFloat(env.NOTIFY_PAY_STUB_CHANGE_THRESHOLD ?? DEFAULT_CHANGE_THRESHOLD);
+  return {
+    privacy: PRIVACY_MODES.includes(privacy) ? privacy : 'show',
+    keyDeductions: Number.isInteger(keyDeductions) && keyDeductions >= 0 ? keyDeductions : DEFAULT_KEY_DEDUCTIONS,
+    changeThreshold: Number.isFinite(changeThreshold) && changeThreshold >= 0 ? changeThreshold : DEFAULT_CHANGE_THRESHOLD
+  };
+};
+
+// Deductions are a list of { name, amount } (or { label, amount }) or a map of name to
+// amount, stored inline or as a JSON string
+export const readDeductions = (value) => {
+  const parsed = parseJson(value);
+  if (Array.isArray(parsed)) {
+    return parsed
+      .map((item) => ({ name: normalizeText(item?.name ?? item?.label), amount: item?.amount ?? null }))
+      .filter((item) => item.name);
+  }
+  if (parsed && typeof parsed === 'object') {
+    return Object.entries(parsed).map(([name, amount]) => ({ name, amount }));
+  }
+  return [];
+};
+
+const sumAmounts = (items) => {
+  const amounts = items.map((item) => Number.parseFloat(item.amount)).filter((amount) => Number.isFinite(amount));
+  return amounts.length ? amounts.reduce((total, amount) => total + amount, 0) : null;
+};
+
+const toAmount = (value) => {
+  const amount = typeof value === 'number' ? value : Number.parseFloat(value);
+  return value === null || value === undefined || value === '' || !Number.isFinite(amount) ? null : amount;
+};
+
+// The employee's stub for the period before this one: ordered by payPeriodId when the stubs
+// carry one, otherwise by creation time
+export const findPreviousPayStub = async (databases, databaseId, collectionId, document) => {
+  if (!document.employeeId) return null;
+  const [field, value] = document.payPeriodId
+    ? ['payPeriodId', document.payPeriodId]
+    : ['$createdAt', document.$createdAt];
+  if (!value) return null;
+  const result = await databases.listDocuments(databaseId, collectionId, [
+    Query.equal('employeeId', document.employeeId),
+    Query.lessThan(field, value),
+    Query.orderDesc(field),
+    Query.limit(1)
+  ]);
+  return result.documents?.[0] || null;
+};
+
+const COMPARED_FIELDS = ['netPay', 'grossPay'];
+
+// Changes of at least `threshold` percent in net or gross pay
+export const comparePayStubs = (current, previous, threshold) => {
+  if (!previous) return [];
+  return COMPARED_FIELDS.flatMap((field) => {
+    const now = toAmount(current[field]);
+    const before = toAmount(previous[field]);
+    if (now === null || before === null || before === 0) return [];
+    const percent = ((now - before) / Math.abs(before)) * 100;
+    if (percent === 0 || Math.abs(percent) < threshold) return [];
+    return [{ field, percent }];
+  });
+};
+
+// Display values for the email: amounts, the largest deductions, year-to-date totals and
+// flagged changes, all formatted (or masked) for the recipient's locale
+export const buildPayStubBreakdown = ({ strings, document, previous, previousPeriodName, currency, config }) => {
+  const copy = strings.payStub.summary;
+  const masked = config.privacy === 'mask';
+  const money = (value) => {
+    const amount = toAmount(value);
+    if (amount === null) return null;
+    return masked ? copy.masked : formatCurrency(strings.locale, amount, document.currency || currency);
+  };
+  const rows = (items) => items.filter((item) => item.value);
+
+  const deductions = readDeductions(document.deductions)
+    .map((item) => ({ ...item, amount: toAmount(item.amount) }))
+    .filter((item) => item.amount !== null)
+    .sort((a, b) => b.amount - a.amount);
+  const key = deductions.slice(0, config.keyDeductions);
+  const other = sumAmounts(deductions.slice(config.keyDeductions));
+
+  const changeCopy = strings.payStub.changes;
+  const period = previousPeriodName || changeCopy.previousFallback;
+  const changes = comparePayStubs(document, previous, config.changeThreshold).map(({ field, percent }) => {
+    const direction = percent > 0 ? 'increased' : 'decreased';
+    return format(changeCopy[masked ? `${direction}Masked` : direction], {
+      label: copy[field],
+      percent: formatPercent(strings.locale, Math.abs(percent)),
+      period
+    });
+  });
+
+  return {
+    masked,
+    earnings: rows([
+      { label: copy.grossPay, value: money(document.grossPay) },
+      ...key.map((item) => ({ label: item.name, value: money(item.amount), indent: true })),
+      other !== null && { label: copy.otherDeductions, value: money(other), indent: true },
+      { label: copy.netPay, value: money(document.netPay), strong: true }
+    ].filter(Boolean)),
+    yearToDate: rows([
+      { label: copy.grossPay, value: money(document.ytdGrossPay) },
+      { label: copy.deductions, value: money(document.ytdDeductions) },
+      { label: copy.netPay, value: money(document.ytdNetPay) }
+    ]),
+    changes
+  };
+};
+
+const section = (title, rows) => {
+  const filled = rows.filter((row) => row.value);
+  return filled.length ? [{ text: title, style: 'heading' }, ...filled] : [];
+};
+
+// Rows for the summary PDF; sections without any data are left out
+export const buildPayStubSummary = ({ strings, document, employee, employerName, currency, periodName, privacy = 'show' }) => {
+  const copy = strings.payStubPdf;
+  const masked = privacy === 'mask';
+  const money = (amount) => {
+    const value = formatCurrency(strings.locale, amount, document.currency || currency);
+    return value && masked ? strings.payStub.summary.masked : value;
+  };
+  const deductions = readDeductions(document.deductions);
+
+  return [
+    { text: copy.title, style: 'title' },
+    ...[
+      { label: copy.period, value: periodName },
+      { label: copy.payDate, value: formatDate(strings.locale, document.payDate) },
+      { label: copy.reference, value: document.$id }
+    ].filter((row) => row.value),
+    ...section(copy.employer, [{ label: copy.name, value: normalizeText(document.employerName) || employerName }]),
+    ...section(copy.employee, [
+      { label: copy.name, value: normalizeText(employee?.fullName) },
+      { label: copy.employeeNumber, value: normalizeText(employee?.employeeNumber) },
+      { label: copy.department, value: normalizeText(employee?.department) },
+      { label: copy.position, value: normalizeText(employee?.position) }
+    ]),
+    ...section(copy.earnings, [{ label: copy.grossPay, value: money(document.grossPay) }]),
+    ...section(copy.deductions, [
+      ...deductions.map((item) => ({ label: item.name, value: money(item.amount) })),
+      { label: copy.totalDeductions, value: money(document.totalDeductions ?? sumAmounts(deductions)) }
+    ]),
+    ...[{ label: copy.netPay, value: money(document.netPay), style: 'total' }].filter((row) => row.value),
+    ...section(copy.yearToDate, [
+      { label: copy.grossPay, value: money(document.ytdGrossPay) },
+      { label: copy.deductions, value: money(document.ytdDeductions) },
+      { label: copy.netPay, value: money(document.ytdNetPay) }
+    ]),
+    ...(masked ? [{ text: strings.payStub.summary.maskedNote, style: 'muted' }] : []),
+    { text: format(copy.generated, { date: formatDate(strings.locale, new Date()) }), style: 'muted' }
+  ];
+};
+
+// One generated file per pay stub version, so a retried send reuses the upload
+const buildFileId = (document) =>
+  `paystub_${crypto.createHash('sha256').update(`${document.$id}/${document.$updatedAt || ''}`).digest('hex').slice(0, 28)}`;
+
+// Resolves to `{ attachments, passwordProtected }` with Messaging's "<bucketId>:<fileId>"
+// references, or to `{ fallback: reason }` when the email should go out link-only.
+// Stored files are attached as they are: only generated PDFs can be password protected.
+// With `dryRun` the PDF is rendered and sized but not uploaded.
+export const preparePayStubAttachment = async (
+  storage,
+  config,
+  { document, employee, strings, currency, periodName, privacy, dryRun = false }
+) => {
+  if (config.mode === 'storage') {
+    const fileId = normalizeText(document[config.fileField]);
+    const bucketId = normalizeText(document.bucketId) || config.bucketId;
+    if (!fileId || !bucketId) return { fallback: 'no_file' };
+    let file;
+    try {
+      file = await storage.getFile(bucketId, fileId);
+    } catch (err) {
+      if (err.code === 404) return { fallback: 'no_file' };
+      throw err;
+    }
+    if (file.sizeOriginal > config.maxBytes) return { fallback: 'too_large' };
+    return { attachments: [`${bucketId}:${fileId}`], passwordProtected: false };
+  }
+
+  if (!config.bucketId) return { fallback: 'no_bucket' };
+  let password = null;
+  if (config.passwordField) {
+    // A missing secret must not silently produce an unprotected copy
+    password = normalizeText(employee?.[config.passwordField]);
+    if (!password) return { fallback: 'missing_password' };
+  }
+
+  const pdf = renderPdf({
+    lines: buildPayStubSummary({
+      strings,
+      document,
+      employee,
+      employerName: config.employerName,
+      currency,
+      periodName,
+      privacy
+    }),
+    password
+  });
+  if (pdf.length > config.maxBytes) return { fallback: 'too_large' };
+
+  const fileId = buildFileId(document);
+  if (dryRun) return { attachments: [`${config.bucketId}:${fileId}`], passwordProtected: Boolean(password) };
+  try {
+    await storage.createFile(config.bucketId, fileId, InputFile.fromBuffer(pdf, `pay-stub-${document.$id}.pdf`));
+  } catch (err) {
+    if (err.code !== 409) throw err;
+  }
+  return { attachments: [`${config.bucketId}:${fileId}`], passwordProtected: Boolean(password) };
+};
+
+// Messaging reads an attachment when it delivers, which for a deferred or re-driven send is
+// well after the upload, so generated PDFs cannot be deleted right after the send. The
+// scheduled run removes those older than the retention period instead; files the function
+// did not generate are never touched.
+export const purgeGeneratedPdfs = async (storage, config, { now = new Date(), dryRun = false } = {}) => {
+  const summary = { deleted: 0, failed: 0, ...(dryRun && { wouldDelete: 0 }) };
+  if (!config.bucketId) return summary;
+  const cutoff = new Date(now.getTime() - config.retentionHours * HOUR_MS).toISOString();
+  const result = await storage.listFiles(config.bucketId, [
+    Query.startsWith('name', GENERATED_NAME_PREFIX),
+    Query.lessThan('$createdAt', cutoff),
+    Query.limit(PURGE_BATCH)
+  ]);
+  for (const file of result.files || []) {
+    if (!file.$id.startsWith(GENERATED_FILE_PREFIX)) continue;
+    if (dryRun) {
+      summary.wouldDelete += 1;
+      continue;
+    }
+    try {
+      await storage.deleteFile(config.bucketId, file.$id);
+      summary.deleted += 1;
+    } catch (err) {
+      if (err.code !== 404) summary.failed += 1;
+    }
+  }
+  return summary;
+};
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+
+// A deliberately small PDF writer: A4 pages of Helvetica text, enough for a pay stub summary
+// without pulling a PDF library into the function bundle. Text is WinAnsi-encoded, so
+// characters outside Latin-1 (and the few cp1252 extras below) print as "?".
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const VALUE_COLUMN = 320;
+
+const STYLES = {
+  title: { font: 'F2', size: 18, gap: 2 },
+  heading: { font: 'F2', size: 12, gap: 1.2 },
+  body: { font: 'F1', size: 10, gap: 0 },
+  total: { font: 'F2', size: 11, gap: 0.4 },
+  muted: { font: 'F1', size: 8, gap: 1 }
+};
+
+const CP1252 = {
+  '€': 0x80,
+  '‚': 0x82,
+  '„': 0x84,
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97
+};
+
+const encodeText = (value) =>
+  Buffer.from(
+    [...String(value ?? '')].map((char) => {
+      if (CP1252[char]) return CP1252[char];
+      const code = char.charCodeAt(0);
+      return code >= 0x20 && code <= 0xff && (code < 0x7f || code > 0x9f) ? code : 0x3f;
+    })
+  );
+
+const escapeText = (bytes) => {
+  const out = [];
+  for (const byte of bytes) {
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) out.push(0x5c);
+    out.push(byte);
+  }
+  return Buffer.from(out);
+};
+
+const textOp = (font, size, x, y, value) =>
+  Buffer.concat([
+    Buffer.from(`BT /${font} ${size} Tf ${x} ${y} Td (`, 'latin1'),
+    escapeText(encodeText(value)),
+    Buffer.from(') Tj ET\n', 'latin1')
+  ]);
+
+// `lines` are { text, style } or { label, value, style } rows; rows flow onto new pages
+const layoutPages = (lines) => {
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+  for (const line of lines) {
+    const style = STYLES[line.style] || STYLES.body;
+    const height = style.size * 1.5;
+    if (y < PAGE_HEIGHT - MARGIN) y -= style.gap * style.size;
+    if (y - height < MARGIN) {
+      pages.push(Buffer.concat(ops));
+      ops = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+    if (line.label !== undefined) {
+      ops.push(textOp(style.font, style.size, MARGIN, y, line.label));
+      ops.push(textOp(style.font, style.size, VALUE_COLUMN, y, line.value));
+    } else {
+      ops.push(textOp(style.font, style.size, MARGIN, y, line.text));
+    }
+  }
+  pages.push(Buffer.concat(ops));
+  return pages;
+};
+
+// Passwords are UTF-8 (NFKC stands in for SASLprep, which differs only for characters a
+// password field never holds), at most 127 bytes
+const passwordBytes = (password) => Buffer.from(String(password).normalize('NFKC'), 'utf8').subarray(0, 127);
+
+const aes = (cipher, key, iv, data, padding) => {
+  const aesCipher = crypto.createCipheriv(cipher, key, iv);
+  aesCipher.setAutoPadding(padding);
+  return Buffer.concat([aesCipher.update(data), aesCipher.final()]);
+};
+
+const HASHES = ['sha256', 'sha384', 'sha512'];
+
+// Algorithm 2.B of ISO 32000-2: SHA-256 hardened by at least 64 rounds of AES-128 and
+// SHA-2, as revision 6 of the standard security handler requires. `userKey` is the 48-byte
+// /U value when hashing the owner password and empty for the user password.
+const hardenedHash = (password, salt, userKey = Buffer.alloc(0)) => {
+  let key = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+  let encrypted = null;
+  for (let round = 0; round < 64 || encrypted[encrypted.length - 1] > round - 32; round += 1) {
+    const block = Buffer.concat([password, key, userKey]);
+    encrypted = aes('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32), Buffer.concat(Array(64).fill(block)), false);
+    const remainder = encrypted.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    key = crypto.createHash(HASHES[remainder]).update(encrypted).digest();
+  }
+  return key.subarray(0, 32);
+};
+
+// /U or /O (hash, validation salt, key salt) and /UE or /OE (the file key wrapped with the password)
+const passwordEntries = (password, fileKey, userKey) => {
+  const validationSalt = crypto.randomBytes(8);
+  const keySalt = crypto.randomBytes(8);
+  return {
+    hash: Buffer.concat([hardenedHash(password, validationSalt, userKey), validationSalt, keySalt]),
+    wrappedKey: aes('aes-256-cbc', hardenedHash(password, keySalt, userKey), Buffer.alloc(16), fileKey, false)
+  };
+};
+
+// Printing and copying stay allowed; editing is reserved to the owner password
+const PERMISSIONS = (0xfffff0c0 | 0x4 | 0x10 | 0x800) | 0;
+
+// Standard security handler, revision 6 (AES-256): opening the file asks for `password`.
+// Every stream is encrypted with the random file key under its own random IV.
+const createEncryption = (password, ownerPassword) => {
+  const fileKey = crypto.randomBytes(32);
+  const user = passwordEntries(passwordBytes(password), fileKey);
+  const owner = passwordEntries(passwordBytes(ownerPassword), fileKey, user.hash);
+
+  // /Perms repeats the permissions under the file key so readers can tell they were not altered
+  const perms = Buffer.alloc(16);
+  perms.writeInt32LE(PERMISSIONS, 0);
+  perms.writeInt32LE(-1, 4);
+  perms.write('Tadb', 8, 'latin1');
+  crypto.randomBytes(4).copy(perms, 12);
+
+  const hex = (value) => `<${value.toString('hex')}>`;
+  return {
+    dictionary:
+      '<< /Filter /Standard /V 5 /R 6 /Length 256 ' +
+      '/CF << /StdCF << /Type /CryptFilter /CFM /AESV3 /AuthEvent /DocOpen /Length 32 >> >> /StmF /StdCF /StrF /StdCF ' +
+      `/P ${PERMISSIONS} /O ${hex(owner.hash)} /U ${hex(user.hash)} /OE ${hex(owner.wrappedKey)} /UE ${hex(user.wrappedKey)} ` +
+      `/Perms ${hex(aes('aes-256-ecb', fileKey, null, perms, false))} /EncryptMetadata true >>`,
+    encrypt: (data) => {
+      const iv = crypto.randomBytes(16);
+      return Buffer.concat([iv, aes('aes-256-cbc', fileKey, iv, data, true)]);
+    }
+  };
+};
+
+// AES-256 needs PDF 1.7 with Adobe's extension level 8, which introduced revision 6
+const ENCRYPTED_EXTENSIONS = ' /Extensions << /ADBE << /BaseVersion /1.7 /ExtensionLevel 8 >> >>';
+
+// Returns the PDF as a Buffer. With `password` set the document is encrypted and readers ask
+// for it on open; `ownerPassword` (random by default) unlocks editing.
+export const renderPdf = ({ lines, password = null, ownerPassword = null }) => {
+  const fileId = crypto.randomBytes(16);
+  const encryption = password ? createEncryption(password, ownerPassword || crypto.randomBytes(16).toString('hex')) : null;
+
+  const pages = layoutPages(lines);
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const stream = (content) => {
+    const data = encryption ? encryption.encrypt(content) : content;
+    return Buffer.concat([
+      Buffer.from(`<< /Length ${data.length} >>\nstream\n`, 'latin1'),
+      data,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+  };
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const pageNumbers = pages.map((content) => {
+    const contentNumber = add(stream(content));
+    return add(
+      `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${contentNumber} 0 R >>`
+    );
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R${encryption ? ENCRYPTED_EXTENSIONS : ''} >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageNumbers.map((number) => `${number} 0 R`).join(' ')}] /Count ${pageNumbers.length} >>`;
+  const encrypt = encryption ? add(encryption.dictionary) : null;
+
+  const chunks = [Buffer.from(`%PDF-${encryption ? '1.7' : '1.4'}\n%\xe2\xe3\xcf\xd3\n`, 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = objects.map((body, index) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    const start = offset;
+    chunks.push(chunk);
+    offset += chunk.length;
+    return start;
+  });
+
+  const id = fileId.toString('hex');
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((start) => `${String(start).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalog} 0 R${encrypt ? ` /Encrypt ${encrypt} 0 R` : ''} /ID [<${id}> <${id}>] >>`,
+    'startxref',
+    String(offset),
+    '%%EOF',
+    ''
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+  return Buffer.concat(chunks);
+};
@@ -0,0 +1,123 @@
+// Converts the rendered email HTML into a readable plain-text alternative.
+// Only the subset of HTML our templates use is handled: headings, paragraphs,
+// block containers, tables, links and pre-wrapped note bodies.
+
+const BLOCK_TAGS = new Set(['p', 'div', 'table', 'tbody', 'thead', 'ul', 'ol', 'section', 'header', 'footer']);
+const HEADING_PATTERN = /^h[1-6]$/;
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'meta', 'link', 'input']);
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+export const decodeEntities = (value) =>
+  String(value || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+const getAttribute = (attributes, name) => {
+  const match = new RegExp(`${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(attributes);
+  return match ? decodeEntities(match[2] ?? match[3]) : null;
+};
+
+const stripIgnored = (html) =>
+  String(html || '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script)\b[\s\S]*?<\/\1>/gi, '');
+
+// Indentation at the start of a pre-wrapped line is held as these placeholders until tidy()
+// has collapsed the whitespace the HTML source itself is indented with
+const INDENT = { ' ': '\u0000', '\t': '\u0001' };
+const RESTORE = { '\u0000': ' ', '\u0001': '\t' };
+
+const holdIndentation = (text, atLineStart) =>
+  text.replace(/(^|\n)([ \t]+)/g, (match, lineBreak, indent) =>
+    lineBreak || atLineStart ? `${lineBreak}${indent.replace(/[ \t]/g, (char) => INDENT[char])}` : match
+  );
+
+const tidy = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .replace(/[\u0000\u0001]/g, (char) => RESTORE[char]);
+
+export const htmlToText = (html) => {
+  const source = stripIgnored(html);
+  // Each frame collects text for an element whose output depends on its content (headings, links)
+  const frames = [{ tag: null, text: '' }];
+  const preserve = [];
+  const current = () => frames[frames.length - 1];
+  const write = (value) => {
+    current().text += value;
+  };
+  const tokenPattern = /<(\/?)([a-zA-Z0-9]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+  let cellIndex = 0;
+
+  while ((match = tokenPattern.exec(source))) {
+    const [, closing, rawTag, attributes, selfClosing, text] = match;
+    if (text !== undefined) {
+      const decoded = decodeEntities(text);
+      write(preserve.length ? holdIndentation(decoded, /(^|\n)$/.test(current().text)) : decoded.replace(/\s+/g, ' '));
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    if (!closing) {
+      if (tag === 'br') write('\n');
+      if (BLOCK_TAGS.has(tag) || HEADING_PATTERN.test(tag)) write('\n\n');
+      if (tag === 'tr') {
+        write('\n');
+        cellIndex = 0;
+      }
+      if (tag === 'td' || tag === 'th') {
+        if (cellIndex > 0) write(' ');
+        cellIndex += 1;
+      }
+      if (HEADING_PATTERN.test(tag) || tag === 'a') {
+        frames.push({ tag, text: '', href: tag === 'a' ? getAttribute(attributes, 'href') : null });
+      }
+      if (!VOID_TAGS.has(tag) && !selfClosing && /white-space\s*:\s*pre/i.test(attributes)) {
+        preserve.push(tag);
+      }
+      continue;
+    }
+
+    if (preserve.length && preserve[preserve.length - 1] === tag) preserve.pop();
+
+    if ((HEADING_PATTERN.test(tag) || tag === 'a') && current().tag === tag) {
+      const frame = frames.pop();
+      const label = frame.text.replace(/\s+/g, ' ').trim();
+      if (tag === 'a') {
+        const href = frame.href && !frame.href.startsWith('#') ? frame.href : null;
+        write(href && href !== label ? (label ? `${label}: ${href}` : href) : label);
+      } else {
+        const underline = (tag === 'h1' ? '=' : '-').repeat(label.length);
+        write(`\n\n${label}\n${underline}\n\n`);
+      }
+      continue;
+    }
+
+    if (BLOCK_TAGS.has(tag)) write('\n\n');
+  }
+
+  while (frames.length > 1) {
+    const frame = frames.pop();
+    write(frame.text);
+  }
+
+  return tidy(current().text);
+};
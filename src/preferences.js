@@ -0,0 +1,86 @@
+import { parseJson } from './utils.js';
+import { CHANNELS, CHANNEL_DEFAULTS, normalizeEmailFormat } from './channels.js';
+
+export const PAY_STUB_CATEGORY = 'payStubs';
+
+// Channel used for mandatory notices when the user has switched every channel off
+const MANDATORY_FALLBACK_CHANNEL = 'email';
+
+export const DEFAULT_MANDATORY_STATUSES = ['needs_action', 'rejected'];
+
+export const DIGEST_FREQUENCIES = ['immediate', 'daily', 'weekly'];
+
+export const normalizeDigest = (value) => {
+  const digest = String(value || '').trim().toLowerCase();
+  return DIGEST_FREQUENCIES.includes(digest) ? digest : null;
+};
+
+const DEFAULT_PREFERENCES = {
+  found: false,
+  enabled: true,
+  categories: {},
+  channels: {},
+  emailFormat: null,
+  digest: null
+};
+
+const normalizeToggleMap = (value) => {
+  const parsed = parseJson(value);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+  return Object.entries(parsed).reduce((acc, [key, enabled]) => {
+    if (typeof enabled === 'boolean') acc[key] = enabled;
+    return acc;
+  }, {});
+};
+
+// Preferences documents use the userId as their document ID.
+// `categories` and `channels` are JSON string attributes, e.g. {"payStubs":false} or {"sms":true}.
+// `emailFormat` is "html" or "text"; `digest` is "immediate", "daily" or "weekly".
+export const loadPreferences = async (databases, databaseId, collectionId, userId) => {
+  try {
+    const document = await databases.getDocument(databaseId, collectionId, userId);
+    return {
+      found: true,
+      enabled: document.enabled !== false,
+      categories: normalizeToggleMap(document.categories),
+      channels: normalizeToggleMap(document.channels),
+      emailFormat: normalizeEmailFormat(document.emailFormat),
+      digest: normalizeDigest(document.digest)
+    };
+  } catch (err) {
+    if (err.code === 404) return { ...DEFAULT_PREFERENCES };
+    throw err;
+  }
+};
+
+export const resolveDelivery = (
+  preferences,
+  { category, status, mandatoryStatuses, defaultDigest = 'immediate' }
+) => {
+  const prefs = preferences || DEFAULT_PREFERENCES;
+  const mandatory = Boolean(status && mandatoryStatuses?.has(status));
+  const channels = CHANNELS.filter((channel) => prefs.channels[channel] ?? CHANNEL_DEFAULTS[channel]);
+
+  // Mandatory notices cannot be disabled by category or channel opt-outs, nor held for a digest
+  if (mandatory) {
+    return {
+      allowed: true,
+      mandatory: true,
+      channels: channels.length ? channels : [MANDATORY_FALLBACK_CHANNEL],
+      emailFormat: prefs.emailFormat,
+      digest: 'immediate'
+    };
+  }
+
+  if (!prefs.enabled || prefs.categories[category] === false) {
+    return { allowed: false, mandatory: false, channels: [], reason: 'category' };
+  }
+
+  if (!channels.length) {
+    return { allowed: false, mandatory: false, channels: [], reason: 'channels' };
+  }
+
+  // Digests are emails, so someone who switched email off keeps getting immediate notices
+  const digest = channels.includes('email') ? prefs.digest || defaultDigest : 'immediate';
+  return { allowed: true, mandatory: false, channels, emailFormat: prefs.emailFormat, digest };
+};
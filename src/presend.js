@@ -0,0 +1,67 @@
+import { maskEmail } from './utils.js';
+
+// Placeholder getReference falls back to when a document has no reference and no id
+const MISSING_REFERENCE = 'Not provided';
+
+const isAbsoluteUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+const checkLink = (link) => {
+  if (!link) return ['link: no portal base URL (PORTAL_BASE_URL or the branding profile), so the call-to-action is broken'];
+  if (!isAbsoluteUrl(link)) return [`link: "${link}" is not an absolute http(s) URL`];
+  return [];
+};
+
+// Problems in a rendered notice that would not stop it from going out but make it worse for
+// the recipient. Dry runs report them; real sends log them.
+export const checkApplicationNotice = ({ link, reference, name }) => [
+  ...checkLink(link),
+  ...(reference === MISSING_REFERENCE ? [`reference: no reference field is set, so the email shows "${MISSING_REFERENCE}"`] : []),
+  ...(name ? [] : ['name: no applicant name on the document or the user, so the greeting is generic'])
+];
+
+export const checkPayStubNotice = ({ link, employeeName, periodName }) => [
+  ...checkLink(link),
+  ...(employeeName ? [] : ['employeeName: the employee has no name, so the greeting is generic']),
+  ...(periodName ? [] : ['periodName: the pay stub has no period name or dates'])
+];
+
+const maskPhone = (phone) => {
+  const value = String(phone || '').trim();
+  return value.length > 4 ? `${'*'.repeat(value.length - 4)}${value.slice(-4)}` : '****';
+};
+
+const pushTargets = (user) => (user?.targets || []).filter((target) => target.providerType === 'push').length;
+
+// Where each channel would deliver, masked the same way the log masks addresses
+export const maskRecipients = (user, channels) =>
+  Object.fromEntries(
+    channels.map((channel) => {
+      if (channel === 'email') return [channel, maskEmail(user.email)];
+      if (channel === 'sms') return [channel, user.phone ? maskPhone(user.phone) : 'sms target'];
+      return [channel, `${pushTargets(user)} device(s)`];
+    })
+  );
+
+// What a dry run returns in place of sending: the rendered content for the routed channels,
+// the recipients and the pre-send warnings
+export const buildDryRunReport = ({ templateKey, messages, channels, user, warnings, scheduledAt = null }) => ({
+  template: templateKey,
+  recipients: maskRecipients(user, channels),
+  ...(channels.includes('email') && {
+    subject: messages.email.subject,
+    html: messages.email.content,
+    text: messages.email.text,
+    format: messages.email.format,
+    attachments: messages.email.attachments || []
+  }),
+  ...(channels.includes('sms') && { sms: messages.sms.content }),
+  ...(channels.includes('push') && { push: messages.push }),
+  ...(scheduledAt && { scheduledAt: scheduledAt.toISOString() }),
+  warnings
+});
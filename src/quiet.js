@@ -0,0 +1,66 @@
+export const DEFAULT_TIMEZONE = 'UTC';
+export const DEFAULT_URGENT_STATUSES = ['needs_action'];
+
+const DAY_MINUTES = 24 * 60;
+const WINDOW_PATTERN = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/;
+
+export const isValidTimezone = (value) => {
+  if (!value || typeof value !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const toMinutes = (hours, minutes) => {
+  const h = Number(hours);
+  const m = Number(minutes);
+  return h < 24 && m < 60 ? h * 60 + m : null;
+};
+
+// NOTIFY_QUIET_HOURS is a local-time window such as "21:00-07:30" (it may wrap past midnight),
+// read in the recipient's timezone or NOTIFY_TIMEZONE. Returns null when quiet hours are off.
+export const parseQuietHours = (env = process.env) => {
+  const match = WINDOW_PATTERN.exec(String(env.NOTIFY_QUIET_HOURS || '').trim());
+  if (!match) return null;
+  const start = toMinutes(match[1], match[2]);
+  const end = toMinutes(match[3], match[4]);
+  if (start === null || end === null || start === end) return null;
+  return {
+    start,
+    end,
+    timezone: isValidTimezone(env.NOTIFY_TIMEZONE) ? env.NOTIFY_TIMEZONE : DEFAULT_TIMEZONE
+  };
+};
+
+// The recipient's own timezone comes from their Appwrite account prefs
+export const recipientTimezone = (user, quietHours) => {
+  const preferred = user?.prefs?.timezone || user?.prefs?.timeZone;
+  return isValidTimezone(preferred) ? preferred : quietHours.timezone;
+};
+
+const localMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((item) => item.type === type)?.value);
+  return part('hour') * 60 + part('minute');
+};
+
+// When `now` falls inside the window, the moment it ends in `timeZone`; otherwise null.
+// The wait is counted in wall-clock minutes, so a DST change overnight can shift it by an hour.
+export const quietHoursEnd = (now, quietHours, timeZone) => {
+  const { start, end } = quietHours;
+  const minutes = localMinutes(now, timeZone);
+  const inside = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  if (!inside) return null;
+  const wait = (end - minutes + DAY_MINUTES) % DAY_MINUTES;
+  const at = new Date(now.getTime() + wait * 60 * 1000);
+  at.setUTCSeconds(0, 0);
+  return at;
+};
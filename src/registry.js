@@ -0,0 +1,229 @@
+import fs from 'fs';
+import { normalizeText } from './utils.js';
+import { format } from './i18n.js';
+import { DEFAULT_STATUS_ALIASES, isStatusAliasMap, validateTransitionRules } from './workflow.js';
+import { validateStaffAlerts } from './staff.js';
+import { hasSensitiveFields, normalizeWatchedFields, validateWatchedFields } from './changes.js';
+
+export const DEFAULT_NOTIFIABLE_STATUSES = ['in_review', 'approved', 'rejected', 'needs_action'];
+
+// An entry in nameFields is either a single field or a list of fields joined with spaces;
+// the first entry that yields a value wins
+export const DEFAULT_NAME_FIELDS = [
+  'fullName',
+  ['firstName', 'middleName', 'lastName', 'suffix'],
+  'businessName',
+  'ownerName',
+  'responsiblePersonName'
+];
+
+export const DEFAULT_REFERENCE_FIELDS = ['referenceNumber', 'nationalIdNumber'];
+
+// {id}, {source} and {collectionId} are replaced (URL-encoded) when the link is built
+export const DEFAULT_PORTAL_PATH = 'citizen-portal/applications/{id}?source={source}';
+
+const DEFAULTS = {
+  portalPath: DEFAULT_PORTAL_PATH,
+  nameFields: DEFAULT_NAME_FIELDS,
+  referenceFields: DEFAULT_REFERENCE_FIELDS,
+  notifiableStatuses: DEFAULT_NOTIFIABLE_STATUSES,
+  transitions: [],
+  watchedFields: []
+};
+
+export const DEFAULT_APPLICATION_TYPES = [
+  {
+    collectionId: process.env.APPLICATION_FORMS_COLLECTION_ID || 'application_forms',
+    source: 'applications',
+    label: 'Government Application'
+  },
+  {
+    collectionId: process.env.NATIONAL_ID_COLLECTION_ID || 'national_id_applications',
+    source: 'nationalIds',
+    label: 'National ID Application'
+  },
+  {
+    collectionId: process.env.BUSINESS_COLLECTION_ID || 'business_registrations',
+    source: 'businesses',
+    label: 'Business Registration'
+  },
+  {
+    collectionId: process.env.GUN_LICENSE_COLLECTION_ID || 'gun_licenses',
+    source: 'gunLicenses',
+    label: 'Gun License Application'
+  }
+];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isStringList = (value) => Array.isArray(value) && value.every(isNonEmptyString);
+
+const isNameFieldList = (value) =>
+  Array.isArray(value) && value.every((entry) => isNonEmptyString(entry) || (isStringList(entry) && entry.length > 0));
+
+// Each field lists its check and the message shown when the check fails; fields with nested
+// structure report their own errors through `validate`
+const FIELD_SCHEMA = {
+  collectionId: { check: isNonEmptyString, expected: 'a non-empty string' },
+  source: { check: isNonEmptyString, expected: 'a non-empty string' },
+  label: { check: isNonEmptyString, expected: 'a non-empty string' },
+  portalPath: { check: isNonEmptyString, expected: 'a non-empty string' },
+  nameFields: { check: isNameFieldList, expected: 'a list of field names or lists of field names' },
+  referenceFields: { check: isStringList, expected: 'a list of field names' },
+  notifiableStatuses: { check: isStringList, expected: 'a list of statuses' },
+  statusAliases: { check: isStatusAliasMap, expected: 'an object mapping raw status values to statuses' },
+  transitions: { validate: validateTransitionRules },
+  staffAlerts: { validate: validateStaffAlerts },
+  watchedFields: { validate: validateWatchedFields },
+  branding: { check: isNonEmptyString, expected: 'the id of a branding profile' },
+  enabled: { check: (value) => typeof value === 'boolean', expected: 'true or false' }
+};
+
+const REQUIRED_FIELDS = ['collectionId', 'source', 'label'];
+
+// NOTIFY_APPLICATION_TYPES holds the JSON inline; NOTIFY_APPLICATION_TYPES_FILE points at a
+// JSON file. Either one is a list of entries, or an object with an "applicationTypes" list.
+export const readApplicationTypesConfig = (env = process.env) => {
+  if (env.NOTIFY_APPLICATION_TYPES) {
+    return { origin: 'NOTIFY_APPLICATION_TYPES', raw: env.NOTIFY_APPLICATION_TYPES };
+  }
+  if (env.NOTIFY_APPLICATION_TYPES_FILE) {
+    return {
+      origin: env.NOTIFY_APPLICATION_TYPES_FILE,
+      raw: fs.readFileSync(env.NOTIFY_APPLICATION_TYPES_FILE, 'utf8')
+    };
+  }
+  return null;
+};
+
+const validateEntry = (entry, index, errors) => {
+  const at = `applicationTypes[${index}]`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    errors.push(`${at}: expected an object`);
+    return false;
+  }
+  let valid = true;
+  for (const [field, value] of Object.entries(entry)) {
+    const rule = FIELD_SCHEMA[field];
+    if (!rule) {
+      errors.push(`${at}.${field}: unknown field (allowed: ${Object.keys(FIELD_SCHEMA).join(', ')})`);
+      valid = false;
+    } else if (rule.validate) {
+      const problems = rule.validate(value, `${at}.${field}`);
+      errors.push(...problems);
+      valid = valid && !problems.length;
+    } else if (!rule.check(value)) {
+      errors.push(`${at}.${field}: expected ${rule.expected}`);
+      valid = false;
+    }
+  }
+  return valid;
+};
+
+// Configured entries merge over the built-in type with the same source, so overriding one
+// label does not mean restating every type; new sources are added and `enabled: false` drops one.
+// Returns `{ types, errors }` where `types` is keyed by collection id.
+export const createApplicationRegistry = (config, { defaults = DEFAULT_APPLICATION_TYPES } = {}) => {
+  const errors = [];
+  let entries = [];
+
+  if (config) {
+    let parsed;
+    try {
+      parsed = JSON.parse(config.raw);
+    } catch (err) {
+      errors.push(`${config.origin}: invalid JSON (${err.message})`);
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.applicationTypes;
+    if (parsed !== undefined && !Array.isArray(list)) {
+      errors.push(`${config.origin}: expected a list of application types or { "applicationTypes": [...] }`);
+    } else if (list) {
+      entries = list.filter((entry, index) => validateEntry(entry, index, errors));
+    }
+  }
+
+  const bySource = new Map(defaults.map((entry) => [entry.source, { ...entry }]));
+  for (const entry of entries) {
+    bySource.set(entry.source, { ...bySource.get(entry.source), ...entry });
+  }
+
+  const types = {};
+  for (const entry of bySource.values()) {
+    if (entry.enabled === false) continue;
+    const missing = REQUIRED_FIELDS.filter((field) => !isNonEmptyString(entry[field]));
+    if (missing.length) {
+      errors.push(`application type "${entry.source || entry.collectionId || '?'}": missing ${missing.join(', ')}`);
+      continue;
+    }
+    if (types[entry.collectionId]) {
+      errors.push(`collection "${entry.collectionId}" is used by both "${types[entry.collectionId].source}" and "${entry.source}"`);
+      continue;
+    }
+    const { enabled, ...fields } = entry;
+    types[entry.collectionId] = {
+      ...DEFAULTS,
+      ...fields,
+      notifiableStatuses: new Set(fields.notifiableStatuses || DEFAULTS.notifiableStatuses),
+      watchedFields: normalizeWatchedFields(fields.watchedFields || DEFAULTS.watchedFields),
+      statusAliases: {
+        ...DEFAULT_STATUS_ALIASES,
+        ...Object.fromEntries(
+          Object.entries(fields.statusAliases || {}).map(([raw, status]) => [raw.trim().toLowerCase(), status])
+        )
+      }
+    };
+  }
+
+  return { types, errors };
+};
+
+export const loadApplicationRegistry = (env = process.env) => {
+  let config;
+  try {
+    config = readApplicationTypesConfig(env);
+  } catch (err) {
+    return { types: {}, errors: [`Cannot read ${env.NOTIFY_APPLICATION_TYPES_FILE}: ${err.message}`] };
+  }
+  const registry = createApplicationRegistry(config);
+  // Sensitive values are only ever logged keyed with the snapshot secret
+  if (!env.NOTIFY_SNAPSHOT_SECRET) {
+    Object.values(registry.types)
+      .filter(hasSensitiveFields)
+      .forEach((type) => registry.errors.push(`application type "${type.source}": sensitive watchedFields need NOTIFY_SNAPSHOT_SECRET`));
+  }
+  return registry;
+};
+
+const readField = (doc, field) =>
+  Array.isArray(field)
+    ? field.map((part) => normalizeText(doc[part])).filter(Boolean).join(' ')
+    : normalizeText(doc[field]);
+
+export const getApplicantName = (type, doc) => {
+  if (!doc) return null;
+  for (const field of type.nameFields) {
+    const value = readField(doc, field);
+    if (value) return value;
+  }
+  return null;
+};
+
+export const getReference = (type, doc) => {
+  for (const field of type.referenceFields) {
+    const value = normalizeText(doc?.[field]);
+    if (value) return value;
+  }
+  return (
+    (doc?.$id ? doc.$id.slice(0, 10).toUpperCase() : null) ||
+    (doc?.id ? String(doc.id).slice(0, 10).toUpperCase() : null) ||
+    'Not provided'
+  );
+};
+
+// `pathTemplate` defaults to the applicant portal path; staff alerts pass the admin path
+export const buildPortalPath = (type, doc, pathTemplate = type.portalPath) =>
+  format(pathTemplate, {
+    id: encodeURIComponent(doc.$id),
+    source: encodeURIComponent(type.source),
+    collectionId: encodeURIComponent(type.collectionId)
+  });
@@ -0,0 +1,150 @@
+import { Query } from 'node-appwrite';
+import { parseDate, parseList } from './utils.js';
+import { listSent } from './history.js';
+import { rawStatusValues } from './workflow.js';
+
+export const DEFAULT_REMINDER_DAYS = [3, 7, 14];
+export const DEFAULT_REMINDER_PAGE_SIZE = 100;
+
+export const REMINDER_STATUS = 'needs_action';
+
+const REMINDER_TYPE_PREFIX = 'reminder:';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Enough history to walk back past every reminder of one series to the notice that started it
+const HISTORY_LIMIT = 25;
+
+// NOTIFY_REMINDER_DAYS="3,7,14": days after the needs_action notice at which reminder 1, 2, 3 are due
+export const parseReminderDays = (value) => {
+  if (value === undefined || value === null || value === '') return [...DEFAULT_REMINDER_DAYS];
+  return [...new Set(parseList(value).map(Number).filter((days) => Number.isFinite(days) && days > 0))].sort(
+    (a, b) => a - b
+  );
+};
+
+export const buildReminderType = (level) => `${REMINDER_TYPE_PREFIX}${level}`;
+
+const reminderLevelOf = (entry) =>
+  String(entry?.notificationType || '').startsWith(REMINDER_TYPE_PREFIX)
+    ? parseInt(entry.notificationType.slice(REMINDER_TYPE_PREFIX.length), 10) || 0
+    : null;
+
+// Copy and styling escalate: the first reminder is gentle, the last one is final
+export const reminderStage = (level, total) => {
+  if (total > 1 && level >= total) return 'final';
+  return level <= 1 ? 'first' : 'followUp';
+};
+
+export const reminderTemplateKeys = (source, level) => [
+  `reminder.${source}.${level}`,
+  `reminder.${level}`,
+  `reminder.${source}`,
+  'reminder'
+];
+
+// Walks the sent history newest-first: reminders count until the entry that started the
+// series. A series only exists if that entry was the needs_action notice.
+export const readReminderHistory = (entries, document) => {
+  let sentCount = 0;
+  for (const entry of entries) {
+    const level = reminderLevelOf(entry);
+    if (level !== null) {
+      sentCount = Math.max(sentCount, level);
+      continue;
+    }
+    return entry.status === REMINDER_STATUS
+      ? { noticeAt: parseDate(entry.notifiedAt), sentCount, lastSentAt: parseDate(entries[0].notifiedAt) }
+      : null;
+  }
+  // Documents notified before the notification log existed only have tracking fields
+  if (!entries.length && String(document.lastNotifiedType || '').includes(`status:${REMINDER_STATUS}`)) {
+    const noticeAt = parseDate(document.lastNotifiedAt);
+    return noticeAt ? { noticeAt, sentCount: 0, lastSentAt: noticeAt } : null;
+  }
+  return null;
+};
+
+// Highest level whose threshold has passed; several missed thresholds collapse into one reminder
+export const dueReminderLevel = (reminderDays, elapsedMs) =>
+  reminderDays.filter((days) => elapsedMs >= days * DAY_MS).length;
+
+async function* listNeedsAction(databases, databaseId, type, pageSize) {
+  let cursor = null;
+  for (;;) {
+    const queries = [
+      Query.equal('status', rawStatusValues(type.statusAliases, REMINDER_STATUS)),
+      Query.limit(pageSize)
+    ];
+    if (cursor) queries.push(Query.cursorAfter(cursor));
+    const result = await databases.listDocuments(databaseId, type.collectionId, queries);
+    const documents = result.documents || [];
+    yield* documents;
+    if (documents.length < pageSize) return;
+    cursor = documents[documents.length - 1].$id;
+  }
+}
+
+// `sendReminder(type, document, reminder)` does the per-recipient work (lock, throttle,
+// preferences, rendering, send) and resolves to `{ sent: true }` or `{ ignored: reason }`
+export const runReminders = async ({
+  databases,
+  databaseId,
+  logCollectionId,
+  types,
+  reminderDays,
+  now = new Date(),
+  pageSize = DEFAULT_REMINDER_PAGE_SIZE,
+  sendReminder,
+  logger,
+  errLogger
+}) => {
+  const summary = { scanned: 0, sent: 0, notDue: 0, ignored: {}, failed: 0 };
+  if (!reminderDays.length) return summary;
+
+  for (const type of types) {
+    try {
+      for await (const document of listNeedsAction(databases, databaseId, type, pageSize)) {
+        summary.scanned += 1;
+        try {
+          const entries = await listSent(databases, databaseId, logCollectionId, {
+            sourceCollectionId: type.collectionId,
+            documentId: document.$id,
+            limit: HISTORY_LIMIT
+          });
+          const history = readReminderHistory(entries, document);
+          if (!history?.noticeAt) {
+            summary.ignored.no_notice = (summary.ignored.no_notice || 0) + 1;
+            continue;
+          }
+
+          const level = dueReminderLevel(reminderDays, now - history.noticeAt);
+          if (level <= history.sentCount) {
+            summary.notDue += 1;
+            continue;
+          }
+
+          const result = await sendReminder(type, document, {
+            ...history,
+            level,
+            stage: reminderStage(level, reminderDays.length),
+            notificationType: buildReminderType(level)
+          });
+          if (result.sent) {
+            summary.sent += 1;
+          } else {
+            summary.ignored[result.ignored] = (summary.ignored[result.ignored] || 0) + 1;
+          }
+        } catch (err) {
+          summary.failed += 1;
+          errLogger(`Reminder failed for ${type.collectionId}/${document.$id}: ${err.message}`);
+        }
+      }
+    } catch (err) {
+      summary.failed += 1;
+      errLogger(`Failed to list ${REMINDER_STATUS} documents in ${type.collectionId}: ${err.message}`);
+    }
+  }
+
+  logger(`Reminders: scanned ${summary.scanned}, sent ${summary.sent}, not due ${summary.notDue}.`);
+  return summary;
+};
@@ -0,0 +1,51 @@
+export const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 2000
+};
+
+// Rate limits, timeouts and server errors are worth retrying; anything the request
+// itself got wrong (bad input, missing scopes, unknown user) will fail the same way again
+const TRANSIENT_CODES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const NETWORK_ERROR_PATTERN = /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|EPIPE|socket hang up|fetch failed|network/i;
+
+export const isTransientError = (err) => {
+  if (!err) return false;
+  if (TRANSIENT_CODES.has(err.code)) return true;
+  if (err.code) return false;
+  return NETWORK_ERROR_PATTERN.test(`${err.message || ''} ${err.cause?.code || ''}`);
+};
+
+export const parseRetryPolicy = (env = process.env) => {
+  const read = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  };
+  return {
+    attempts: Math.max(1, read(env.NOTIFY_RETRY_ATTEMPTS, DEFAULT_RETRY_POLICY.attempts)),
+    baseDelayMs: read(env.NOTIFY_RETRY_BASE_MS, DEFAULT_RETRY_POLICY.baseDelayMs),
+    maxDelayMs: read(env.NOTIFY_RETRY_MAX_MS, DEFAULT_RETRY_POLICY.maxDelayMs)
+  };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter. The final error carries `attempts` and `permanent`
+export const withRetry = async (operation, { policy = DEFAULT_RETRY_POLICY, onRetry } = {}) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await operation(attempt);
+    } catch (err) {
+      const transient = isTransientError(err);
+      if (!transient || attempt >= policy.attempts) {
+        err.attempts = attempt;
+        err.permanent = !transient;
+        throw err;
+      }
+      const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+      const jittered = Math.round(delay / 2 + (Math.random() * delay) / 2);
+      onRetry?.(err, attempt, jittered);
+      await sleep(jittered);
+    }
+  }
+};
@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import { ID, Query } from 'node-appwrite';
+import { withRetry } from './retry.js';
+import { rawStatusValues } from './workflow.js';
+
+export const STAFF_ALERTS = {
+  resubmitted: 'resubmitted',
+  staleReview: 'stale_review'
+};
+
+export const DEFAULT_STALE_REVIEW_DAYS = 5;
+export const DEFAULT_ADMIN_PATH = 'admin/applications/{id}?source={source}';
+
+// A resubmission is the applicant answering a needs_action request
+const RESUBMISSION_FROM = 'needs_action';
+const RESUBMISSION_TO = ['submitted', 'in_review'];
+const STALE_STATUS = 'in_review';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MEMBERSHIP_PAGE_SIZE = 100;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isStringList = (value) => Array.isArray(value) && value.every(isNonEmptyString);
+
+const STAFF_SCHEMA = {
+  teams: { check: isStringList, expected: 'a list of team IDs' },
+  topics: { check: isStringList, expected: 'a list of topic IDs' },
+  events: {
+    check: (value) => Array.isArray(value) && value.every((event) => Object.values(STAFF_ALERTS).includes(event)),
+    expected: `a list of ${Object.values(STAFF_ALERTS).join(', ')}`
+  },
+  staleReviewDays: { check: (value) => Number.isFinite(value) && value > 0, expected: 'a positive number of days' },
+  internalFields: { check: isStringList, expected: 'a list of field names' },
+  adminPath: { check: isNonEmptyString, expected: 'a non-empty string' }
+};
+
+export const validateStaffAlerts = (value, at) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${at}: expected an object`];
+  const errors = [];
+  for (const [field, fieldValue] of Object.entries(value)) {
+    const rule = STAFF_SCHEMA[field];
+    if (!rule) {
+      errors.push(`${at}.${field}: unknown field (allowed: ${Object.keys(STAFF_SCHEMA).join(', ')})`);
+    } else if (!rule.check(fieldValue)) {
+      errors.push(`${at}.${field}: expected ${rule.expected}`);
+    }
+  }
+  if (!value.teams?.length && !value.topics?.length) errors.push(`${at}: needs at least one team or topic`);
+  return errors;
+};
+
+export const staffAlertsFor = (type, alert) =>
+  Boolean(type.staffAlerts) && (type.staffAlerts.events || Object.values(STAFF_ALERTS)).includes(alert);
+
+export const isResubmission = (previousStatus, status) =>
+  previousStatus === RESUBMISSION_FROM && RESUBMISSION_TO.includes(status);
+
+// Whether an update to `status` might be a resubmission, before the previous status is known
+export const mayBeResubmission = (type, status) =>
+  staffAlertsFor(type, STAFF_ALERTS.resubmitted) && RESUBMISSION_TO.includes(status);
+
+export const staffTemplateKeys = (source, alert) => [
+  `staff_alert.${source}.${alert}`,
+  `staff_alert.${alert}`,
+  `staff_alert.${source}`,
+  'staff_alert'
+];
+
+// Team members are resolved to user IDs because Messaging targets users and topics, not teams
+export const resolveTeamMembers = async (teams, teamIds) => {
+  const userIds = new Set();
+  for (const teamId of teamIds || []) {
+    let cursor = null;
+    for (;;) {
+      const result = await teams.listMemberships(teamId, [
+        Query.limit(MEMBERSHIP_PAGE_SIZE),
+        ...(cursor ? [Query.cursorAfter(cursor)] : [])
+      ]);
+      const memberships = result.memberships || [];
+      for (const membership of memberships) {
+        if (membership.confirm !== false && membership.userId) userIds.add(membership.userId);
+      }
+      if (memberships.length < MEMBERSHIP_PAGE_SIZE) break;
+      cursor = memberships[memberships.length - 1].$id;
+    }
+  }
+  return [...userIds];
+};
+
+// Like sendChannels, every attempt reuses one message ID and a 409 on a retry means an
+// earlier, timed-out attempt went through
+export const sendStaffEmail = async (messaging, { users, topics, message, retryPolicy }) => {
+  const messageId = ID.unique();
+  return withRetry(
+    async (attempt) => {
+      try {
+        return await messaging.createEmail({
+          messageId,
+          subject: message.subject,
+          content: message.content,
+          users,
+          topics,
+          html: true
+        });
+      } catch (err) {
+        if (attempt > 1 && err.code === 409) return { $id: messageId };
+        throw err;
+      }
+    },
+    { policy: retryPolicy }
+  );
+};
+
+// Staff alerts keep their own log so they never count towards applicant throttle or dedupe.
+// `key` makes the entry ID deterministic: claiming the same alert twice fails with 409.
+const buildAlertId = (key) =>
+  `staff_${crypto.createHash('sha256').update(key).digest('hex').slice(0, 30)}`;
+
+export const claimStaffAlert = async (databases, databaseId, collectionId, { key, ...entry }) => {
+  const id = key ? buildAlertId(key) : ID.unique();
+  try {
+    await databases.createDocument(databaseId, collectionId, id, {
+      ...entry,
+      state: 'pending',
+      createdAt: new Date().toISOString()
+    });
+    return id;
+  } catch (err) {
+    if (err.code === 409) return null;
+    throw err;
+  }
+};
+
+export const isStaffAlertClaimed = async (databases, databaseId, collectionId, key) => {
+  if (!key) return false;
+  try {
+    await databases.getDocument(databaseId, collectionId, buildAlertId(key));
+    return true;
+  } catch (err) {
+    if (err.code === 404) return false;
+    throw err;
+  }
+};
+
+export const completeStaffAlert = async (databases, databaseId, collectionId, id, data) =>
+  databases.updateDocument(databaseId, collectionId, id, { state: 'sent', ...data, sentAt: new Date().toISOString() });
+
+// A failed send releases the claim so the next scheduled run tries again
+export const releaseStaffAlert = async (databases, databaseId, collectionId, id) =>
+  databases.deleteDocument(databaseId, collectionId, id);
+
+// Applications untouched in review for staleReviewDays get one alert per quiet period:
+// the claim key includes $updatedAt, so any later change re-arms the alert
+export const runStaleReviewAlerts = async ({
+  databases,
+  databaseId,
+  types,
+  now = new Date(),
+  pageSize = 100,
+  sendAlert,
+  logger,
+  errLogger
+}) => {
+  const summary = { scanned: 0, sent: 0, skipped: 0, failed: 0 };
+
+  for (const type of types) {
+    if (!staffAlertsFor(type, STAFF_ALERTS.staleReview)) continue;
+    const days = type.staffAlerts.staleReviewDays || DEFAULT_STALE_REVIEW_DAYS;
+    const cutoff = new Date(now.getTime() - days * DAY_MS).toISOString();
+    let cursor = null;
+
+    try {
+      for (;;) {
+        const queries = [
+          Query.equal('status', rawStatusValues(type.statusAliases, STALE_STATUS)),
+          Query.lessThan('$updatedAt', cutoff),
+          Query.limit(pageSize)
+        ];
+        if (cursor) queries.push(Query.cursorAfter(cursor));
+        const result = await databases.listDocuments(databaseId, type.collectionId, queries);
+        const documents = result.documents || [];
+
+        for (const document of documents) {
+          summary.scanned += 1;
+          try {
+            const outcome = await sendAlert(type, document, {
+              alert: STAFF_ALERTS.staleReview,
+              key: `${type.collectionId}/${document.$id}/${STAFF_ALERTS.staleReview}/${document.$updatedAt}`,
+              daysInReview: Math.floor((now - new Date(document.$updatedAt)) / DAY_MS)
+            });
+            summary[outcome.sent ? 'sent' : 'skipped'] += 1;
+          } catch (err) {
+            summary.failed += 1;
+            errLogger(`Stale review alert failed for ${type.collectionId}/${document.$id}: ${err.message}`);
+          }
+        }
+
+        if (documents.length < pageSize) break;
+        cursor = documents[documents.length - 1].$id;
+      }
+    } catch (err) {
+      summary.failed += 1;
+      errLogger(`Failed to list stale ${STALE_STATUS} documents in ${type.collectionId}: ${err.message}`);
+    }
+  }
+
+  logger(`Staff alerts: ${summary.sent} stale review alerts sent, ${summary.scanned} scanned.`);
+  return summary;
+};
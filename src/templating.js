@@ -0,0 +1,236 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Query } from 'node-appwrite';
+import { escapeHtml } from './utils.js';
+
+export const DEFAULT_TEMPLATES_DIR = fileURLToPath(new URL('./templates/', import.meta.url));
+
+export const REQUIRED_TEMPLATES = ['application', 'pay_stub'];
+
+// The last-resort template of each optional feature, required while the feature is on
+const FEATURE_TEMPLATES = {
+  reminders: 'reminder',
+  digests: 'digest',
+  staffAlerts: 'staff_alert'
+};
+
+export const requiredTemplates = (features = {}) => [
+  ...REQUIRED_TEMPLATES,
+  ...Object.keys(FEATURE_TEMPLATES)
+    .filter((feature) => features[feature])
+    .map((feature) => FEATURE_TEMPLATES[feature])
+];
+
+const TEMPLATE_EXTENSION = '.html';
+const MAX_TEMPLATE_DOCUMENTS = 500;
+const PATH_PATTERN = /^(this|[A-Za-z_$][\w$]*)(\.[\w$]+)*$/;
+
+// Template syntax:
+//   {{ path.to.value }}          escaped output (the default)
+//   {{{ path.to.value }}}        raw output, only for trusted values
+//   {{#if path}} … {{else}} … {{/if}}
+//   {{#each path}} … {{this.field}} … {{/each}}
+//   {{! comment }}
+
+const templateError = (template, line, message) => {
+  const err = new Error(`Template "${template}" line ${line}: ${message}`);
+  err.template = template;
+  err.line = line;
+  return err;
+};
+
+const lineAt = (source, index) => source.slice(0, index).split('\n').length;
+
+const tokenize = (name, source) => {
+  const tokens = [];
+  let cursor = 0;
+  while (cursor < source.length) {
+    const open = source.indexOf('{{', cursor);
+    if (open === -1) {
+      tokens.push({ type: 'text', value: source.slice(cursor) });
+      break;
+    }
+
+    const raw = source[open + 2] === '{';
+    const closer = raw ? '}}}' : '}}';
+    const close = source.indexOf(closer, open + (raw ? 3 : 2));
+    const line = lineAt(source, open);
+    if (close === -1) throw templateError(name, line, `unclosed "${raw ? '{{{' : '{{'}" tag`);
+
+    const inner = source.slice(open + (raw ? 3 : 2), close).trim();
+    let textEnd = open;
+    let next = close + closer.length;
+
+    // Block and comment tags alone on their line take the whole line with them
+    if (!raw && (/^[#/!]/.test(inner) || inner === 'else')) {
+      const lineStart = source.lastIndexOf('\n', open - 1) + 1;
+      const lineEnd = source.indexOf('\n', next);
+      const after = source.slice(next, lineEnd === -1 ? source.length : lineEnd);
+      if (lineStart >= cursor && !source.slice(lineStart, open).trim() && !after.trim()) {
+        textEnd = lineStart;
+        next = lineEnd === -1 ? source.length : lineEnd + 1;
+      }
+    }
+
+    if (textEnd > cursor) tokens.push({ type: 'text', value: source.slice(cursor, textEnd) });
+    tokens.push({ type: 'tag', raw, inner, line });
+    cursor = next;
+  }
+  return tokens;
+};
+
+const assertPath = (name, line, value) => {
+  if (!PATH_PATTERN.test(value)) throw templateError(name, line, `invalid variable "${value}"`);
+  return value;
+};
+
+const parse = (name, tokens) => {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.alternate : node.children;
+  };
+
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      current().push(token);
+      continue;
+    }
+    const { inner, line, raw } = token;
+    if (raw) {
+      current().push({ type: 'var', path: assertPath(name, line, inner), raw: true });
+    } else if (inner.startsWith('!')) {
+      continue;
+    } else if (inner.startsWith('#')) {
+      const [keyword, ...rest] = inner.slice(1).trim().split(/\s+/);
+      if (keyword !== 'if' && keyword !== 'each') {
+        throw templateError(name, line, `unknown block "#${keyword}"`);
+      }
+      if (rest.length !== 1) throw templateError(name, line, `"#${keyword}" takes exactly one variable`);
+      const node = { type: keyword, path: assertPath(name, line, rest[0]), children: [], alternate: [], line };
+      current().push(node);
+      stack.push(node);
+    } else if (inner.startsWith('/')) {
+      const keyword = inner.slice(1).trim();
+      const node = stack[stack.length - 1];
+      if (node.type !== keyword) {
+        const expected = node.type === 'root' ? 'no open block' : `"{{/${node.type}}}" for line ${node.line}`;
+        throw templateError(name, line, `unexpected "{{/${keyword}}}", expected ${expected}`);
+      }
+      stack.pop();
+    } else if (inner === 'else') {
+      const node = stack[stack.length - 1];
+      if (node.type !== 'if' || node.inElse) throw templateError(name, line, '"{{else}}" outside of "{{#if}}"');
+      node.inElse = true;
+    } else {
+      current().push({ type: 'var', path: assertPath(name, line, inner), raw: false });
+    }
+  }
+
+  if (stack.length > 1) {
+    const node = stack[stack.length - 1];
+    throw templateError(name, node.line, `"{{#${node.type}}}" is never closed`);
+  }
+  return root.children;
+};
+
+const lookup = (scopes, pathValue) => {
+  const [head, ...rest] = pathValue.split('.');
+  let value;
+  if (head === 'this') {
+    value = scopes[scopes.length - 1];
+  } else {
+    const scope = [...scopes].reverse().find((item) => item && typeof item === 'object' && head in item);
+    value = scope ? scope[head] : undefined;
+  }
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const stringify = (value) => (value === null || value === undefined ? '' : String(value));
+
+const renderNodes = (nodes, scopes) =>
+  nodes
+    .map((node) => {
+      if (node.type === 'text') return node.value;
+      if (node.type === 'var') {
+        const value = stringify(lookup(scopes, node.path));
+        return node.raw ? value : escapeHtml(value);
+      }
+      if (node.type === 'if') {
+        return renderNodes(isTruthy(lookup(scopes, node.path)) ? node.children : node.alternate, scopes);
+      }
+      const items = lookup(scopes, node.path);
+      if (!Array.isArray(items)) return '';
+      return items.map((item) => renderNodes(node.children, [...scopes, item])).join('');
+    })
+    .join('');
+
+export const compileTemplate = (name, source) => {
+  const nodes = parse(name, tokenize(name, String(source ?? '')));
+  return (view) => renderNodes(nodes, [view]).trim();
+};
+
+export const loadTemplateFiles = (dir = DEFAULT_TEMPLATES_DIR) => {
+  const sources = {};
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith(TEMPLATE_EXTENSION)) continue;
+    sources[file.slice(0, -TEMPLATE_EXTENSION.length)] = fs.readFileSync(path.join(dir, file), 'utf8');
+  }
+  return sources;
+};
+
+// Template documents: `key` (e.g. "application.gunLicenses.approved") and `content`
+export const loadTemplateOverrides = async (databases, databaseId, collectionId) => {
+  const result = await databases.listDocuments(databaseId, collectionId, [Query.limit(MAX_TEMPLATE_DOCUMENTS)]);
+  const sources = {};
+  for (const document of result.documents || []) {
+    if (document.key && document.enabled !== false) sources[document.key] = document.content;
+  }
+  return sources;
+};
+
+// Compiles every source up front so a broken template is reported before anything is sent
+export const createTemplateRegistry = (sources, { required = REQUIRED_TEMPLATES, origin = 'file' } = {}) => {
+  const templates = {};
+  const errors = [];
+  for (const [key, source] of Object.entries(sources)) {
+    try {
+      templates[key] = compileTemplate(key, source);
+    } catch (err) {
+      errors.push({ template: key, origin, line: err.line || null, message: err.message });
+    }
+  }
+  for (const key of required) {
+    if (!(key in sources)) {
+      errors.push({ template: key, origin, line: null, message: `Template "${key}" is missing.` });
+    }
+  }
+  return { templates, errors };
+};
+
+export const mergeRegistries = (base, override) => ({
+  templates: { ...base.templates, ...override.templates },
+  errors: [...base.errors, ...override.errors]
+});
+
+export const applicationTemplateKeys = (source, status) => [
+  `application.${source}.${status}`,
+  `application.${source}`,
+  `application.${status}`,
+  'application'
+];
+
+export const PAY_STUB_TEMPLATE_KEYS = ['pay_stub'];
+
+export const resolveTemplate = (registry, keys) => {
+  const key = keys.find((candidate) => registry.templates[candidate]);
+  return key ? { key, render: registry.templates[key] } : null;
+};
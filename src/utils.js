@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+
+export const parseJson = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return null;
+  }
+};
+
+export const parseBoolean = (value) => {
+  if (value === true || value === false) return value;
+  if (value === null || value === undefined) return false;
+  return ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+};
+
+export const titleCase = (value = '') =>
+  String(value)
+    .replace(/_/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map((segment) => segment.charAt(0).toUpperCase() + segment.slice(1))
+    .join(' ');
+
+export const normalizeText = (value) => {
+  if (value === null || value === undefined) return null;
+  const trimmed = String(value).trim();
+  return trimmed.length ? trimmed : null;
+};
+
+export const escapeHtml = (value) =>
+  String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+export const hashPayload = (payload) =>
+  crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+
+export const maskEmail = (email) => {
+  const value = String(email || '').trim();
+  const parts = value.split('@');
+  if (parts.length !== 2) return 'unknown';
+  const name = parts[0];
+  const domain = parts[1];
+  if (!name) return `***@${domain}`;
+  if (name.length === 1) return `${name}***@${domain}`;
+  const masked = `${name.slice(0, 1)}***${name.slice(-1)}`;
+  return `${masked}@${domain}`;
+};
+
+export const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const parseList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
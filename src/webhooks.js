@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import { parseJson } from './utils.js';
+import { DECISIONS } from './history.js';
+
+export const WEBHOOK_FORMATS = ['json', 'slack', 'teams'];
+export const DEFAULT_WEBHOOK_TIMEOUT_MS = 5000;
+export const DEFAULT_WEBHOOK_DECISIONS = [DECISIONS.sent, DECISIONS.failed];
+
+export const SIGNATURE_HEADER = 'X-Notify-Signature';
+export const TIMESTAMP_HEADER = 'X-Notify-Timestamp';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isStringList = (value) => Array.isArray(value) && value.every(isNonEmptyString);
+
+const WEBHOOK_SCHEMA = {
+  name: { check: isNonEmptyString, expected: 'a non-empty string' },
+  url: { check: (value) => isNonEmptyString(value) && /^https?:\/\//.test(value), expected: 'an http(s) URL' },
+  format: { check: (value) => WEBHOOK_FORMATS.includes(value), expected: WEBHOOK_FORMATS.join(', ') },
+  secretEnv: { check: isNonEmptyString, expected: 'the name of an environment variable' },
+  decisions: {
+    check: (value) => Array.isArray(value) && value.every((decision) => Object.values(DECISIONS).includes(decision)),
+    expected: `a list of ${Object.values(DECISIONS).join(', ')}`
+  },
+  types: { check: isStringList, expected: 'a list of notification types' },
+  collections: { check: isStringList, expected: 'a list of collection IDs' },
+  statuses: { check: isStringList, expected: 'a list of statuses' },
+  timeoutMs: { check: (value) => Number.isInteger(value) && value > 0, expected: 'a positive number of milliseconds' }
+};
+
+// NOTIFY_WEBHOOKS is a JSON list of destinations, e.g.
+// [{"name":"ops","url":"https://…","secretEnv":"OPS_WEBHOOK_SECRET","decisions":["sent","failed"]}]
+// Secrets are read from the named environment variable so they stay out of the JSON.
+// Invalid destinations are reported and skipped: a webhook problem never blocks a notification.
+export const parseWebhooks = (value, env = process.env) => {
+  if (!value) return { webhooks: [], errors: [] };
+  const parsed = parseJson(value);
+  if (!Array.isArray(parsed)) return { webhooks: [], errors: ['NOTIFY_WEBHOOKS: expected a JSON list of destinations'] };
+
+  const webhooks = [];
+  const errors = [];
+  parsed.forEach((entry, index) => {
+    const at = `webhooks[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${at}: expected an object`);
+      return;
+    }
+    const problems = [];
+    for (const [field, fieldValue] of Object.entries(entry)) {
+      const rule = WEBHOOK_SCHEMA[field];
+      if (!rule) {
+        problems.push(`${at}.${field}: unknown field (allowed: ${Object.keys(WEBHOOK_SCHEMA).join(', ')})`);
+      } else if (!rule.check(fieldValue)) {
+        problems.push(`${at}.${field}: expected ${rule.expected}`);
+      }
+    }
+    if (!entry.url) problems.push(`${at}.url: required`);
+    if (entry.secretEnv && !env[entry.secretEnv]) problems.push(`${at}.secretEnv: ${entry.secretEnv} is not set`);
+    if (problems.length) {
+      errors.push(...problems);
+      return;
+    }
+    webhooks.push({
+      name: entry.name || `webhook ${index + 1}`,
+      url: entry.url,
+      format: entry.format || 'json',
+      secret: entry.secretEnv ? env[entry.secretEnv] : null,
+      decisions: entry.decisions || DEFAULT_WEBHOOK_DECISIONS,
+      types: entry.types || null,
+      collections: entry.collections || null,
+      statuses: entry.statuses || null,
+      timeoutMs: entry.timeoutMs || DEFAULT_WEBHOOK_TIMEOUT_MS
+    });
+  });
+  return { webhooks, errors };
+};
+
+const matchesFilter = (filter, value) => !filter || filter.includes(value);
+
+export const webhookMatches = (webhook, event) =>
+  matchesFilter(webhook.decisions, event.decision) &&
+  matchesFilter(webhook.types, event.type) &&
+  matchesFilter(webhook.collections, event.collectionId) &&
+  matchesFilter(webhook.statuses, event.status);
+
+// Only what an operations dashboard needs: outcomes per channel, never message content
+export const buildWebhookEvent = (entry) => ({
+  id: crypto.randomUUID(),
+  event: `notification.${entry.decision}`,
+  timestamp: entry.notifiedAt || new Date().toISOString(),
+  decision: entry.decision,
+  reason: entry.reason || null,
+  type: entry.type || null,
+  collectionId: entry.collectionId || null,
+  documentId: entry.documentId || null,
+  status: entry.status || null,
+  previousStatus: entry.previousStatus || null,
+  notificationType: entry.notificationType || null,
+  channels: Object.fromEntries(Object.entries(entry.channels || {}).map(([channel, outcome]) => [channel, outcome.status])),
+  recipient: entry.recipient || null,
+  eventName: entry.eventName || null,
+  executionId: entry.executionId || null
+});
+
+const DECISION_COLORS = {
+  sent: '22c55e',
+  failed: 'ef4444',
+  ignored: '9ca3af',
+  dry_run: '3b82f6',
+  queued: 'f59e0b'
+};
+
+const summarize = (event) => {
+  const subject = [event.type || 'notification', event.collectionId && `${event.collectionId}/${event.documentId}`]
+    .filter(Boolean)
+    .join(' ');
+  const details = [
+    event.status && `status ${event.previousStatus ? `${event.previousStatus} → ` : ''}${event.status}`,
+    event.reason && `reason ${event.reason}`,
+    Object.keys(event.channels).length &&
+      `channels ${Object.entries(event.channels).map(([channel, status]) => `${channel}:${status}`).join(', ')}`
+  ].filter(Boolean);
+  return { title: `Notification ${event.decision}: ${subject}`, text: details.join(' · ') };
+};
+
+const FORMATTERS = {
+  json: (event) => event,
+  slack: (event) => {
+    const { title, text } = summarize(event);
+    return { text: text ? `*${title}*\n${text}` : `*${title}*` };
+  },
+  teams: (event) => {
+    const { title, text } = summarize(event);
+    return {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      summary: title,
+      title,
+      text: text || title,
+      themeColor: DECISION_COLORS[event.decision] || DECISION_COLORS.ignored
+    };
+  }
+};
+
+// Receivers verify HMAC-SHA256(secret, `${timestamp}.${body}`) against the signature header
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const postWebhook = async (webhook, event) => {
+  const body = JSON.stringify(FORMATTERS[webhook.format](event));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = { 'Content-Type': 'application/json', [TIMESTAMP_HEADER]: timestamp };
+  if (webhook.secret) headers[SIGNATURE_HEADER] = signPayload(webhook.secret, timestamp, body);
+
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(webhook.timeoutMs)
+  });
+  if (!response.ok) {
+    const err = new Error(`HTTP ${response.status}`);
+    err.code = response.status;
+    throw err;
+  }
+};
+
+// Delivers to every matching destination in parallel; failures are reported, never thrown
+export const dispatchWebhooks = async (webhooks, entry, { logger, errLogger }) => {
+  const event = buildWebhookEvent(entry);
+  const targets = webhooks.filter((webhook) => webhookMatches(webhook, event));
+  if (!targets.length) return [];
+
+  const results = await Promise.allSettled(targets.map((webhook) => postWebhook(webhook, event)));
+  return results.map((result, index) => {
+    const { name } = targets[index];
+    if (result.status === 'fulfilled') {
+      logger(`Webhook ${name} delivered ${event.event}.`);
+      return { name, delivered: true };
+    }
+    const reason = result.reason?.name === 'TimeoutError' ? 'timeout' : result.reason?.message;
+    errLogger(`Webhook ${name} failed for ${event.event}: ${reason}`);
+    return { name, delivered: false, error: reason };
+  });
+};
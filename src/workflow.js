@@ -0,0 +1,109 @@
+// Raw status values are lower-cased, then mapped through the type's aliases
+export const DEFAULT_STATUS_ALIASES = {
+  pending: 'in_review',
+  'in-review': 'in_review',
+  action_required: 'needs_action',
+  new: 'submitted'
+};
+
+export const DEFAULT_STATUS = 'submitted';
+
+// Stands in for the previous status when the document was never seen before
+export const UNKNOWN_STATUS = 'none';
+
+const ANY = '*';
+
+export const TRANSITION_ACTIONS = ['notify', 'suppress'];
+
+export const normalizeStatus = (value, aliases = DEFAULT_STATUS_ALIASES) => {
+  const status = String(value || '').trim().toLowerCase();
+  return aliases[status] || status || DEFAULT_STATUS;
+};
+
+// Raw values that normalize to `status` for a type, for querying documents by status
+export const rawStatusValues = (aliases, status) => [
+  status,
+  ...Object.entries(aliases || {})
+    .filter(([, normalized]) => normalized === status)
+    .map(([raw]) => raw)
+];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isStatusMatcher = (value) =>
+  isNonEmptyString(value) || (Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString));
+
+export const isStatusAliasMap = (value) =>
+  Boolean(value) &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.values(value).every(isNonEmptyString);
+
+const RULE_SCHEMA = {
+  from: { check: isStatusMatcher, expected: 'a status, "*" or a list of statuses' },
+  to: { check: isStatusMatcher, expected: 'a status, "*" or a list of statuses' },
+  action: { check: (value) => TRANSITION_ACTIONS.includes(value), expected: TRANSITION_ACTIONS.join(' or ') },
+  template: { check: isNonEmptyString, expected: 'a template key' }
+};
+
+// Returns the problems found in one rule, each prefixed with `at`
+export const validateTransitionRules = (rules, at) => {
+  if (!Array.isArray(rules)) return [`${at}: expected a list of transition rules`];
+  const errors = [];
+  rules.forEach((rule, index) => {
+    const ruleAt = `${at}[${index}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${ruleAt}: expected an object`);
+      return;
+    }
+    for (const [field, value] of Object.entries(rule)) {
+      const schema = RULE_SCHEMA[field];
+      if (!schema) {
+        errors.push(`${ruleAt}.${field}: unknown field (allowed: ${Object.keys(RULE_SCHEMA).join(', ')})`);
+      } else if (!schema.check(value)) {
+        errors.push(`${ruleAt}.${field}: expected ${schema.expected}`);
+      }
+    }
+    if (!rule.action) errors.push(`${ruleAt}.action: required`);
+  });
+  return errors;
+};
+
+const matches = (matcher, status) => {
+  if (matcher === undefined || matcher === ANY) return 1;
+  const list = Array.isArray(matcher) ? matcher : [matcher];
+  return list.includes(status) ? 2 : 0;
+};
+
+// The most specific rule wins: an exact from/to beats a wildcard, and on a tie the
+// earlier rule in the config wins
+export const matchTransition = (rules = [], previousStatus, status) => {
+  let best = null;
+  let bestScore = 0;
+  for (const rule of rules) {
+    const fromScore = matches(rule.from, previousStatus || UNKNOWN_STATUS);
+    const toScore = matches(rule.to, status);
+    if (!fromScore || !toScore) continue;
+    const score = fromScore + toScore;
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+  return best;
+};
+
+// Could any rule turn this status into a notification? Used to skip the lock and log
+// lookups for updates that no rule cares about
+export const hasNotifyRuleFor = (rules = [], status) =>
+  rules.some((rule) => rule.action === 'notify' && matches(rule.to, status));
+
+// Without a matching rule the type's notifiable statuses decide, and note or watched-field
+// changes always notify
+export const evaluateTransition = (type, { previousStatus, status, hasNotes, hasFieldChanges = false }) => {
+  const rule = matchTransition(type.transitions, previousStatus, status);
+  if (rule?.action === 'suppress') return { notify: false, reason: 'suppressed_transition', rule };
+  if (rule?.action === 'notify') return { notify: true, template: rule.template || null, rule };
+  if (type.notifiableStatuses.has(status) || hasNotes || hasFieldChanges) return { notify: true, template: null, rule: null };
+  return { notify: false, reason: 'no_meaningful_change', rule: null };
+};
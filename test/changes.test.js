@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { takeSnapshot, diffSnapshots, normalizeWatchedFields } from '../src/changes.js';
+import { loadApplicationRegistry } from '../src/registry.js';
+import { loadConfig } from '../src/config.js';
+import { FAKE_APPWRITE_ENV } from '../harness/fakes.js';
+
+const SECRET = 'a-snapshot-secret-of-at-least-32-chars';
+const type = { watchedFields: normalizeWatchedFields(['appointmentDate', { field: 'nationalId', sensitive: true }]) };
+const document = { appointmentDate: '2026-03-10', nationalId: '1985-0412' };
+
+test('sensitive values are stored as keyed digests only', () => {
+  const snapshot = takeSnapshot(type, document, 'approved', { secret: SECRET });
+  const stored = snapshot.fields.nationalId;
+
+  assert.equal(snapshot.fields.appointmentDate, '2026-03-10');
+  assert.match(stored, /^hmac:[0-9a-f]{64}$/);
+  assert.ok(!JSON.stringify(snapshot).includes('1985-0412'));
+  assert.ok(!stored.includes(crypto.createHash('sha256').update('1985-0412').digest('hex').slice(0, 16)));
+  assert.notEqual(takeSnapshot(type, document, 'approved', { secret: `${SECRET}-other` }).fields.nationalId, stored);
+});
+
+test('a changed sensitive value is reported without its values being readable', () => {
+  const before = takeSnapshot(type, document, 'approved', { secret: SECRET });
+  const after = takeSnapshot(type, { ...document, nationalId: '1985-0413' }, 'approved', { secret: SECRET });
+  const diff = diffSnapshots(before, after, type.watchedFields);
+
+  assert.deepEqual(diff.fields.map(({ field }) => field), ['nationalId']);
+  assert.ok(diff.fields[0].sensitive);
+  assert.equal(diffSnapshots(before, before, type.watchedFields).fields.length, 0);
+});
+
+test('unkeyed hashes from older snapshots do not count as a change', () => {
+  const legacy = { status: 'approved', notes: {}, fields: { appointmentDate: '2026-03-10', nationalId: 'sha256:0123456789abcdef' } };
+  const current = takeSnapshot(type, document, 'approved', { secret: SECRET });
+
+  assert.deepEqual(diffSnapshots(legacy, current, type.watchedFields).fields, []);
+});
+
+test('without a secret sensitive fields are left out of the snapshot', () => {
+  const snapshot = takeSnapshot(type, document, 'approved');
+
+  assert.deepEqual(Object.keys(snapshot.fields), ['appointmentDate']);
+});
+
+test('sensitive watched fields require NOTIFY_SNAPSHOT_SECRET', () => {
+  const types = JSON.stringify([
+    { source: 'permits', collectionId: 'permit_forms', label: 'Permit', watchedFields: [{ field: 'nationalId', sensitive: true }] }
+  ]);
+
+  const missing = loadApplicationRegistry({ NOTIFY_APPLICATION_TYPES: types });
+  assert.ok(missing.errors.some((error) => error.includes('"permits"') && error.includes('NOTIFY_SNAPSHOT_SECRET')));
+  assert.deepEqual(loadApplicationRegistry({ NOTIFY_APPLICATION_TYPES: types, NOTIFY_SNAPSHOT_SECRET: SECRET }).errors, []);
+});
+
+test('a short snapshot secret is a config error that does not echo the value', () => {
+  const { errors } = loadConfig({ ...FAKE_APPWRITE_ENV, NOTIFY_SNAPSHOT_SECRET: 'short-secret' });
+
+  assert.deepEqual(errors, ['NOTIFY_SNAPSHOT_SECRET: expected at least 32 characters']);
+  assert.deepEqual(loadConfig({ ...FAKE_APPWRITE_ENV, NOTIFY_SNAPSHOT_SECRET: SECRET }).errors, []);
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { sendChannels } from '../src/channels.js';
+import { createFakeMessaging } from '../harness/fakes.js';
+
+const POLICY = { attempts: 3, baseDelayMs: 0, maxDelayMs: 0 };
+const MESSAGES = { email: { subject: 'Application update', content: '<p>Approved</p>' } };
+
+// The first attempt is accepted by Messaging but its response never arrives
+const acceptedThenTimedOut = () => {
+  const messaging = createFakeMessaging();
+  const createEmail = messaging.createEmail;
+  let calls = 0;
+  messaging.createEmail = async (params) => {
+    calls += 1;
+    const result = await createEmail(params);
+    if (calls === 1) throw Object.assign(new Error('Gateway timeout'), { code: 504 });
+    return result;
+  };
+  return messaging;
+};
+
+test('a retry after an accepted attempt reuses the message ID and counts as sent', async () => {
+  const messaging = acceptedThenTimedOut();
+  const outcomes = await sendChannels(messaging, { userId: 'u1', channels: ['email'], messages: MESSAGES, retryPolicy: POLICY });
+
+  assert.equal(messaging.sent.length, 1);
+  assert.deepEqual(outcomes.email, { status: 'sent', messageId: messaging.sent[0].messageId });
+});
+
+test('a conflict on the first attempt is still a failure', async () => {
+  const messaging = createFakeMessaging({ fail: { email: { code: 409, message: 'Conflict' } } });
+  const outcomes = await sendChannels(messaging, { userId: 'u1', channels: ['email'], messages: MESSAGES, retryPolicy: POLICY });
+
+  assert.equal(outcomes.email.status, 'failed');
+  assert.equal(outcomes.email.permanent, true);
+});
+
+test('each channel gets its own message ID', async () => {
+  const messaging = createFakeMessaging();
+  await sendChannels(messaging, {
+    userId: 'u1',
+    channels: ['email', 'sms'],
+    messages: { ...MESSAGES, sms: { content: 'Your application was approved.' } },
+    retryPolicy: POLICY
+  });
+
+  assert.equal(messaging.sent.length, 2);
+  assert.notEqual(messaging.sent[0].messageId, messaging.sent[1].messageId);
+});
@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../src/config.js';
+import { DEFAULT_MANDATORY_STATUSES } from '../src/preferences.js';
+import { DEFAULT_URGENT_STATUSES } from '../src/quiet.js';
+import { FAKE_APPWRITE_ENV } from '../harness/fakes.js';
+
+test('the Appwrite endpoint, project and API key are required', () => {
+  assert.deepEqual(loadConfig({}).errors, [
+    'APPWRITE_FUNCTION_API_ENDPOINT: required',
+    'APPWRITE_FUNCTION_PROJECT_ID: required',
+    'APPWRITE_API_KEY: required'
+  ]);
+  assert.deepEqual(loadConfig({ ...FAKE_APPWRITE_ENV, APPWRITE_API_KEY: ' ' }).errors, ['APPWRITE_API_KEY: required']);
+  assert.deepEqual(loadConfig(FAKE_APPWRITE_ENV).errors, []);
+});
+
+test('blank status lists keep the default mandatory and urgent statuses', () => {
+  const { settings, errors } = loadConfig({ ...FAKE_APPWRITE_ENV, NOTIFY_MANDATORY_STATUSES: '', NOTIFY_URGENT_STATUSES: '  ' });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(settings.mandatoryStatuses, DEFAULT_MANDATORY_STATUSES);
+  assert.deepEqual(settings.urgentStatuses, DEFAULT_URGENT_STATUSES);
+});
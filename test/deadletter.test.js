@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { redriveDeadLetters } from '../src/deadletter.js';
+import { buildLockId } from '../src/locks.js';
+import { FAKE_APPWRITE_ENV, createFakeServices, createContext } from '../harness/fakes.js';
+
+const FINGERPRINT = 'abc123';
+const SNAPSHOT = { status: 'approved', notes: {}, fields: { appointmentDate: '2026-03-10' } };
+const DEFERRED_TO = '2099-01-01T07:00:00.000Z';
+
+const deadLetter = (extra = {}) => ({
+  'notification_dead_letters/dl1': {
+    state: 'pending',
+    collectionId: 'application_forms',
+    documentId: 'app1',
+    type: 'application',
+    status: 'approved',
+    previousStatus: 'submitted',
+    fingerprint: FINGERPRINT,
+    snapshot: JSON.stringify(SNAPSHOT),
+    userId: 'u1',
+    channels: ['email'],
+    messages: JSON.stringify({ email: { subject: 'Your application was approved', content: '<p>Approved</p>' } }),
+    failedAt: '2026-01-05T09:00:00.000Z',
+    ...extra
+  }
+});
+
+const redrive = (services, recheck = async () => ({ scheduledAt: null })) =>
+  redriveDeadLetters({
+    databases: services.databases,
+    messaging: services.messaging,
+    databaseId: 'main',
+    deadLetterCollectionId: 'notification_dead_letters',
+    logCollectionId: 'notification_log',
+    locksCollectionId: 'notification_locks',
+    lockTtlMs: 60 * 1000,
+    recheck,
+    retryPolicy: { attempts: 1, baseDelayMs: 0, maxDelayMs: 0 },
+    executionId: 'exec-redrive',
+    logger: () => {},
+    errLogger: () => {}
+  });
+
+test('a dead letter is not re-driven while a live event holds its lock', async () => {
+  const lockId = buildLockId({ collectionId: 'application_forms', documentId: 'app1', fingerprint: FINGERPRINT });
+  const services = createFakeServices({
+    documents: {
+      ...deadLetter(),
+      [`notification_locks/${lockId}`]: {
+        collectionId: 'application_forms',
+        documentId: 'app1',
+        fingerprint: FINGERPRINT,
+        generation: 0,
+        executionId: 'exec-live',
+        token: 'live',
+        expiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+      }
+    }
+  });
+
+  const summary = await redrive(services);
+
+  assert.equal(summary.busy, 1);
+  assert.equal(services.messaging.sent.length, 0);
+  assert.equal(services.databases.list('notification_dead_letters')[0].state, 'pending');
+  assert.equal(services.databases.list('notification_locks').length, 1);
+});
+
+test('a re-driven notice is logged with its status, snapshot and schedule', async () => {
+  const services = createFakeServices({ documents: deadLetter() });
+
+  const summary = await redrive(services, async () => ({ scheduledAt: new Date(DEFERRED_TO) }));
+
+  assert.equal(summary.redriven, 1);
+  assert.equal(services.messaging.sent[0].scheduledAt, DEFERRED_TO);
+  const [logged] = services.databases.list('notification_log');
+  assert.equal(logged.decision, 'sent');
+  assert.equal(logged.status, 'approved');
+  assert.equal(logged.previousStatus, 'submitted');
+  assert.equal(logged.scheduledAt, DEFERRED_TO);
+  assert.deepEqual(JSON.parse(logged.snapshot), SNAPSHOT);
+  assert.deepEqual(services.databases.list('notification_locks'), []);
+});
+
+test('a scheduled run keeps the deferral the failed notice had', async () => {
+  Object.assign(process.env, FAKE_APPWRITE_ENV);
+  const { default: main } = await import('../src/main.js');
+  const services = createFakeServices({
+    documents: {
+      'application_forms/app1': { status: 'approved', userId: 'u1', referenceNumber: 'APP-1001' },
+      ...deadLetter({ scheduledAt: DEFERRED_TO })
+    },
+    users: { u1: { name: 'Jane Doe', email: 'jane@example.com' } }
+  });
+  const { context, response } = createContext({ services, headers: { 'x-appwrite-trigger': 'schedule' } });
+
+  await main(context);
+
+  assert.equal(response.body.scheduled.redrive.redriven, 1);
+  assert.equal(services.messaging.sent[0].scheduledAt, DEFERRED_TO);
+});
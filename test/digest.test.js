@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { enqueueDigestItem, runDigests } from '../src/digest.js';
+import { FAKE_APPWRITE_ENV, createFakeDatabases, createFakeServices, createContext } from '../harness/fakes.js';
+
+const COLLECTION = 'notification_digest_queue';
+const DUE = new Date('2026-01-05T08:00:00.000Z');
+
+const queueItem = (databases, documentId, status = 'approved') =>
+  enqueueDigestItem(databases, 'main', COLLECTION, {
+    userId: 'u1',
+    frequency: 'daily',
+    kind: 'application',
+    collectionId: 'application_forms',
+    documentId,
+    status,
+    dueAt: DUE
+  });
+
+const run = (databases, sendDigest, extra = {}) =>
+  runDigests({
+    databases,
+    databaseId: 'main',
+    collectionId: COLLECTION,
+    now: new Date('2026-01-05T09:00:00.000Z'),
+    sendDigest,
+    logger: () => {},
+    errLogger: () => {},
+    ...extra
+  });
+
+test('an item re-queued while its digest is sending stays for the next digest', async () => {
+  const databases = createFakeDatabases();
+  await queueItem(databases, 'app1');
+  await queueItem(databases, 'app2');
+
+  const summary = await run(databases, async () => {
+    await queueItem(databases, 'app2', 'rejected');
+    return { sent: true };
+  });
+
+  assert.equal(summary.sent, 1);
+  const remaining = databases.list(COLLECTION);
+  assert.deepEqual(remaining.map((item) => [item.documentId, item.status, item.sentAt]), [['app2', 'rejected', null]]);
+
+  const next = [];
+  await run(databases, async (group) => {
+    next.push(...group.items.map((item) => item.status));
+    return { sent: true };
+  });
+  assert.deepEqual(next, ['rejected']);
+  assert.deepEqual(databases.list(COLLECTION), []);
+});
+
+test('items whose delete failed are not sent again', async () => {
+  const databases = createFakeDatabases();
+  await queueItem(databases, 'app1');
+  await queueItem(databases, 'app2');
+  const deleteDocument = databases.deleteDocument;
+  const failing = databases.list(COLLECTION)[1].$id;
+  databases.deleteDocument = async (...args) => {
+    if (args[2] === failing) throw Object.assign(new Error('Server error'), { code: 500 });
+    return deleteDocument(...args);
+  };
+
+  let sends = 0;
+  const sendDigest = async () => {
+    sends += 1;
+    return { sent: true };
+  };
+  await run(databases, sendDigest);
+  assert.equal(databases.list(COLLECTION).length, 1);
+
+  databases.deleteDocument = deleteDocument;
+  const summary = await run(databases, sendDigest);
+  assert.equal(sends, 1);
+  assert.equal(summary.digests, 0);
+  assert.deepEqual(databases.list(COLLECTION), []);
+});
+
+test('a failed digest releases its items and a claimed item is left to its run', async () => {
+  const databases = createFakeDatabases();
+  await queueItem(databases, 'app1');
+
+  const failed = await run(databases, async () => {
+    throw new Error('Provider unavailable');
+  });
+  assert.equal(failed.failed, 1);
+  assert.equal(databases.list(COLLECTION)[0].claimedAt, null);
+
+  await databases.updateDocument('main', COLLECTION, databases.list(COLLECTION)[0].$id, {
+    claimedAt: '2026-01-05T08:55:00.000Z'
+  });
+  const busy = await run(databases, async () => ({ sent: true }));
+  assert.equal(busy.digests, 0);
+  assert.equal(databases.list(COLLECTION).length, 1);
+});
+
+test('a mandatory notice sent right away removes the queued item for the document', async () => {
+  Object.assign(process.env, FAKE_APPWRITE_ENV);
+  const { default: main } = await import('../src/main.js');
+  const services = createFakeServices({
+    documents: {
+      'application_forms/app1': { status: 'approved', userId: 'u1', referenceNumber: 'APP-1001' },
+      'notification_preferences/u1': { enabled: true, digest: 'daily' }
+    },
+    users: { u1: { name: 'Jane Doe', email: 'jane@example.com' } }
+  });
+  const event = (status) =>
+    createContext({
+      services,
+      headers: { 'x-appwrite-event': 'databases.main.collections.application_forms.documents.app1.update' },
+      body: { $id: 'app1', $collectionId: 'application_forms', $databaseId: 'main', status, userId: 'u1' }
+    });
+
+  const queued = event('approved');
+  await main(queued.context);
+  assert.equal(queued.response.body.queued, true);
+  assert.equal(services.databases.list(COLLECTION).length, 1);
+
+  await services.databases.updateDocument('main', 'application_forms', 'app1', { status: 'rejected' });
+  const mandatory = event('rejected');
+  await main(mandatory.context);
+  assert.equal(mandatory.response.body.sent, true);
+  assert.deepEqual(services.databases.list(COLLECTION), []);
+});
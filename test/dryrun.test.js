@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FAKE_APPWRITE_ENV, createFakeServices, createContext } from '../harness/fakes.js';
+
+const LONG_AGO = '2026-01-01T09:00:00.000Z';
+
+test('a scheduled dry run writes no reminder lock and no staff alert claim', async () => {
+  Object.assign(process.env, FAKE_APPWRITE_ENV, {
+    DRY_RUN: 'true',
+    NOTIFY_APPLICATION_TYPES: JSON.stringify([{ source: 'applications', staffAlerts: { teams: ['reviewers'] } }])
+  });
+  const { default: main } = await import('../src/main.js');
+  const services = createFakeServices({
+    documents: {
+      'application_forms/app1': { status: 'needs_action', userId: 'u1', referenceNumber: 'APP-1001', needsActionNote: 'Upload a site plan.' },
+      'application_forms/app2': { status: 'in_review', userId: 'u2', referenceNumber: 'APP-1002', $updatedAt: LONG_AGO },
+      'notification_log/log1': {
+        collectionId: 'application_forms',
+        documentId: 'app1',
+        decision: 'sent',
+        status: 'needs_action',
+        notificationType: 'status:needs_action',
+        notifiedAt: LONG_AGO
+      }
+    },
+    users: { u1: { name: 'Jane Doe', email: 'jane@example.com' } },
+    teams: { reviewers: [{ userId: 'staff1' }] }
+  });
+  const written = [];
+  for (const method of ['createDocument', 'updateDocument', 'deleteDocument']) {
+    const write = services.databases[method];
+    services.databases[method] = (databaseId, collectionId, ...args) => {
+      written.push(collectionId);
+      return write(databaseId, collectionId, ...args);
+    };
+  }
+  const { context, response } = createContext({ services, headers: { 'x-appwrite-trigger': 'schedule' } });
+
+  await main(context);
+
+  assert.deepEqual(response.body.scheduled.reminders.ignored, { dry_run: 1 });
+  assert.equal(response.body.scheduled.staffAlerts.skipped, 1);
+  assert.equal(services.messaging.sent.length, 0);
+  assert.deepEqual(written, []);
+});
@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { claimLock, releaseLock, buildLockId } from '../src/locks.js';
+import { FAKE_APPWRITE_ENV, createFakeDatabases, createFakeServices, createContext } from '../harness/fakes.js';
+
+const COLLECTION = 'notification_locks';
+const KEY = { collectionId: 'application_forms', documentId: 'app1', fingerprint: 'abc123' };
+
+const claim = (databases, executionId, options = {}) =>
+  claimLock(databases, 'main', COLLECTION, { key: KEY, executionId, ...options });
+
+const expiredClaim = (generation) => ({
+  [`${COLLECTION}/${buildLockId(KEY, generation)}`]: {
+    ...KEY,
+    generation,
+    executionId: `crashed-${generation}`,
+    token: `stale-${generation}`,
+    expiresAt: '2026-01-01T00:00:00.000Z'
+  }
+});
+
+test('of two racing claims on the same key exactly one wins', async () => {
+  const databases = createFakeDatabases();
+  const results = await Promise.all([claim(databases, 'exec-a'), claim(databases, 'exec-b')]);
+
+  assert.equal(results.filter((result) => result.acquired).length, 1);
+  const loser = results.find((result) => !result.acquired);
+  const winner = results.find((result) => result.acquired);
+  assert.equal(loser.lockId, winner.lockId);
+  assert.equal(loser.holder, results[0].acquired ? 'exec-a' : 'exec-b');
+  assert.equal(databases.list(COLLECTION).length, 1);
+});
+
+test('a claim on another fingerprint does not conflict', async () => {
+  const databases = createFakeDatabases();
+  const first = await claim(databases, 'exec-a');
+  const second = await claimLock(databases, 'main', COLLECTION, { key: { ...KEY, fingerprint: 'def456' }, executionId: 'exec-b' });
+
+  assert.equal(first.acquired, true);
+  assert.equal(second.acquired, true);
+});
+
+test('a live claim is not taken over', async () => {
+  const databases = createFakeDatabases();
+  await claim(databases, 'exec-a');
+  const later = await claim(databases, 'exec-b', { now: new Date(Date.now() + 60 * 1000) });
+
+  assert.equal(later.acquired, false);
+  assert.equal(later.holder, 'exec-a');
+});
+
+test('an expired claim is taken over at the next generation', async () => {
+  const databases = createFakeDatabases(expiredClaim(0));
+  const result = await claim(databases, 'exec-a');
+
+  assert.equal(result.acquired, true);
+  assert.equal(result.generation, 1);
+  assert.equal(result.lockId, buildLockId(KEY, 1));
+});
+
+test('of two executions taking over the same expired claim exactly one wins', async () => {
+  const databases = createFakeDatabases(expiredClaim(0));
+  const results = await Promise.all([claim(databases, 'exec-a'), claim(databases, 'exec-b')]);
+
+  assert.equal(results.filter((result) => result.acquired).length, 1);
+  assert.ok(results.every((result) => result.lockId === buildLockId(KEY, 1)));
+});
+
+test('a claim is only released by its holder', async () => {
+  const databases = createFakeDatabases();
+  const lock = await claim(databases, 'exec-a');
+
+  assert.equal(await releaseLock(databases, 'main', COLLECTION, { ...lock, token: 'someone-else' }), false);
+  assert.equal(databases.list(COLLECTION).length, 1);
+  assert.equal(await releaseLock(databases, 'main', COLLECTION, lock), true);
+  assert.equal(databases.list(COLLECTION).length, 0);
+  assert.equal(await releaseLock(databases, 'main', COLLECTION, lock), false);
+});
+
+test('releasing a taken-over claim removes the expired generations below it', async () => {
+  const databases = createFakeDatabases({ ...expiredClaim(0), ...expiredClaim(1) });
+  const lock = await claim(databases, 'exec-a');
+  assert.equal(lock.generation, 2);
+
+  assert.equal(await releaseLock(databases, 'main', COLLECTION, lock), true);
+  assert.deepEqual(databases.list(COLLECTION), []);
+
+  const next = await claim(databases, 'exec-b');
+  assert.equal(next.generation, 0);
+});
+
+test('the claim is released when the send fails', async () => {
+  Object.assign(process.env, FAKE_APPWRITE_ENV, { NOTIFY_RETRY_ATTEMPTS: '1' });
+  const { default: main } = await import('../src/main.js');
+  const services = createFakeServices({
+    documents: { 'application_forms/app1': { status: 'approved', userId: 'u1', referenceNumber: 'APP-1001' } },
+    users: { u1: { name: 'Jane Doe', email: 'jane@example.com' } },
+    messaging: { fail: { email: { code: 503, message: 'Provider unavailable' } } }
+  });
+  const { context, response } = createContext({
+    services,
+    headers: { 'x-appwrite-event': 'databases.main.collections.application_forms.documents.app1.update' },
+    body: { $id: 'app1', $collectionId: 'application_forms', $databaseId: 'main', status: 'approved', userId: 'u1' }
+  });
+
+  await main(context);
+
+  assert.equal(response.body.ok, false);
+  assert.equal(services.messaging.sent.length, 0);
+  assert.deepEqual(services.databases.list(COLLECTION), []);
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPayStubSummary, parseAttachmentConfig, purgeGeneratedPdfs } from '../src/paystubs.js';
+import { getStrings } from '../src/i18n.js';
+import { createFakeStorage } from '../harness/fakes.js';
+
+const NOW = new Date('2026-03-20T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS).toISOString();
+
+const config = parseAttachmentConfig({ NOTIFY_PAY_STUB_ATTACHMENT: 'pdf', NOTIFY_PAY_STUB_BUCKET_ID: 'paystubs' });
+
+const document = {
+  grossPay: 3000,
+  netPay: 2450.5,
+  deductions: JSON.stringify([{ name: 'Income tax', amount: 549.5 }]),
+  ytdGrossPay: 3000,
+  currency: 'USD'
+};
+
+test('generated PDFs past the retention period are removed', async () => {
+  const storage = createFakeStorage({
+    'paystubs/paystub_old': { name: 'pay-stub-2026-01.pdf', $createdAt: daysAgo(8) },
+    'paystubs/paystub_new': { name: 'pay-stub-2026-03.pdf', $createdAt: daysAgo(1) },
+    'paystubs/upload1': { name: 'pay-stub-2026-01.pdf', $createdAt: daysAgo(30) },
+    'paystubs/contract': { name: 'contract.pdf', $createdAt: daysAgo(30) }
+  });
+
+  assert.deepEqual(await purgeGeneratedPdfs(storage, config, { now: NOW, dryRun: true }), { deleted: 0, failed: 0, wouldDelete: 1 });
+  assert.equal(storage.files.size, 4);
+
+  assert.deepEqual(await purgeGeneratedPdfs(storage, config, { now: NOW }), { deleted: 1, failed: 0 });
+  assert.deepEqual([...storage.files.keys()].sort(), ['paystubs/contract', 'paystubs/paystub_new', 'paystubs/upload1']);
+});
+
+test('the retention period is configurable', async () => {
+  const storage = createFakeStorage({ 'paystubs/paystub_new': { name: 'pay-stub-2026-03.pdf', $createdAt: daysAgo(1) } });
+  const shortConfig = parseAttachmentConfig({
+    NOTIFY_PAY_STUB_ATTACHMENT: 'pdf',
+    NOTIFY_PAY_STUB_BUCKET_ID: 'paystubs',
+    NOTIFY_PAY_STUB_FILE_RETENTION_HOURS: '12'
+  });
+
+  assert.equal(shortConfig.retentionHours, 12);
+  assert.equal((await purgeGeneratedPdfs(storage, shortConfig, { now: NOW })).deleted, 1);
+});
+
+test('the masked summary PDF carries no amounts', () => {
+  const strings = getStrings('en');
+  const render = (privacy) =>
+    buildPayStubSummary({ strings, document, employee: { name: 'Jane Doe' }, currency: 'USD', periodName: 'March 2026', privacy });
+
+  const shown = JSON.stringify(render('show'));
+  assert.ok(shown.includes('2,450.50'));
+
+  const masked = render('mask');
+  const text = JSON.stringify(masked);
+  assert.ok(!/\d,\d{3}\.\d{2}|549\.50/.test(text));
+  assert.ok(masked.some((line) => line.value === strings.payStub.summary.masked));
+  assert.ok(masked.some((line) => line.text === strings.payStub.summary.maskedNote));
+});
@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { renderPdf } from '../src/pdf.js';
+
+const LINES = [
+  { text: 'Pay stub - January 2026', style: 'title' },
+  { label: 'Employee', value: 'Jane Doe' },
+  { label: 'Net pay', value: '2,450.50', style: 'total' }
+];
+const PASSWORD = 'EMP-0042';
+
+const objectsOf = (pdf) => {
+  const source = pdf.toString('latin1');
+  const objects = new Map();
+  for (const match of source.matchAll(/(\d+) 0 obj\n([\s\S]*?)\nendobj\n/g)) {
+    objects.set(Number(match[1]), { offset: match.index, body: match[2] });
+  }
+  return { source, objects };
+};
+
+const hexEntry = (dictionary, name) => Buffer.from(new RegExp(`/${name} <([0-9a-f]+)>`).exec(dictionary)[1], 'hex');
+
+const streamData = (body) => {
+  const length = Number(/\/Length (\d+)/.exec(body)[1]);
+  const start = body.indexOf('stream\n') + 'stream\n'.length;
+  return Buffer.from(body.slice(start, start + length), 'latin1');
+};
+
+const decipher = (cipher, key, iv, data, padding = false) => {
+  const aes = crypto.createDecipheriv(cipher, key, iv);
+  aes.setAutoPadding(padding);
+  return Buffer.concat([aes.update(data), aes.final()]);
+};
+
+// ISO 32000-2 algorithm 2.B, written out independently of src/pdf.js
+const hash2B = (password, salt, userKey = Buffer.alloc(0)) => {
+  let k = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+  let i = 0;
+  let e;
+  do {
+    const k1 = Buffer.concat(Array(64).fill(Buffer.concat([password, k, userKey])));
+    const cipher = crypto.createCipheriv('aes-128-cbc', k.subarray(0, 16), k.subarray(16, 32));
+    cipher.setAutoPadding(false);
+    e = Buffer.concat([cipher.update(k1), cipher.final()]);
+    const mod = BigInt(`0x${e.subarray(0, 16).toString('hex')}`) % 3n;
+    k = crypto.createHash(['sha256', 'sha384', 'sha512'][Number(mod)]).update(e).digest();
+    i += 1;
+  } while (i < 64 || e[e.length - 1] > i - 32);
+  return k.subarray(0, 32);
+};
+
+// Algorithms 11 and 2.A: check the user password and unwrap the file key, or return null
+const openWithUserPassword = (dictionary, password) => {
+  const bytes = Buffer.from(password, 'utf8');
+  const u = hexEntry(dictionary, 'U');
+  if (!hash2B(bytes, u.subarray(32, 40)).equals(u.subarray(0, 32))) return null;
+  return decipher('aes-256-cbc', hash2B(bytes, u.subarray(40, 48)), Buffer.alloc(16), hexEntry(dictionary, 'UE'));
+};
+
+test('an unprotected PDF has a valid header, cross-reference table and trailer', () => {
+  const pdf = renderPdf({ lines: LINES });
+  const { source, objects } = objectsOf(pdf);
+
+  assert.ok(source.startsWith('%PDF-1.4\n'));
+  assert.ok(source.endsWith('%%EOF\n'));
+  const startxref = Number(/startxref\n(\d+)\n%%EOF/.exec(source)[1]);
+  assert.ok(source.slice(startxref).startsWith('xref\n'));
+
+  const entries = [...source.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map(([, offset]) => Number(offset));
+  assert.equal(entries.length, objects.size);
+  entries.forEach((offset, index) => assert.equal(offset, objects.get(index + 1).offset));
+
+  const trailer = /trailer\n(<<[\s\S]*?>>)\nstartxref/.exec(source)[1];
+  assert.match(trailer, new RegExp(`/Size ${objects.size + 1} `));
+  assert.doesNotMatch(trailer, /\/Encrypt/);
+  assert.match(objects.get(1).body, /\/Type \/Catalog/);
+  assert.ok(source.includes('(Net pay) Tj'));
+});
+
+test('a protected PDF uses the AES-256 standard security handler', () => {
+  const pdf = renderPdf({ lines: LINES, password: PASSWORD });
+  const { source, objects } = objectsOf(pdf);
+
+  assert.ok(source.startsWith('%PDF-1.7\n'));
+  const encryptNumber = Number(/\/Encrypt (\d+) 0 R/.exec(source)[1]);
+  const dictionary = objects.get(encryptNumber).body;
+  for (const entry of ['/Filter /Standard', '/V 5', '/R 6', '/Length 256', '/CFM /AESV3', '/StmF /StdCF', '/StrF /StdCF']) {
+    assert.ok(dictionary.includes(entry), `missing ${entry}`);
+  }
+  assert.equal(hexEntry(dictionary, 'U').length, 48);
+  assert.equal(hexEntry(dictionary, 'O').length, 48);
+  assert.equal(hexEntry(dictionary, 'UE').length, 32);
+  assert.equal(hexEntry(dictionary, 'OE').length, 32);
+  assert.equal(hexEntry(dictionary, 'Perms').length, 16);
+  assert.match(objects.get(1).body, /\/Extensions << \/ADBE << \/BaseVersion \/1\.7 \/ExtensionLevel 8 >> >>/);
+  assert.ok(!source.includes('Net pay'));
+});
+
+test("the employee's password opens the PDF and decrypts its content", () => {
+  const pdf = renderPdf({ lines: LINES, password: PASSWORD });
+  const { source, objects } = objectsOf(pdf);
+  const dictionary = objects.get(Number(/\/Encrypt (\d+) 0 R/.exec(source)[1])).body;
+
+  assert.equal(openWithUserPassword(dictionary, 'EMP-0043'), null);
+  const fileKey = openWithUserPassword(dictionary, PASSWORD);
+  assert.ok(fileKey);
+
+  // Algorithm 13: /Perms decrypts to the permissions followed by "Tadb"
+  const perms = decipher('aes-256-ecb', fileKey, null, hexEntry(dictionary, 'Perms'));
+  assert.equal(perms.readInt32LE(0), Number(/\/P (-?\d+)/.exec(dictionary)[1]));
+  assert.equal(perms.subarray(8, 12).toString('latin1'), 'Tadb');
+
+  const page = [...objects.values()].find(({ body }) => body.includes('/Type /Page '));
+  const contentNumber = Number(/\/Contents (\d+) 0 R/.exec(page.body)[1]);
+  const data = streamData(objects.get(contentNumber).body);
+  const content = decipher('aes-256-cbc', fileKey, data.subarray(0, 16), data.subarray(16), true).toString('latin1');
+  assert.match(content, /^BT \/F2 18 Tf /);
+  assert.ok(content.includes('(Employee) Tj'));
+  assert.ok(content.includes('(Jane Doe) Tj'));
+  assert.ok(content.includes('(2,450.50) Tj'));
+});
+
+test('the owner password is distinct from the user password', () => {
+  const pdf = renderPdf({ lines: LINES, password: PASSWORD, ownerPassword: 'payroll-office' });
+  const { source, objects } = objectsOf(pdf);
+  const dictionary = objects.get(Number(/\/Encrypt (\d+) 0 R/.exec(source)[1])).body;
+  const owner = Buffer.from('payroll-office', 'utf8');
+  const o = hexEntry(dictionary, 'O');
+  const u = hexEntry(dictionary, 'U');
+
+  assert.ok(hash2B(owner, o.subarray(32, 40), u).equals(o.subarray(0, 32)));
+  const ownerKey = decipher('aes-256-cbc', hash2B(owner, o.subarray(40, 48), u), Buffer.alloc(16), hexEntry(dictionary, 'OE'));
+  assert.ok(ownerKey.equals(openWithUserPassword(dictionary, PASSWORD)));
+  assert.equal(openWithUserPassword(dictionary, 'payroll-office'), null);
+});
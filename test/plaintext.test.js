@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToText } from '../src/plaintext.js';
+import { compileTemplate, loadTemplateFiles } from '../src/templating.js';
+
+const SOURCES = loadTemplateFiles();
+
+const brand = {
+  name: 'City Services',
+  header: '#1e3a8a',
+  accent: '#2563eb',
+  footer: 'City Services, 1 Main Street',
+  support: 'Questions? support@example.com',
+  legal: null,
+  logoUrl: null
+};
+
+const renderText = (template, view) => htmlToText(compileTemplate(template, SOURCES[template])(view));
+
+test('application email reads as plain text', () => {
+  const text = renderText('application', {
+    lang: 'en',
+    brand,
+    copy: {
+      heading: 'Application update',
+      details: { title: 'Application details', type: 'Type', reference: 'Reference', status: 'Status' },
+      changes: { title: 'What changed' },
+      cta: 'View application',
+      support: 'Reply to this email if you need help.',
+      noReply: 'This is an automated message.'
+    },
+    greeting: 'Hello Jane,',
+    statusMessage: 'Your application needs more information.',
+    nextSteps: null,
+    applicationLabel: 'Building permit',
+    reference: 'APP-1001',
+    statusLabel: 'Needs action',
+    changes: [{ label: 'Inspection date', before: '3 March', after: '10 March' }],
+    notes: [
+      {
+        title: 'What we need',
+        body: 'Please upload:\n  - a site plan\n  - the owner\'s consent\n\tSigned copies only.',
+        background: '#fef3c7',
+        border: '#f59e0b',
+        titleColor: '#78350f',
+        bodyColor: '#78350f'
+      }
+    ],
+    link: 'https://portal.example.com/applications/app1'
+  });
+
+  assert.match(text, /^City Services\n/);
+  assert.match(text, /Application update\n=+\n/);
+  assert.match(text, /Hello Jane,\n\nYour application needs more information\./);
+  assert.match(text, /Type Building permit\nReference APP-1001\nStatus Needs action/);
+  assert.match(text, /Inspection date 3 March → 10 March/);
+  assert.match(text, /View application: https:\/\/portal\.example\.com\/applications\/app1/);
+  assert.doesNotMatch(text, /<|&#|\{\{/);
+});
+
+test('note bodies keep their line breaks and indentation', () => {
+  const text = renderText('application', {
+    lang: 'en',
+    brand,
+    copy: { heading: 'Update', details: {}, changes: {} },
+    notes: [{ title: 'What we need', body: 'Please upload:\n  - a site plan\n\tSigned copies only.' }],
+    link: 'https://portal.example.com'
+  });
+
+  assert.match(text, /What we need\n\nPlease upload:\n {2}- a site plan\n\tSigned copies only\./);
+});
+
+test('pay stub email reads as plain text', () => {
+  const text = renderText('pay_stub', {
+    lang: 'en',
+    brand,
+    copy: {
+      heading: 'Your pay stub is ready',
+      detailsTitle: 'Pay stub details',
+      summary: { title: 'Earnings summary', yearToDate: 'Year to date' },
+      changes: { title: 'Changes since your last pay stub' },
+      cta: 'View pay stub',
+      outro: 'Keep this email for your records.',
+      noReply: 'This is an automated message.'
+    },
+    greeting: 'Hello Jane,',
+    intro: 'Your pay stub for January 2026 is available.',
+    details: [
+      { text: 'Period: January 2026', margin: '0 0 4px' },
+      { text: 'Net pay: $2,450.50', margin: '0' }
+    ],
+    earnings: [
+      { label: 'Gross pay', value: '$3,000.00', padding: '0', color: '#111827', weight: 400 },
+      { label: 'Income tax', value: '-$549.50', padding: '12px', color: '#6b7280', weight: 400 },
+      { label: 'Net pay', value: '$2,450.50', padding: '0', color: '#111827', weight: 700 }
+    ],
+    yearToDate: [{ label: 'Gross pay', value: '$3,000.00' }],
+    changes: ['Net pay went up by $120.00.'],
+    attachmentNote: 'Your pay stub is attached as a PDF.',
+    link: 'https://portal.example.com/pay-stubs/stub1'
+  });
+
+  assert.match(text, /Your pay stub is ready\n=+\n/);
+  assert.match(text, /Period: January 2026\n\nNet pay: \$2,450\.50/);
+  assert.match(text, /Gross pay \$3,000\.00\nIncome tax -\$549\.50\nNet pay \$2,450\.50/);
+  assert.match(text, /Year to date\n\nGross pay \$3,000\.00/);
+  assert.match(text, /Changes since your last pay stub\n\nNet pay went up by \$120\.00\./);
+  assert.match(text, /View pay stub: https:\/\/portal\.example\.com\/pay-stubs\/stub1/);
+  assert.doesNotMatch(text, /<|&#|\{\{/);
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTeamMembers, sendStaffEmail } from '../src/staff.js';
+import { createFakeMessaging, createFakeTeams } from '../harness/fakes.js';
+
+const members = (count, prefix) => Array.from({ length: count }, (_, index) => ({ userId: `${prefix}${index}` }));
+
+test('every member of a large team is resolved', async () => {
+  const teams = createFakeTeams({ reviewers: members(250, 'staff'), leads: members(100, 'lead') });
+
+  const userIds = await resolveTeamMembers(teams, ['reviewers', 'leads']);
+
+  assert.equal(userIds.length, 350);
+  assert.ok(userIds.includes('staff249'));
+  assert.ok(userIds.includes('lead99'));
+});
+
+test('unconfirmed memberships and members of several teams are counted once', async () => {
+  const teams = createFakeTeams({
+    reviewers: [{ userId: 'staff1' }, { userId: 'staff2', confirm: false }],
+    leads: [{ userId: 'staff1' }]
+  });
+
+  assert.deepEqual(await resolveTeamMembers(teams, ['reviewers', 'leads']), ['staff1']);
+});
+
+test('a staff alert retried after an accepted attempt goes out once', async () => {
+  const messaging = createFakeMessaging();
+  const createEmail = messaging.createEmail;
+  let calls = 0;
+  messaging.createEmail = async (params) => {
+    calls += 1;
+    const result = await createEmail(params);
+    if (calls === 1) throw Object.assign(new Error('Gateway timeout'), { code: 504 });
+    return result;
+  };
+
+  const result = await sendStaffEmail(messaging, {
+    users: ['staff1'],
+    message: { subject: 'Application resubmitted', content: '<p>APP-1001</p>' },
+    retryPolicy: { attempts: 3, baseDelayMs: 0, maxDelayMs: 0 }
+  });
+
+  assert.equal(messaging.sent.length, 1);
+  assert.equal(result.$id, messaging.sent[0].messageId);
+});
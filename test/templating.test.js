@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_TEMPLATES_DIR, createTemplateRegistry, loadTemplateFiles, requiredTemplates } from '../src/templating.js';
+import { FAKE_APPWRITE_ENV, createFakeServices, createContext } from '../harness/fakes.js';
+
+test('feature templates are required only while their feature is on', () => {
+  assert.deepEqual(requiredTemplates(), ['application', 'pay_stub']);
+  assert.deepEqual(requiredTemplates({ reminders: true, digests: false, staffAlerts: true }), [
+    'application',
+    'pay_stub',
+    'reminder',
+    'staff_alert'
+  ]);
+});
+
+test('a missing required template is reported', () => {
+  const { digest, ...sources } = loadTemplateFiles();
+  const { errors } = createTemplateRegistry(sources, { required: requiredTemplates({ digests: true }) });
+
+  assert.ok(digest);
+  assert.deepEqual(errors.map((error) => error.message), ['Template "digest" is missing.']);
+});
+
+test('an execution fails at cold start when an enabled feature has no template', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+  try {
+    for (const file of fs.readdirSync(DEFAULT_TEMPLATES_DIR).filter((name) => name !== 'reminder.html')) {
+      fs.copyFileSync(path.join(DEFAULT_TEMPLATES_DIR, file), path.join(dir, file));
+    }
+    Object.assign(process.env, FAKE_APPWRITE_ENV, { NOTIFY_TEMPLATES_DIR: dir });
+    const { default: main } = await import('../src/main.js');
+    const { context, response } = createContext({ services: createFakeServices(), headers: { 'x-appwrite-trigger': 'schedule' } });
+
+    await main(context);
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.error, 'invalid_templates');
+    assert.deepEqual(response.body.templates.map((error) => error.template), ['reminder']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});